@@ -12,9 +12,14 @@ const logger = require('./src/utils/logger');
 // Initialize Express app
 const app = express();
 
+// Keep the raw body so webhook signatures can be verified over the exact bytes received
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
 // Increase payload limit for media uploads
-app.use(bodyParser.json({ limit: '50mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
+app.use(bodyParser.json({ limit: '50mb', verify: captureRawBody }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '50mb', verify: captureRawBody }));
 
 // WhatsApp webhook endpoint
 app.all('/webhook', handler.handleWebhook);
@@ -0,0 +1,213 @@
+/**
+ * Move media and report BLOBs out of MySQL into object storage
+ *
+ * Usage: npm run storage:migrate -- [--dry-run] [--keep-blobs] [--drop-columns]
+ *
+ *   --dry-run       only count the rows that still have BLOBs
+ *   --keep-blobs    copy the files but leave the BLOB columns filled
+ *   --drop-columns  once nothing is left to move, drop media.content and reports.report_file
+ *
+ * Rows are moved one at a time, so the script can be stopped and run again.
+ * Every file is read back and checked against its SHA-256 before the BLOB is cleared.
+ * Uses the STORAGE_BACKEND settings of the application.
+ */
+require('dotenv').config();
+const db = require('../src/db');
+const storage = require('../src/storage');
+
+const BATCH_SIZE = 20;
+
+const options = {
+  dryRun: process.argv.includes('--dry-run'),
+  keepBlobs: process.argv.includes('--keep-blobs'),
+  dropColumns: process.argv.includes('--drop-columns')
+};
+
+/**
+ * BLOB columns to move, and how to record the stored file on the row
+ */
+const TABLES = [
+  {
+    table: 'media',
+    blobColumn: 'content',
+    describe: row => ({ prefix: 'media', fileName: row.file_name, contentType: row.content_type }),
+    columns: 'id, file_name, content_type',
+    record: (file, row) => ({
+      sql: 'UPDATE media SET storage_key = ?, checksum = ?, size_bytes = ? WHERE id = ? AND storage_key IS NULL',
+      params: [file.key, file.checksum, file.size, row.id]
+    })
+  },
+  {
+    table: 'reports',
+    blobColumn: 'report_file',
+    describe: row => ({
+      prefix: `reports/${row.work_order_id}`,
+      fileName: `inspection-report-${row.work_order_id}.pdf`,
+      contentType: 'application/pdf'
+    }),
+    columns: 'id, work_order_id, file_hash',
+    record: (file, row) => ({
+      sql: 'UPDATE reports SET storage_key = ?, file_size = ?, file_hash = ? WHERE id = ? AND storage_key IS NULL',
+      params: [file.key, file.size, file.checksum, row.id]
+    })
+  }
+];
+
+async function columnExists(table, column) {
+  const rows = await db.query(`
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [table, column]);
+  return rows.length > 0;
+}
+
+async function countRemaining({ table, blobColumn }) {
+  const [row] = await db.query(
+    `SELECT COUNT(*) AS remaining FROM ${table} WHERE storage_key IS NULL AND ${blobColumn} IS NOT NULL`
+  );
+  return row.remaining;
+}
+
+/**
+ * Move one row's BLOB to storage
+ *
+ * @returns {Promise<boolean>} - True if the row now points at a stored file
+ */
+async function moveRow(spec, row) {
+  const { table, blobColumn } = spec;
+  const [blobRow] = await db.query(`SELECT ${blobColumn} AS content FROM ${table} WHERE id = ?`, [row.id]);
+  const content = Buffer.from(blobRow.content);
+  const { prefix, fileName, contentType } = spec.describe(row);
+
+  // Reports already carry a hash of their PDF, a mismatch means the BLOB is damaged
+  if (row.file_hash && storage.checksum(content) !== row.file_hash) {
+    throw new Error('file_hash does not match the stored PDF');
+  }
+
+  const file = await storage.saveFile(prefix, fileName, content, contentType);
+
+  if (storage.checksum(await storage.readFile(file.key)) !== file.checksum) {
+    await storage.deleteFile(file.key);
+    throw new Error(`Checksum mismatch after upload of ${file.key}`);
+  }
+
+  const { sql, params } = spec.record(file, row);
+  const result = await db.query(sql, params);
+
+  // Another run moved the row in the meantime
+  if (result.affectedRows === 0) {
+    await storage.deleteFile(file.key);
+    return false;
+  }
+
+  if (!options.keepBlobs) {
+    await db.query(`UPDATE ${table} SET ${blobColumn} = NULL WHERE id = ?`, [row.id]);
+  }
+
+  return true;
+}
+
+async function migrateTable(spec) {
+  const { table, blobColumn } = spec;
+
+  if (!await columnExists(table, blobColumn)) {
+    console.log(`ℹ️ ${table}.${blobColumn} no longer exists, nothing to move`);
+    return { moved: 0, failed: 0 };
+  }
+
+  console.log(`📦 ${table}: ${await countRemaining(spec)} row(s) with ${blobColumn} to move`);
+
+  if (options.dryRun) {
+    return { moved: 0, failed: 0 };
+  }
+
+  let moved = 0;
+  let failed = 0;
+  let lastId = 0;
+
+  while (true) {
+    const rows = await db.query(`
+      SELECT ${spec.columns} FROM ${table}
+      WHERE storage_key IS NULL AND ${blobColumn} IS NOT NULL AND id > ?
+      ORDER BY id
+      LIMIT ?
+    `, [lastId, String(BATCH_SIZE)]);
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      lastId = row.id;
+
+      try {
+        if (await moveRow(spec, row)) {
+          moved++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ ${table} ${row.id}: ${error.message}`);
+      }
+    }
+
+    console.log(`   ${moved} moved, ${failed} failed`);
+  }
+
+  return { moved, failed };
+}
+
+async function dropBlobColumns() {
+  for (const spec of TABLES) {
+    if (!await columnExists(spec.table, spec.blobColumn)) {
+      continue;
+    }
+
+    const remaining = await countRemaining(spec);
+    if (remaining > 0) {
+      console.warn(`⚠️ Not dropping ${spec.table}.${spec.blobColumn}, ${remaining} row(s) have not been moved`);
+      continue;
+    }
+
+    await db.query(`ALTER TABLE ${spec.table} DROP COLUMN ${spec.blobColumn}`);
+    console.log(`✅ Dropped ${spec.table}.${spec.blobColumn}`);
+  }
+
+  // Every media row has a stored file now, unless a row had no content at all
+  const [{ unmoved }] = await db.query('SELECT COUNT(*) AS unmoved FROM media WHERE storage_key IS NULL');
+  if (unmoved === 0) {
+    await db.query(`
+      ALTER TABLE media
+        MODIFY storage_key VARCHAR(512) NOT NULL,
+        MODIFY checksum CHAR(64) NOT NULL,
+        MODIFY size_bytes BIGINT NOT NULL
+    `).catch(error => console.warn('⚠️ Could not make the media storage columns required:', error.message));
+  }
+}
+
+async function migrate() {
+  let failed = 0;
+
+  for (const spec of TABLES) {
+    failed += (await migrateTable(spec)).failed;
+  }
+
+  if (options.dropColumns && !options.dryRun) {
+    if (failed > 0) {
+      console.warn('⚠️ Not dropping BLOB columns, some rows failed to move');
+    } else {
+      await dropBlobColumns();
+    }
+  }
+
+  return failed === 0;
+}
+
+migrate()
+  .then(success => {
+    console.log(success ? '🎉 Storage migration complete' : '⚠️ Storage migration finished with errors, run it again to retry');
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('❌ Storage migration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,56 @@
+/**
+ * Regenerate an inspection report as a new version
+ *
+ * Usage: npm run report:regenerate -- <workOrderId> "<reason>" [--user <userId>]
+ *
+ * The new version is rendered by the worker and sent to the inspector for
+ * review. Earlier versions, including what the customer received, are kept.
+ */
+require('dotenv').config();
+const db = require('../src/db');
+const reports = require('../src/reports');
+
+function parseArgs(argv) {
+  const args = [...argv];
+  let userId = null;
+
+  const userFlag = args.indexOf('--user');
+  if (userFlag !== -1) {
+    userId = parseInt(args[userFlag + 1], 10) || null;
+    args.splice(userFlag, 2);
+  }
+
+  return {
+    workOrderId: parseInt(args[0], 10),
+    reason: args.slice(1).join(' '),
+    userId
+  };
+}
+
+async function regenerate() {
+  const { workOrderId, reason, userId } = parseArgs(process.argv.slice(2));
+
+  if (!workOrderId || !reason) {
+    console.error('Usage: npm run report:regenerate -- <workOrderId> "<reason>" [--user <userId>]');
+    return false;
+  }
+
+  const { version } = await reports.regenerateReport(workOrderId, userId, reason);
+  console.log(`✅ Report version ${version} for work order ${workOrderId} queued`);
+
+  for (const entry of await db.getReportVersions(workOrderId)) {
+    const sent = entry.sent_at ? `, sent ${new Date(entry.sent_at).toISOString()}` : '';
+    const by = entry.generated_by_name ? ` by ${entry.generated_by_name}` : '';
+    const why = entry.generation_reason ? `: ${entry.generation_reason}` : '';
+    console.log(`  v${entry.version} ${entry.status}${sent}${by}${why}`);
+  }
+
+  return true;
+}
+
+regenerate()
+  .then(success => process.exit(success ? 0 : 1))
+  .catch(error => {
+    console.error('❌ Report regeneration failed:', error.message);
+    process.exit(1);
+  });
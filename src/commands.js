@@ -0,0 +1,185 @@
+/**
+ * Deterministic command parser
+ * Resolves the fixed WhatsApp commands into intents without calling OpenAI
+ */
+
+const { validateIntent } = require('./intents');
+
+/**
+ * Resolve a relative day or ISO date to YYYY-MM-DD
+ *
+ * @param {string} value - 'today', 'tomorrow', 'yesterday' or YYYY-MM-DD
+ * @returns {string|undefined} - ISO date
+ */
+function resolveDate(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  const offsets = { today: 0, tomorrow: 1, yesterday: -1 };
+  const key = value.toLowerCase();
+
+  if (key in offsets) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + offsets[key]);
+    return date.toISOString().split('T')[0];
+  }
+
+  return value;
+}
+
+/**
+ * Command grammar, checked in order. The first matching pattern wins,
+ * so more specific commands ("complete inspection") come before general ones ("complete").
+ */
+const COMMANDS = [
+  {
+    pattern: /^(?:help|menu|commands|\?)$/i,
+    intent: 'help'
+  },
+  {
+    pattern: /^(?:cancel|stop|back|exit|quit)$/i,
+    intent: 'cancel'
+  },
+  {
+    pattern: /^(?:yes|y|yeah|yep|confirm|confirmed|sure)$/i,
+    intent: 'confirm'
+  },
+  {
+    pattern: /^(?:no|n|nope|not yet)$/i,
+    intent: 'decline'
+  },
+  {
+    pattern: /^(?:hi|hello|hey|good (?:morning|afternoon|evening))$/i,
+    intent: 'greeting'
+  },
+  {
+    // "Show my jobs today", "jobs", "show jobs for 2025-03-01", "my inspections tomorrow"
+    pattern: /^(?:show\s+)?(?:me\s+)?(?:my\s+)?(?:jobs|inspections|work\s+orders)(?:\s+(?:for\s+)?(today|tomorrow|yesterday|\d{4}-\d{2}-\d{2}))?$/i,
+    intent: 'get_today_jobs',
+    data: match => ({ date: resolveDate(match[1]) })
+  },
+  {
+    // "Start inspection #12", "start 12", "resume job #12"
+    pattern: /^(?:start|begin|resume)(?:\s+(?:inspection|job|work\s+order))?\s*#?\s*(\d+)$/i,
+    intent: 'start_inspection',
+    data: match => ({ workOrderId: match[1] })
+  },
+  {
+    pattern: /^(?:complete|finish|end|submit)\s+(?:the\s+)?(?:inspection|job)$/i,
+    intent: 'complete_inspection'
+  },
+  {
+    // "Update item #3", "item 3", "go to item 3"
+    pattern: /^(?:(?:update|select|go\s+to)\s+)?item\s*#?\s*(\d+)$/i,
+    intent: 'select_item',
+    data: match => ({ itemNumber: match[1] })
+  },
+  {
+    // "Sign: Joe Bloggs"
+    pattern: /^sign(?:ed|ature)?\s*:\s*(.+)$/i,
+    intent: 'sign_inspection',
+    data: match => ({ name: match[1] })
+  },
+  {
+    // "Approve", "approve report #12"
+    pattern: /^approve(?:\s+(?:the\s+)?report)?(?:\s*#?\s*(\d+))?$/i,
+    intent: 'approve_report',
+    data: match => ({ workOrderId: match[1] })
+  },
+  {
+    // "Reject: wrong address", "reject report #12: photos missing"
+    pattern: /^reject(?:\s+(?:the\s+)?report)?(?:\s*#?\s*(\d+))?\s*(?::\s*([\s\S]*))?$/i,
+    intent: 'reject_report',
+    data: match => ({ workOrderId: match[1], reason: match[2] })
+  },
+  {
+    // "Accept", "accept suggestion", or the Accept button under a photo suggestion (ID "suggestion:12:accept")
+    pattern: /^(?:suggestion:(\d+):accept|accept(?:\s+(?:the\s+)?suggestion)?)$/i,
+    intent: 'accept_suggestion',
+    data: match => ({ suggestionId: match[1] })
+  },
+  {
+    // "Dismiss", "ignore suggestion", or the Dismiss button (ID "suggestion:12:dismiss")
+    pattern: /^(?:suggestion:(\d+):dismiss|(?:dismiss|ignore)(?:\s+(?:the\s+)?suggestion)?)$/i,
+    intent: 'dismiss_suggestion',
+    data: match => ({ suggestionId: match[1] })
+  },
+  {
+    // A list row or button picked to answer an item (ID "answer:12:yes")
+    pattern: /^answer:(\d+):([\s\S]+)$/i,
+    intent: 'answer_item',
+    data: match => ({ itemId: match[1], value: match[2] })
+  },
+  {
+    // "Answer: 2.5 bar", "reading: 004512"
+    pattern: /^(?:answer|reading|value)\s*:\s*([\s\S]+)$/i,
+    intent: 'answer_item',
+    data: match => ({ value: match[1] })
+  },
+  {
+    // "Comment: gutters need clearing"
+    pattern: /^(?:comment|note)\s*:\s*([\s\S]+)$/i,
+    intent: 'add_comment',
+    data: match => ({ comments: match[1] })
+  },
+  {
+    // "Issue: leaking tap", "issue on item 3: leaking tap", "issue"
+    pattern: /^(?:issue|problem|defect)(?:\s+(?:on\s+|for\s+)?item\s*#?\s*(\d+))?\s*(?::\s*([\s\S]*))?$/i,
+    intent: 'complete_item',
+    data: match => ({ itemNumber: match[1], status: 'issue_found', comments: match[2] })
+  },
+  {
+    // "Skip", "skip item 4", "skip: no access"
+    pattern: /^skip(?:\s+item)?(?:\s*#?\s*(\d+))?\s*(?::\s*([\s\S]*))?$/i,
+    intent: 'complete_item',
+    data: match => ({ itemNumber: match[1], status: 'skipped', comments: match[2] })
+  },
+  {
+    // "Complete", "done", "complete item 3"
+    pattern: /^(?:complete|completed|done|pass|passed)(?:\s+item)?(?:\s*#?\s*(\d+))?$/i,
+    intent: 'complete_item',
+    data: match => ({ itemNumber: match[1], status: 'completed' })
+  },
+  {
+    // A bare number, meaning depends on the conversation state
+    pattern: /^#?\s*(\d+)$/,
+    intent: 'choose_number',
+    data: match => ({ number: match[1] })
+  }
+];
+
+/**
+ * Parse a message as a known command
+ *
+ * @param {string} text - Message text or media caption
+ * @returns {Object|null} - { intent, data } following the intent schema, or null for free text
+ */
+function parseCommand(text) {
+  if (!text) {
+    return null;
+  }
+
+  // Ignore surrounding whitespace and trailing punctuation ("Complete.", "help!")
+  const normalized = text.trim().replace(/[.!]+$/, '');
+
+  for (const command of COMMANDS) {
+    const match = command.pattern.exec(normalized);
+    if (!match) {
+      continue;
+    }
+
+    const validation = validateIntent({
+      intent: command.intent,
+      data: command.data ? command.data(match) : {}
+    });
+
+    return validation.valid ? { intent: validation.intent, data: validation.data } : null;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCommand
+};
@@ -4,6 +4,8 @@
  */
 
 const mysql = require('mysql2/promise');
+const { EVIDENCE_MEDIA_TYPES, findMissingRequirements, requirementsError } = require('../utils/checklist-requirements');
+const { buildInstanceItems, filterApplicable } = require('../utils/checklist-sections');
 require('dotenv').config();
 
 // Create connection pool
@@ -35,6 +37,31 @@ async function query(sql, params = []) {
   }
 }
 
+/**
+ * Run a callback inside a transaction on a dedicated connection
+ * 
+ * The callback receives the connection and should use connection.execute().
+ * The transaction is committed if the callback resolves and rolled back if it throws.
+ * 
+ * @param {Function} callback - async (connection) => result
+ * @returns {Promise<*>} - Callback result
+ */
+async function transaction(callback) {
+  const connection = await pool.getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    const result = await callback(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
 /**
  * Get a single row from a query
  * 
@@ -83,39 +110,144 @@ async function update(table, data, where) {
 }
 
 /**
- * Store media content in the database
+ * Record an incoming webhook message in the raw_messages audit trail
  * 
- * @param {number} itemId - Checklist instance item ID
- * @param {string} mediaType - Type of media ('image', 'video', 'audio')
+ * Providers retry webhooks, so the unique (provider, external_id) index is
+ * used to detect messages that were already received.
+ * 
+ * @param {Object} message - Parsed webhook message
+ * @param {Object} connection - Optional transaction connection
+ * @returns {Promise<boolean>} - True if the message is new, false if it's a replay
+ */
+async function recordRawMessage(message, connection = null) {
+  try {
+    await (connection || pool).execute(
+      `INSERT INTO raw_messages (sender, message_type, content, media_id, provider, timestamp, external_id)
+       VALUES (?, ?, ?, ?, ?, FROM_UNIXTIME(?), ?)`,
+      [
+        message.from,
+        message.type,
+        message.text || message.caption || '',
+        message.mediaId || null,
+        message.provider,
+        Math.floor(message.timestamp / 1000),
+        message.messageId || null
+      ]
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record an incoming message in its conversation before it is acted on
+ *
+ * The worker retries failed jobs, so the unique whatsapp_message_id index is
+ * used to find the row an earlier attempt already stored. processed_at tells
+ * whether that attempt got to the end, see markMessageProcessed().
+ *
+ * @param {number} conversationId - Conversation ID
+ * @param {number} senderId - User ID of the sender
+ * @param {Object} message - Parsed webhook message
+ * @returns {Promise<Object>} - { id, media_id, processed_at } of the new or earlier row
+ */
+async function recordInboundMessage(conversationId, senderId, message) {
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO messages (conversation_id, sender_id, message_type, content, whatsapp_message_id, sent_at)
+       VALUES (?, ?, ?, ?, ?, FROM_UNIXTIME(?))`,
+      [
+        conversationId,
+        senderId,
+        message.type,
+        message.text || message.caption || '',
+        message.messageId || null,
+        Math.floor(message.timestamp / 1000)
+      ]
+    );
+    return { id: result.insertId, media_id: null, processed_at: null };
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') {
+      throw error;
+    }
+  }
+  
+  return await getOne(`
+    SELECT id, media_id, processed_at FROM messages
+    WHERE whatsapp_message_id = ?
+  `, [message.messageId]);
+}
+
+/**
+ * Mark an incoming message as fully processed, so a retry of its job skips it
+ *
+ * @param {number} messageId - messages.id
+ * @returns {Promise<Object>} - Update result
+ */
+async function markMessageProcessed(messageId) {
+  return await query(`
+    UPDATE messages SET processed_at = NOW()
+    WHERE id = ?
+  `, [messageId]);
+}
+
+/**
+ * Record a media file kept in object storage
+ * 
+ * @param {number|null} itemId - Checklist instance item ID (null if not yet assigned)
+ * @param {string} mediaType - Type of media ('image', 'video', 'audio', 'document')
  * @param {string} fileName - Name of the file
  * @param {string} contentType - MIME type
- * @param {Buffer} content - Binary content as Buffer
+ * @param {Object} file - Stored file from storage.saveFile(): { key, checksum, size }
  * @returns {Promise<number>} - Inserted media ID
  */
-async function storeMedia(itemId, mediaType, fileName, contentType, content) {
+async function storeMedia(itemId, mediaType, fileName, contentType, file) {
   const sql = `
     INSERT INTO media (
       checklist_instance_item_id, 
       media_type, 
       file_name, 
       content_type, 
-      content
-    ) VALUES (?, ?, ?, ?, ?)
+      storage_key,
+      checksum,
+      size_bytes
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
   `;
   
-  const result = await query(sql, [itemId, mediaType, fileName, contentType, content]);
+  const result = await query(sql, [itemId, mediaType, fileName, contentType, file.key, file.checksum, file.size]);
   return result.insertId;
 }
 
 /**
- * Get media content by ID
+ * Attach previously stored media to a checklist item
+ * 
+ * @param {number} mediaId - Media ID
+ * @param {number} itemId - Checklist instance item ID
+ * @returns {Promise<Object>} - Update result
+ */
+async function assignMediaToItem(mediaId, itemId) {
+  return await update('media', {
+    checklist_instance_item_id: itemId
+  }, {
+    id: mediaId
+  });
+}
+
+/**
+ * Get media by ID, the content is read with media.getMediaContent()
  * 
  * @param {number} mediaId - Media ID
  * @returns {Promise<Object|null>} - Media object or null
  */
 async function getMediaById(mediaId) {
   const sql = `
-    SELECT id, checklist_instance_item_id, media_type, file_name, content_type, content 
+    SELECT id, checklist_instance_item_id, media_type, file_name, content_type,
+           storage_key, checksum, size_bytes, width, height, captured_at,
+           gps_latitude, gps_longitude, device, processed_at, transcript, created_at
     FROM media 
     WHERE id = ?
   `;
@@ -123,6 +255,91 @@ async function getMediaById(mediaId) {
   return await getOne(sql, [mediaId]);
 }
 
+/**
+ * Record what was read from a photo
+ * 
+ * @param {number} mediaId - Media ID
+ * @param {Object} metadata - { width, height, capturedAt, latitude, longitude, device }, null when unknown
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateMediaMetadata(mediaId, metadata) {
+  return await update('media', {
+    width: metadata.width || null,
+    height: metadata.height || null,
+    captured_at: metadata.capturedAt || null,
+    gps_latitude: metadata.latitude ?? null,
+    gps_longitude: metadata.longitude ?? null,
+    device: metadata.device ? metadata.device.slice(0, 255) : null,
+    processed_at: new Date()
+  }, {
+    id: mediaId
+  });
+}
+
+/**
+ * Record the transcript of a voice note
+ * 
+ * @param {number} mediaId - Media ID
+ * @param {string} transcript - Transcript text
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateMediaTranscript(mediaId, transcript) {
+  return await update('media', {
+    transcript
+  }, {
+    id: mediaId
+  });
+}
+
+/**
+ * Record a resized copy of a photo, replacing an earlier copy of the same variant
+ * 
+ * @param {number} mediaId - Media ID
+ * @param {string} variant - 'thumbnail' or 'web'
+ * @param {Object} file - Stored file from storage.saveFile(): { key, checksum, size }
+ * @param {Object} details - { contentType, width, height }
+ * @returns {Promise<string|null>} - Storage key of the replaced copy, or null
+ */
+async function storeMediaVariant(mediaId, variant, file, details) {
+  const previous = await getMediaVariant(mediaId, variant);
+
+  const sql = `
+    INSERT INTO media_variants (media_id, variant, content_type, storage_key, checksum, size_bytes, width, height)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      content_type = VALUES(content_type),
+      storage_key = VALUES(storage_key),
+      checksum = VALUES(checksum),
+      size_bytes = VALUES(size_bytes),
+      width = VALUES(width),
+      height = VALUES(height),
+      created_at = CURRENT_TIMESTAMP
+  `;
+
+  await query(sql, [
+    mediaId, variant, details.contentType, file.key, file.checksum, file.size, details.width, details.height
+  ]);
+
+  return previous && previous.storage_key !== file.key ? previous.storage_key : null;
+}
+
+/**
+ * Get a resized copy of a photo
+ * 
+ * @param {number} mediaId - Media ID
+ * @param {string} variant - 'thumbnail' or 'web'
+ * @returns {Promise<Object|null>} - Variant or null if it hasn't been rendered
+ */
+async function getMediaVariant(mediaId, variant) {
+  const sql = `
+    SELECT id, media_id, variant, content_type, storage_key, checksum, size_bytes, width, height, created_at
+    FROM media_variants
+    WHERE media_id = ? AND variant = ?
+  `;
+
+  return await getOne(sql, [mediaId, variant]);
+}
+
 /**
  * Get all media for a checklist instance item
  * 
@@ -131,7 +348,8 @@ async function getMediaById(mediaId) {
  */
 async function getMediaForChecklistItem(itemId) {
   const sql = `
-    SELECT id, media_type, file_name, content_type, created_at 
+    SELECT id, media_type, file_name, content_type, storage_key, checksum, size_bytes,
+           width, height, captured_at, gps_latitude, gps_longitude, device, transcript, created_at
     FROM media 
     WHERE checklist_instance_item_id = ?
     ORDER BY created_at ASC
@@ -183,81 +401,170 @@ async function getInspectorWorkOrders(inspectorId, date) {
 }
 
 /**
- * Get checklist for a work order with all items
+ * Get a work order by ID without joins
  * 
  * @param {number} workOrderId - Work order ID
- * @returns {Promise<Object>} - Checklist with items
+ * @returns {Promise<Object|null>} - Work order or null
  */
-async function getWorkOrderChecklist(workOrderId) {
-  // Get checklist instance or create if doesn't exist
-  let checklistInstance = await getOne(`
-    SELECT * FROM checklist_instances 
-    WHERE work_order_id = ?
+async function getWorkOrderById(workOrderId) {
+  return await getOne(`
+    SELECT * FROM work_orders
+    WHERE id = ?
   `, [workOrderId]);
-  
-  if (!checklistInstance) {
-    // Create a new checklist instance
-    const insertId = await insert('checklist_instances', {
-      work_order_id: workOrderId,
-      status: 'not_started'
-    });
+}
+
+/**
+ * Create the checklist instance of a work order with its items from the template
+ * 
+ * The work order row is locked, so two messages for the same work order
+ * arriving at once can't both create the checklist.
+ * 
+ * @param {number} workOrderId - Work order ID
+ * @returns {Promise<Object>} - Checklist instance, the existing one if it was created meanwhile
+ */
+async function createChecklistInstance(workOrderId) {
+  return await transaction(async connection => {
+    // Get checklist template ID from work order, and the room counts repeated sections need
+    const [[workOrder]] = await connection.execute(`
+      SELECT wo.id, wo.checklist_template_id, p.bedrooms, p.bathrooms
+      FROM work_orders wo
+      JOIN contracts c ON wo.contract_id = c.id
+      JOIN properties p ON c.property_id = p.id
+      WHERE wo.id = ?
+      FOR UPDATE
+    `, [workOrderId]);
     
-    checklistInstance = await getOne(`
-      SELECT * FROM checklist_instances 
-      WHERE id = ?
-    `, [insertId]);
+    if (!workOrder) {
+      throw new Error(`Work order ${workOrderId} not found`);
+    }
     
-    // Get checklist template ID from work order
-    const workOrder = await getOne(`
-      SELECT checklist_template_id 
-      FROM work_orders 
-      WHERE id = ?
+    const [[existing]] = await connection.execute(`
+      SELECT * FROM checklist_instances
+      WHERE work_order_id = ?
     `, [workOrderId]);
     
-    // Get template items
-    const templateItems = await query(`
+    if (existing) {
+      return existing;
+    }
+    
+    const [created] = await connection.execute(`
+      INSERT INTO checklist_instances (work_order_id, status)
+      VALUES (?, 'not_started')
+    `, [workOrderId]);
+    
+    // Get template items and sections
+    const [templateItems] = await connection.execute(`
       SELECT * FROM checklist_template_items
       WHERE template_id = ?
       ORDER BY item_order
     `, [workOrder.checklist_template_id]);
     
-    // Create instance items
-    for (const item of templateItems) {
-      await insert('checklist_instance_items', {
-        checklist_instance_id: checklistInstance.id,
-        template_item_id: item.id,
-        status: 'pending'
-      });
+    const [sections] = await connection.execute(`
+      SELECT * FROM checklist_template_sections
+      WHERE template_id = ?
+      ORDER BY section_order
+    `, [workOrder.checklist_template_id]);
+    
+    // Create instance items, one set per room for repeated sections.
+    // Conditional items are created too, getWorkOrderChecklist() leaves them out until their condition is met.
+    const instanceItems = buildInstanceItems(templateItems, sections, workOrder);
+    
+    if (instanceItems.length > 0) {
+      await connection.execute(`
+        INSERT INTO checklist_instance_items (checklist_instance_id, template_item_id, repeat_index, section_label, status)
+        VALUES ${instanceItems.map(() => "(?, ?, ?, ?, 'pending')").join(', ')}
+      `, instanceItems.flatMap(item => [created.insertId, item.template_item_id, item.repeat_index, item.section_label]));
     }
+    
+    const [[instance]] = await connection.execute(`
+      SELECT * FROM checklist_instances
+      WHERE id = ?
+    `, [created.insertId]);
+    
+    return instance;
+  });
+}
+
+/**
+ * Get checklist for a work order with all items
+ * Items are ordered by section, room and item, see src/utils/checklist-sections.js.
+ * Conditional items only appear once the answer they depend on is given.
+ * 
+ * @param {number} workOrderId - Work order ID
+ * @returns {Promise<Object>} - Checklist with items, each with its section_label (null without a section)
+ */
+async function getWorkOrderChecklist(workOrderId) {
+  // Get checklist instance or create if doesn't exist
+  let checklistInstance = await getOne(`
+    SELECT * FROM checklist_instances 
+    WHERE work_order_id = ?
+  `, [workOrderId]);
+  
+  if (!checklistInstance) {
+    checklistInstance = await createChecklistInstance(workOrderId);
   }
   
   // Get all checklist items with their template info
-  const checklistItems = await query(`
+  const instanceItems = await query(`
     SELECT 
       cii.id,
+      cii.template_item_id,
+      cii.repeat_index,
+      cii.section_label,
       cii.status,
       cii.comments,
+      cii.answer_value,
+      cii.answer_numeric,
+      cii.answered_at,
       cii.completed_at,
       cti.name,
       cti.description,
       cti.requires_media,
       cti.requires_comment,
-      cti.item_order
+      cti.answer_type,
+      cti.unit,
+      cti.min_value,
+      cti.max_value,
+      cti.choices,
+      cti.issue_answers,
+      cti.item_order,
+      cti.section_id,
+      cti.condition_item_id,
+      cti.condition_answer,
+      cts.condition_item_id AS section_condition_item_id,
+      cts.condition_answer AS section_condition_answer
     FROM checklist_instance_items cii
     JOIN checklist_template_items cti ON cii.template_item_id = cti.id
+    LEFT JOIN checklist_template_sections cts ON cti.section_id = cts.id
     WHERE cii.checklist_instance_id = ?
-    ORDER BY cti.item_order
+    ORDER BY COALESCE(cts.section_order, 0), cii.repeat_index, cti.item_order, cii.id
   `, [checklistInstance.id]);
   
-  // Count media items for each checklist item
-  for (const item of checklistItems) {
-    const mediaCount = await getOne(`
-      SELECT COUNT(*) as count
+  // Items whose condition isn't met (yet) aren't part of the checklist
+  const checklistItems = filterApplicable(instanceItems);
+  
+  // Count media items for each checklist item, photos and videos also count as evidence
+  const mediaCounts = new Map();
+  
+  if (checklistItems.length > 0) {
+    const rows = await query(`
+      SELECT checklist_instance_item_id,
+             COUNT(*) as count,
+             COALESCE(SUM(media_type IN (${EVIDENCE_MEDIA_TYPES.map(() => '?').join(', ')})), 0) as evidence_count
       FROM media
-      WHERE checklist_instance_item_id = ?
-    `, [item.id]);
+      WHERE checklist_instance_item_id IN (${checklistItems.map(() => '?').join(', ')})
+      GROUP BY checklist_instance_item_id
+    `, [...EVIDENCE_MEDIA_TYPES, ...checklistItems.map(item => item.id)]);
     
-    item.media_count = mediaCount.count;
+    for (const row of rows) {
+      mediaCounts.set(row.checklist_instance_item_id, row);
+    }
+  }
+  
+  for (const item of checklistItems) {
+    const mediaCount = mediaCounts.get(item.id);
+    item.media_count = mediaCount ? Number(mediaCount.count) : 0;
+    item.evidence_count = mediaCount ? Number(mediaCount.evidence_count) : 0;
   }
   
   return {
@@ -280,39 +587,80 @@ async function startInspection(workOrderId) {
     id: workOrderId
   });
   
-  // Update or create checklist instance
-  const checklistInstance = await getOne(`
-    SELECT * FROM checklist_instances
-    WHERE work_order_id = ?
-  `, [workOrderId]);
+  // Make sure the checklist instance and its items exist before starting
+  const { instance } = await getWorkOrderChecklist(workOrderId);
   
-  if (checklistInstance) {
+  // Keep the original start time when an inspector resumes an inspection
+  if (instance.status !== 'in_progress') {
     await update('checklist_instances', {
-      started_at: new Date(),
+      started_at: instance.started_at || new Date(),
       status: 'in_progress'
     }, {
-      id: checklistInstance.id
-    });
-  } else {
-    await insert('checklist_instances', {
-      work_order_id: workOrderId,
-      started_at: new Date(),
-      status: 'in_progress'
+      id: instance.id
     });
   }
   
   return await getWorkOrderChecklist(workOrderId);
 }
 
+/**
+ * Count the photos and videos attached to a checklist item
+ * 
+ * @param {number} itemId - Checklist instance item ID
+ * @returns {Promise<number>} - Number of evidence media
+ */
+async function countItemEvidence(itemId) {
+  const row = await getOne(`
+    SELECT COUNT(*) as count
+    FROM media
+    WHERE checklist_instance_item_id = ? AND media_type IN (${EVIDENCE_MEDIA_TYPES.map(() => '?').join(', ')})
+  `, [itemId, ...EVIDENCE_MEDIA_TYPES]);
+  
+  return row.count;
+}
+
+/**
+ * Record the answer to a checklist item that takes one
+ * The status is set separately with updateChecklistItem().
+ * 
+ * @param {number} itemId - Checklist instance item ID
+ * @param {Object} answer - { value, numeric } from parseAnswer() in src/utils/checklist-answers.js
+ * @returns {Promise<Object>} - Updated checklist item
+ */
+async function recordItemAnswer(itemId, answer) {
+  await update('checklist_instance_items', {
+    answer_value: answer.value,
+    answer_numeric: answer.numeric === null || answer.numeric === undefined ? null : answer.numeric,
+    answered_at: new Date()
+  }, {
+    id: itemId
+  });
+  
+  return await getChecklistItem(itemId);
+}
+
 /**
  * Complete a checklist item
+ * Completed and issue_found need the evidence the template requires, see src/utils/checklist-requirements.js.
  * 
  * @param {number} itemId - Checklist instance item ID
  * @param {string} status - Status of the item
  * @param {string} comments - Comments for the item
  * @returns {Promise<Object>} - Updated checklist item
+ * @throws {Error} - CHECKLIST_REQUIREMENTS_UNMET with error.missing when evidence is missing
  */
 async function updateChecklistItem(itemId, status, comments) {
+  const item = await getChecklistItem(itemId);
+  
+  if (!item) {
+    throw new Error(`Checklist item ${itemId} not found`);
+  }
+  
+  const missing = findMissingRequirements(item, status, comments, await countItemEvidence(itemId));
+  if (missing.length > 0) {
+    throw requirementsError(item, status, missing);
+  }
+  
   await update('checklist_instance_items', {
     status,
     comments,
@@ -321,16 +669,39 @@ async function updateChecklistItem(itemId, status, comments) {
     id: itemId
   });
   
+  return await getChecklistItem(itemId);
+}
+
+/**
+ * Get a single checklist item with its template info
+ * 
+ * @param {number} itemId - Checklist instance item ID
+ * @returns {Promise<Object|null>} - Checklist item or null
+ */
+async function getChecklistItem(itemId) {
   return await getOne(`
     SELECT 
       cii.id,
+      cii.checklist_instance_id,
+      cii.template_item_id,
+      cii.repeat_index,
+      cii.section_label,
       cii.status,
       cii.comments,
+      cii.answer_value,
+      cii.answer_numeric,
+      cii.answered_at,
       cii.completed_at,
       cti.name,
       cti.description,
       cti.requires_media,
       cti.requires_comment,
+      cti.answer_type,
+      cti.unit,
+      cti.min_value,
+      cti.max_value,
+      cti.choices,
+      cti.issue_answers,
       cti.item_order
     FROM checklist_instance_items cii
     JOIN checklist_template_items cti ON cii.template_item_id = cti.id
@@ -338,45 +709,256 @@ async function updateChecklistItem(itemId, status, comments) {
   `, [itemId]);
 }
 
+/**
+ * Record a suggested status and comment for a checklist item
+ * A pending suggestion for the same item is superseded.
+ * 
+ * @param {number} itemId - Checklist instance item ID
+ * @param {Object} suggestion - { mediaIds, status, comment, confidence, model }
+ * @returns {Promise<number>} - Suggestion ID
+ */
+async function createItemSuggestion(itemId, suggestion) {
+  return await transaction(async connection => {
+    await connection.execute(`
+      UPDATE checklist_item_suggestions
+      SET status = 'superseded', resolved_at = NOW()
+      WHERE checklist_instance_item_id = ? AND status = 'pending'
+    `, [itemId]);
+    
+    const [result] = await connection.execute(`
+      INSERT INTO checklist_item_suggestions
+        (checklist_instance_item_id, media_ids, suggested_status, suggested_comment, confidence, model)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      itemId,
+      JSON.stringify(suggestion.mediaIds),
+      suggestion.status,
+      suggestion.comment || null,
+      suggestion.confidence ?? null,
+      suggestion.model || null
+    ]);
+    
+    return result.insertId;
+  });
+}
+
+/**
+ * Record that a suggestion was sent to the inspector
+ * 
+ * @param {number} suggestionId - Suggestion ID
+ * @returns {Promise<Object>} - Update result
+ */
+async function markItemSuggestionSent(suggestionId) {
+  return await query(`
+    UPDATE checklist_item_suggestions SET sent_at = NOW()
+    WHERE id = ?
+  `, [suggestionId]);
+}
+
+/**
+ * Get a checklist item suggestion with the work order it belongs to
+ * 
+ * @param {number} suggestionId - Suggestion ID
+ * @returns {Promise<Object|null>} - Suggestion or null
+ */
+async function getItemSuggestion(suggestionId) {
+  return await getOne(`
+    SELECT s.*, ci.work_order_id, wo.inspector_id
+    FROM checklist_item_suggestions s
+    JOIN checklist_instance_items cii ON s.checklist_instance_item_id = cii.id
+    JOIN checklist_instances ci ON cii.checklist_instance_id = ci.id
+    JOIN work_orders wo ON ci.work_order_id = wo.id
+    WHERE s.id = ?
+  `, [suggestionId]);
+}
+
+/**
+ * Get the newest suggestion for a checklist item, whatever its status
+ * 
+ * @param {number} itemId - Checklist instance item ID
+ * @returns {Promise<Object|null>} - Suggestion or null
+ */
+async function getLatestItemSuggestion(itemId) {
+  return await getOne(`
+    SELECT * FROM checklist_item_suggestions
+    WHERE checklist_instance_item_id = ?
+    ORDER BY id DESC
+    LIMIT 1
+  `, [itemId]);
+}
+
+/**
+ * Find the newest pending suggestion on a work order's checklist
+ * 
+ * @param {number} workOrderId - Work order ID
+ * @returns {Promise<Object|null>} - Suggestion or null
+ */
+async function findPendingItemSuggestion(workOrderId) {
+  const row = await getOne(`
+    SELECT s.id
+    FROM checklist_item_suggestions s
+    JOIN checklist_instance_items cii ON s.checklist_instance_item_id = cii.id
+    JOIN checklist_instances ci ON cii.checklist_instance_id = ci.id
+    WHERE ci.work_order_id = ? AND s.status = 'pending'
+    ORDER BY s.id DESC
+    LIMIT 1
+  `, [workOrderId]);
+  
+  return row ? await getItemSuggestion(row.id) : null;
+}
+
+/**
+ * Accept, dismiss or supersede a pending suggestion
+ * 
+ * @param {number} suggestionId - Suggestion ID
+ * @param {string} status - 'accepted', 'dismissed' or 'superseded'
+ * @param {number|null} userId - User who resolved it
+ * @returns {Promise<boolean>} - False if the suggestion was no longer pending
+ */
+async function resolveItemSuggestion(suggestionId, status, userId = null) {
+  const result = await query(`
+    UPDATE checklist_item_suggestions
+    SET status = ?, resolved_by = ?, resolved_at = NOW()
+    WHERE id = ? AND status = 'pending'
+  `, [status, userId, suggestionId]);
+  
+  return result.affectedRows > 0;
+}
+
+/**
+ * List what a checklist still lacks before the inspection can be completed
+ * 
+ * @param {Array<Object>} items - Items from getWorkOrderChecklist(), in checklist order
+ * @returns {Array<Object>} - { itemId, itemNumber, name, section, status, missing } per item,
+ *   missing is ['status'] for pending items, otherwise 'media' and/or 'comment'
+ */
+function listUnmetRequirements(items) {
+  return items
+    .map((item, index) => ({
+      itemId: item.id,
+      itemNumber: index + 1,
+      name: item.name,
+      section: item.section_label || null,
+      status: item.status,
+      missing: item.status === 'pending'
+        ? ['status']
+        : findMissingRequirements(item, item.status, item.comments, item.evidence_count)
+    }))
+    .filter(requirement => requirement.missing.length > 0);
+}
+
+/**
+ * Get what a work order's checklist still lacks before the inspection can be completed
+ * 
+ * @param {number} workOrderId - Work order ID
+ * @returns {Promise<Array<Object>>} - Unmet requirements, see listUnmetRequirements()
+ */
+async function getUnmetRequirements(workOrderId) {
+  const { items } = await getWorkOrderChecklist(workOrderId);
+  return listUnmetRequirements(items);
+}
+
 /**
  * Complete a work order inspection
+ * Every item needs a status and the evidence its template requires.
  * 
  * @param {number} workOrderId - Work order ID
- * @returns {Promise<Object>} - Work order with checklist
+ * @param {Object} connection - Optional transaction connection
+ * @returns {Promise<Object>} - { completed, unmetRequirements }, unmetRequirements
+ *   lists what is missing if the inspection could not be completed
  */
-async function completeInspection(workOrderId) {
-  // Check if all checklist items are completed or skipped
+async function completeInspection(workOrderId, connection = null) {
+  const executor = connection || pool;
   const checklist = await getWorkOrderChecklist(workOrderId);
   
-  const incompleteItems = checklist.items.filter(
-    item => item.status === 'pending'
-  );
+  // Completing twice (e.g. a replayed message) must not touch the records again
+  const [[instance]] = await executor.execute(`
+    SELECT status FROM checklist_instances
+    WHERE id = ?
+    FOR UPDATE
+  `, [checklist.instance.id]);
   
-  if (incompleteItems.length > 0) {
-    throw new Error(`Cannot complete inspection. ${incompleteItems.length} items are still pending.`);
+  if (instance.status === 'completed') {
+    return { completed: true, unmetRequirements: [] };
+  }
+  
+  const unmetRequirements = listUnmetRequirements(checklist.items);
+  
+  if (unmetRequirements.length > 0) {
+    return { completed: false, unmetRequirements };
   }
   
   // Update checklist instance
-  await update('checklist_instances', {
-    completed_at: new Date(),
-    status: 'completed'
-  }, {
-    id: checklist.instance.id
-  });
+  await executor.execute(`
+    UPDATE checklist_instances SET completed_at = NOW(), status = 'completed'
+    WHERE id = ?
+  `, [checklist.instance.id]);
   
   // Update work order
-  await update('work_orders', {
-    status: 'completed'
-  }, {
-    id: workOrderId
-  });
+  await executor.execute(`
+    UPDATE work_orders SET status = 'completed'
+    WHERE id = ?
+  `, [workOrderId]);
   
-  // Create empty report record
-  await insert('reports', {
-    work_order_id: workOrderId
-  });
+  // Create the first, still empty, report version unless one already exists
+  await executor.execute(`
+    INSERT INTO reports (work_order_id)
+    SELECT ? FROM DUAL
+    WHERE NOT EXISTS (SELECT 1 FROM reports WHERE work_order_id = ?)
+  `, [workOrderId, workOrderId]);
   
-  return await getWorkOrderDetails(workOrderId);
+  return { completed: true, unmetRequirements: [] };
+}
+
+/**
+ * Record the inspector's signature for a work order, replacing an earlier one
+ * 
+ * @param {number} workOrderId - Work order ID
+ * @param {Object} signature - Signature details
+ * @param {number} signature.signerId - Inspector user ID
+ * @param {string} signature.signerName - Name the report shows for the signer
+ * @param {string} signature.method - 'typed' or 'image'
+ * @param {string|null} signature.typedName - Name as typed by the inspector
+ * @param {number|null} signature.mediaId - Signature image media ID
+ * @param {string} signature.attestation - Statement the inspector agreed to
+ * @param {Object} connection - Optional transaction connection
+ * @returns {Promise<void>}
+ */
+async function recordInspectionSignature(workOrderId, signature, connection = null) {
+  await (connection || pool).execute(`
+    INSERT INTO inspection_signatures
+      (work_order_id, signer_id, signer_name, method, typed_name, signature_media_id, attestation, signed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+    ON DUPLICATE KEY UPDATE
+      signer_id = VALUES(signer_id),
+      signer_name = VALUES(signer_name),
+      method = VALUES(method),
+      typed_name = VALUES(typed_name),
+      signature_media_id = VALUES(signature_media_id),
+      attestation = VALUES(attestation),
+      signed_at = NOW()
+  `, [
+    workOrderId,
+    signature.signerId || null,
+    signature.signerName,
+    signature.method,
+    signature.typedName || null,
+    signature.mediaId || null,
+    signature.attestation
+  ]);
+}
+
+/**
+ * Get the inspector's signature for a work order
+ * 
+ * @param {number} workOrderId - Work order ID
+ * @returns {Promise<Object|null>} - Signature or null if not signed
+ */
+async function getInspectionSignature(workOrderId) {
+  return await getOne(`
+    SELECT * FROM inspection_signatures
+    WHERE work_order_id = ?
+  `, [workOrderId]);
 }
 
 /**
@@ -398,6 +980,7 @@ async function getWorkOrderDetails(workOrderId) {
       u_customer.name AS customer_name,
       u_customer.phone AS customer_phone,
       u_customer.email AS customer_email,
+      u_customer.whatsapp_id AS customer_whatsapp_id,
       u_inspector.name AS inspector_name,
       u_inspector.phone AS inspector_phone,
       u_inspector.email AS inspector_email,
@@ -416,10 +999,12 @@ async function getWorkOrderDetails(workOrderId) {
   }
   
   const checklist = await getWorkOrderChecklist(workOrderId);
+  const signature = await getInspectionSignature(workOrderId);
   
   return {
     workOrder,
-    checklist
+    checklist,
+    signature
   };
 }
 
@@ -474,6 +1059,108 @@ async function storeMessage(messageData) {
   return await insert('messages', messageData);
 }
 
+// Delivery statuses in the order they happen, a status never moves backwards
+const DELIVERY_STATUSES = ['accepted', 'sent', 'delivered', 'read'];
+
+const DELIVERY_TIMESTAMP_COLUMNS = {
+  sent: 'sent_at',
+  delivered: 'delivered_at',
+  read: 'read_at',
+  failed: 'failed_at'
+};
+
+/**
+ * Record a message we sent, for delivery tracking
+ * 
+ * @param {Object} data - Outbound message data
+ * @param {string} data.provider - 'wassenger' or 'whatsapp_business'
+ * @param {string|null} data.providerMessageId - Message ID returned by the provider
+ * @param {string} data.recipient - Recipient phone number
+ * @param {string} data.messageType - text, image, video, document
+ * @param {string} data.content - Message text or caption
+ * @param {string} data.relatedEntityType - Optional entity the message is about (e.g. 'notification')
+ * @param {number} data.relatedEntityId - Optional entity ID
+ * @param {string} data.status - 'accepted' if the provider took the message, 'failed' otherwise
+ * @param {string} data.error - Error message for failed sends
+ * @returns {Promise<number>} - Inserted ID
+ */
+async function recordOutboundMessage(data) {
+  return await insert('outbound_messages', {
+    provider: data.provider,
+    provider_message_id: data.providerMessageId || null,
+    recipient: data.recipient,
+    message_type: data.messageType || 'text',
+    content: data.content || null,
+    related_entity_type: data.relatedEntityType || null,
+    related_entity_id: data.relatedEntityId || null,
+    status: data.status || 'accepted',
+    error: data.error || null,
+    failed_at: data.status === 'failed' ? new Date() : null
+  });
+}
+
+/**
+ * Apply a delivery status from a provider webhook to an outbound message
+ * 
+ * Receipts can arrive out of order, so a status only replaces an earlier one
+ * (a late "delivered" never overwrites "read"). A failure always applies.
+ * 
+ * @param {string} provider - 'wassenger' or 'whatsapp_business'
+ * @param {string} providerMessageId - Message ID returned by the provider
+ * @param {string} status - 'sent', 'delivered', 'read' or 'failed'
+ * @param {Date} timestamp - When the status happened
+ * @param {string} error - Failure reason, for failed messages
+ * @returns {Promise<boolean>} - True if a tracked message was updated
+ */
+async function updateOutboundMessageStatus(provider, providerMessageId, status, timestamp = new Date(), error = null) {
+  const timestampColumn = DELIVERY_TIMESTAMP_COLUMNS[status];
+  
+  if (!timestampColumn) {
+    throw new Error(`Unknown delivery status: ${status}`);
+  }
+  
+  // A read receipt implies delivery, even if the delivered receipt never arrives
+  const impliedColumns = status === 'read' ? ['sent_at', 'delivered_at'] : status === 'delivered' ? ['sent_at'] : [];
+  const setClause = [timestampColumn, ...impliedColumns]
+    .map(column => `${column} = COALESCE(${column}, ?)`)
+    .join(', ');
+  
+  const statusCondition = status === 'failed'
+    ? "status <> 'failed'"
+    : `status <> 'failed' AND FIELD(status, ${DELIVERY_STATUSES.map(() => '?').join(', ')}) < FIELD(?, ${DELIVERY_STATUSES.map(() => '?').join(', ')})`;
+  const statusParams = status === 'failed' ? [] : [...DELIVERY_STATUSES, status, ...DELIVERY_STATUSES];
+  
+  const result = await query(`
+    UPDATE outbound_messages
+    SET status = ?, error = COALESCE(?, error), ${setClause}
+    WHERE provider = ? AND provider_message_id = ? AND ${statusCondition}
+  `, [
+    status,
+    error,
+    ...[timestampColumn, ...impliedColumns].map(() => timestamp),
+    provider,
+    providerMessageId,
+    ...statusParams
+  ]);
+  
+  return result.affectedRows > 0;
+}
+
+/**
+ * Get the messages sent about an entity, newest first
+ * 
+ * @param {string} entityType - Related entity type (e.g. 'notification')
+ * @param {number} entityId - Related entity ID
+ * @returns {Promise<Array>} - Outbound messages with delivery status
+ */
+async function getOutboundMessagesFor(entityType, entityId) {
+  return await query(`
+    SELECT * FROM outbound_messages
+    WHERE related_entity_type = ? AND related_entity_id = ?
+    ORDER BY created_at DESC, id DESC
+  `, [entityType, entityId]);
+}
+
 /**
  * Update conversation context
  * 
@@ -482,12 +1169,12 @@ async function storeMessage(messageData) {
  * @returns {Promise<Object>} - Updated conversation
  */
 async function updateConversationContext(conversationId, context) {
-  await update('conversations', {
-    context: JSON.stringify(context),
-    last_message_at: new Date()
-  }, {
-    id: conversationId
-  });
+  // Bump the version so concurrent mergeConversationContext calls re-merge
+  await query(`
+    UPDATE conversations
+    SET context = ?, version = version + 1, last_message_at = NOW()
+    WHERE id = ?
+  `, [JSON.stringify(context), conversationId]);
   
   return await getOne(`
     SELECT * FROM conversations
@@ -495,6 +1182,48 @@ async function updateConversationContext(conversationId, context) {
   `, [conversationId]);
 }
 
+/**
+ * Update conversation context with optimistic concurrency
+ * 
+ * The updater receives the latest stored context and returns the new one. The
+ * write only succeeds if conversations.version is unchanged since the read, so
+ * on a conflict the context is re-read and the updater applied again.
+ * 
+ * @param {number} conversationId - Conversation ID
+ * @param {Function} updater - (currentContext) => newContext
+ * @param {number} maxAttempts - Attempts before giving up
+ * @returns {Promise<{context: Object, version: number, conflicts: number}>} - Stored context and version
+ */
+async function mergeConversationContext(conversationId, updater, maxAttempts = 5) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const row = await getOne(`
+      SELECT context, version FROM conversations
+      WHERE id = ?
+    `, [conversationId]);
+    
+    if (!row) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+    
+    const current = typeof row.context === 'string'
+      ? JSON.parse(row.context || '{}')
+      : (row.context || {});
+    const context = updater(current);
+    
+    const result = await query(`
+      UPDATE conversations
+      SET context = ?, version = version + 1, last_message_at = NOW()
+      WHERE id = ? AND version = ?
+    `, [JSON.stringify(context), conversationId, row.version]);
+    
+    if (result.affectedRows === 1) {
+      return { context, version: row.version + 1, conflicts: attempt - 1 };
+    }
+  }
+  
+  throw new Error(`Conversation ${conversationId} context changed ${maxAttempts} times while saving`);
+}
+
 /**
  * Create a notification
  * 
@@ -503,34 +1232,71 @@ async function updateConversationContext(conversationId, context) {
  * @param {string} message - Notification message
  * @param {string} entityType - Related entity type
  * @param {number} entityId - Related entity ID
+ * @param {Object} connection - Optional transaction connection
  * @returns {Promise<number>} - Inserted notification ID
  */
-async function createNotification(userId, type, message, entityType, entityId) {
-  return await insert('notifications', {
-    user_id: userId,
-    notification_type: type,
-    message,
-    related_entity_type: entityType,
-    related_entity_id: entityId,
-    status: 'pending'
-  });
+async function createNotification(userId, type, message, entityType, entityId, connection = null) {
+  const [result] = await (connection || pool).execute(`
+    INSERT INTO notifications (user_id, notification_type, message, related_entity_type, related_entity_id, status)
+    VALUES (?, ?, ?, ?, ?, 'pending')
+  `, [userId, type, message, entityType, entityId]);
+  
+  return result.insertId;
 }
 
 /**
  * Get pending notifications
  * 
  * @param {number} limit - Maximum number of notifications to retrieve
- * @returns {Promise<Array>} - Pending notifications
+ * @returns {Promise<Array>} - Pending notifications that are due
  */
 async function getPendingNotifications(limit = 10) {
   return await query(`
-    SELECT n.*, u.email, u.phone, u.whatsapp_id
+    SELECT n.*, u.name, u.email, u.phone, u.whatsapp_id, u.role
     FROM notifications n
     JOIN users u ON n.user_id = u.id
     WHERE n.status = 'pending'
+      AND (n.next_attempt_at IS NULL OR n.next_attempt_at <= NOW())
     ORDER BY n.created_at ASC
     LIMIT ?
-  `, [limit]);
+  `, [String(limit)]);
+}
+
+/**
+ * Claim due notifications for delivery
+ * 
+ * Claimed rows are set to 'processing' with their attempt count bumped, so
+ * several dispatchers never deliver the same notification twice.
+ * 
+ * @param {number} limit - Maximum number of notifications to claim
+ * @returns {Promise<Array>} - Claimed notifications with recipient details
+ */
+async function claimPendingNotifications(limit = 10) {
+  return await transaction(async connection => {
+    const [rows] = await connection.execute(`
+      SELECT n.*, u.name, u.email, u.phone, u.whatsapp_id, u.role
+      FROM notifications n
+      JOIN users u ON n.user_id = u.id
+      WHERE n.status = 'pending'
+        AND (n.next_attempt_at IS NULL OR n.next_attempt_at <= NOW())
+      ORDER BY n.created_at ASC, n.id ASC
+      LIMIT ?
+      FOR UPDATE OF n SKIP LOCKED
+    `, [String(limit)]);
+    
+    if (rows.length === 0) {
+      return [];
+    }
+    
+    const ids = rows.map(row => row.id);
+    await connection.execute(`
+      UPDATE notifications
+      SET status = 'processing', attempts = attempts + 1, locked_at = NOW()
+      WHERE id IN (${ids.map(() => '?').join(', ')})
+    `, ids);
+    
+    return rows.map(row => ({ ...row, status: 'processing', attempts: row.attempts + 1 }));
+  });
 }
 
 /**
@@ -538,35 +1304,185 @@ async function getPendingNotifications(limit = 10) {
  * 
  * @param {number} notificationId - Notification ID
  * @param {string} status - New status
+ * @param {string} error - Failure reason, for failed notifications
  * @returns {Promise<Object>} - Update result
  */
-async function updateNotificationStatus(notificationId, status) {
+async function updateNotificationStatus(notificationId, status, error = null) {
   return await update('notifications', {
     status,
-    sent_at: status === 'sent' ? new Date() : null
+    sent_at: status === 'sent' ? new Date() : null,
+    last_error: error,
+    locked_at: null
   }, {
     id: notificationId
   });
 }
 
 /**
- * Store a report PDF
+ * Put a notification back in the queue after a failed delivery attempt
  * 
- * @param {number} workOrderId - Work order ID
- * @param {Buffer} pdfBuffer - PDF file as buffer
+ * @param {number} notificationId - Notification ID
+ * @param {string} error - Failure reason
+ * @param {number} delaySeconds - Wait before the next attempt
  * @returns {Promise<Object>} - Update result
  */
-async function storeReportPdf(workOrderId, pdfBuffer) {
-  return await update('reports', {
-    report_file: pdfBuffer,
-    generated_at: new Date()
-  }, {
-    work_order_id: workOrderId
+async function scheduleNotificationRetry(notificationId, error, delaySeconds) {
+  return await query(`
+    UPDATE notifications
+    SET status = 'pending', last_error = ?, next_attempt_at = NOW() + INTERVAL ? SECOND, locked_at = NULL
+    WHERE id = ?
+  `, [error, delaySeconds, notificationId]);
+}
+
+/**
+ * Return notifications held by a crashed dispatcher to the queue
+ * 
+ * @param {number} timeoutSeconds - Age after which a claim is considered stale
+ * @returns {Promise<number>} - Number of released notifications
+ */
+async function releaseStaleNotifications(timeoutSeconds) {
+  const result = await query(`
+    UPDATE notifications
+    SET status = 'pending', last_error = 'Dispatcher lock expired', locked_at = NULL
+    WHERE status = 'processing'
+      AND locked_at < NOW() - INTERVAL ? SECOND
+  `, [timeoutSeconds]);
+  
+  return result.affectedRows;
+}
+
+/**
+ * Get a user's in-app notification feed, newest first
+ * 
+ * @param {number} userId - User ID
+ * @param {Object} options - Feed options
+ * @param {boolean} options.unreadOnly - Only return unread notifications
+ * @param {number} options.limit - Maximum number of notifications
+ * @returns {Promise<Array>} - Delivered system notifications
+ */
+async function getNotificationFeed(userId, options = {}) {
+  const { unreadOnly = false, limit = 50 } = options;
+  
+  return await query(`
+    SELECT id, message, related_entity_type, related_entity_id, sent_at, read_at, created_at
+    FROM notifications
+    WHERE user_id = ? AND notification_type = 'system' AND status = 'sent'
+      ${unreadOnly ? 'AND read_at IS NULL' : ''}
+    ORDER BY sent_at DESC, id DESC
+    LIMIT ?
+  `, [userId, String(limit)]);
+}
+
+/**
+ * Mark an in-app notification as read
+ * 
+ * @param {number} notificationId - Notification ID
+ * @param {number} userId - Owner of the notification
+ * @returns {Promise<Object>} - Update result
+ */
+async function markNotificationRead(notificationId, userId) {
+  return await query(`
+    UPDATE notifications
+    SET read_at = COALESCE(read_at, NOW())
+    WHERE id = ? AND user_id = ?
+  `, [notificationId, userId]);
+}
+
+/**
+ * Record the PDF of a report version, kept in object storage
+ * 
+ * A freshly generated PDF is a draft until the inspector approves it.
+ * 
+ * @param {number} reportId - Report version ID
+ * @param {Object} file - Stored file from storage.saveFile(): { key, checksum, size }
+ * @param {Object} options - Report metadata
+ * @param {number|null} options.templateId - Report template the PDF was rendered with
+ * @param {string|null} options.contentHash - SHA-256 of the report data
+ * @param {Object} connection - Optional transaction connection
+ * @returns {Promise<Object>} - Update result
+ */
+async function storeReportPdf(reportId, file, options = {}, connection = null) {
+  const [result] = await (connection || pool).execute(`
+    UPDATE reports
+    SET storage_key = ?, file_size = ?, report_template_id = ?, content_hash = ?, file_hash = ?,
+        generated_at = NOW(), status = 'draft', reviewed_by = NULL, reviewed_at = NULL, review_notes = NULL
+    WHERE id = ?
+  `, [
+    file.key,
+    file.size,
+    options.templateId || null,
+    options.contentHash || null,
+    file.checksum,
+    reportId
+  ]);
+  
+  return result;
+}
+
+/**
+ * Add a report version to be generated
+ * 
+ * Earlier versions, and the PDFs the customer already received, are kept.
+ * 
+ * @param {number} workOrderId - Work order ID
+ * @param {Object} options - Version metadata
+ * @param {number|null} options.generatedBy - User who asked for the new version
+ * @param {string|null} options.reason - Why the report is regenerated
+ * @returns {Promise<Object>} - { id, version }
+ */
+async function createReportVersion(workOrderId, options = {}) {
+  return await transaction(async (connection) => {
+    // Lock the work order's versions so two regenerations can't pick the same number
+    const [rows] = await connection.execute(`
+      SELECT COALESCE(MAX(version), 0) + 1 AS next_version
+      FROM reports
+      WHERE work_order_id = ?
+      FOR UPDATE
+    `, [workOrderId]);
+    
+    const version = rows[0].next_version;
+    
+    const [result] = await connection.execute(`
+      INSERT INTO reports (work_order_id, version, generated_by, generation_reason)
+      VALUES (?, ?, ?, ?)
+    `, [workOrderId, version, options.generatedBy || null, options.reason || null]);
+    
+    return { id: result.insertId, version };
   });
 }
 
 /**
- * Get report by work order ID
+ * Get the report template for a work order
+ * 
+ * The contract's template is used first, then the customer's, then the default template.
+ * 
+ * @param {number} workOrderId - Work order ID
+ * @returns {Promise<Object|null>} - Report template or null if none is configured
+ */
+async function getReportTemplateForWorkOrder(workOrderId) {
+  const assigned = await getOne(`
+    SELECT rt.*
+    FROM work_orders wo
+    JOIN contracts c ON wo.contract_id = c.id
+    JOIN users u ON c.customer_id = u.id
+    JOIN report_templates rt ON rt.id = COALESCE(c.report_template_id, u.report_template_id)
+    WHERE wo.id = ?
+  `, [workOrderId]);
+  
+  if (assigned) {
+    return assigned;
+  }
+  
+  return await getOne(`
+    SELECT * FROM report_templates
+    WHERE is_default = TRUE
+    ORDER BY id
+    LIMIT 1
+  `);
+}
+
+/**
+ * Get the latest report version for a work order
  * 
  * @param {number} workOrderId - Work order ID
  * @returns {Promise<Object|null>} - Report or null
@@ -575,30 +1491,213 @@ async function getReportByWorkOrderId(workOrderId) {
   return await getOne(`
     SELECT * FROM reports
     WHERE work_order_id = ?
+    ORDER BY version DESC
+    LIMIT 1
   `, [workOrderId]);
 }
 
+/**
+ * Get the latest report version released to the customer
+ * 
+ * @param {number} workOrderId - Work order ID
+ * @returns {Promise<Object|null>} - Approved or sent report, or null
+ */
+async function getReleasedReport(workOrderId) {
+  return await getOne(`
+    SELECT * FROM reports
+    WHERE work_order_id = ? AND status IN ('approved', 'sent') AND storage_key IS NOT NULL
+    ORDER BY version DESC
+    LIMIT 1
+  `, [workOrderId]);
+}
+
+/**
+ * Get a report version by ID, without the PDF
+ * 
+ * @param {number} reportId - Report version ID
+ * @returns {Promise<Object|null>} - Report or null
+ */
+async function getReportById(reportId) {
+  return await getOne(`
+    SELECT id, work_order_id, version, storage_key, file_size, status, generated_at, generated_by, generation_reason,
+           reviewed_by, reviewed_at, review_notes, sent_to_customer, sent_at,
+           storage_key IS NOT NULL AS has_file
+    FROM reports
+    WHERE id = ?
+  `, [reportId]);
+}
+
+/**
+ * Get every report version for a work order, without the PDFs
+ * 
+ * @param {number} workOrderId - Work order ID
+ * @returns {Promise<Array>} - Report versions, oldest first, with who generated and reviewed them
+ */
+async function getReportVersions(workOrderId) {
+  return await query(`
+    SELECT r.id, r.version, r.status, r.generated_at, r.generation_reason,
+           r.reviewed_at, r.review_notes, r.sent_to_customer, r.sent_at,
+           r.content_hash, r.file_hash,
+           u_generated.name AS generated_by_name,
+           u_reviewed.name AS reviewed_by_name
+    FROM reports r
+    LEFT JOIN users u_generated ON r.generated_by = u_generated.id
+    LEFT JOIN users u_reviewed ON r.reviewed_by = u_reviewed.id
+    WHERE r.work_order_id = ?
+    ORDER BY r.version
+  `, [workOrderId]);
+}
+
+/**
+ * Find an inspector's report that is waiting for their review
+ * Only the latest version of a work order's report can be reviewed.
+ * 
+ * @param {number} inspectorId - Inspector's user ID
+ * @param {number|null} workOrderId - Work order ID, or null for the latest draft
+ * @returns {Promise<Object|null>} - Report (without the PDF) with the work order address
+ */
+async function findReportForReview(inspectorId, workOrderId = null) {
+  const conditions = [
+    'wo.inspector_id = ?',
+    'r.storage_key IS NOT NULL',
+    'r.version = (SELECT MAX(version) FROM reports WHERE work_order_id = r.work_order_id)'
+  ];
+  const params = [inspectorId];
+  
+  // A specific report is returned whatever its status, so the caller can explain it
+  if (workOrderId) {
+    conditions.push('r.work_order_id = ?');
+    params.push(workOrderId);
+  } else {
+    conditions.push("r.status = 'draft'");
+  }
+  
+  return await getOne(`
+    SELECT r.id, r.work_order_id, r.version, r.status, r.generated_at, r.reviewed_at, r.sent_at,
+           p.address
+    FROM reports r
+    JOIN work_orders wo ON r.work_order_id = wo.id
+    JOIN contracts c ON wo.contract_id = c.id
+    JOIN properties p ON c.property_id = p.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY r.generated_at DESC
+    LIMIT 1
+  `, params);
+}
+
+/**
+ * Approve a draft report version for release to the customer
+ * 
+ * @param {number} reportId - Report version ID
+ * @param {number} reviewerId - User who approved the report
+ * @param {Object} connection - Optional transaction connection
+ * @returns {Promise<boolean>} - True if the report was a draft and is now approved
+ */
+async function approveReport(reportId, reviewerId, connection = null) {
+  const [result] = await (connection || pool).execute(`
+    UPDATE reports
+    SET status = 'approved', reviewed_by = ?, reviewed_at = NOW(), review_notes = NULL
+    WHERE id = ? AND status = 'draft' AND storage_key IS NOT NULL
+  `, [reviewerId, reportId]);
+  
+  return result.affectedRows > 0;
+}
+
+/**
+ * Record why a draft report version was rejected, it stays a draft
+ * 
+ * @param {number} reportId - Report version ID
+ * @param {number} reviewerId - User who rejected the report
+ * @param {string} notes - What needs to change
+ * @param {Object} connection - Optional transaction connection
+ * @returns {Promise<boolean>} - True if the report was a draft
+ */
+async function rejectReport(reportId, reviewerId, notes, connection = null) {
+  const [result] = await (connection || pool).execute(`
+    UPDATE reports
+    SET reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+    WHERE id = ? AND status = 'draft'
+  `, [reviewerId, notes, reportId]);
+  
+  return result.affectedRows > 0;
+}
+
+/**
+ * Mark the report version the customer received as sent
+ * 
+ * @param {number} reportId - Report version ID
+ * @returns {Promise<Object>} - Update result
+ */
+async function markReportSent(reportId) {
+  return await update('reports', {
+    status: 'sent',
+    sent_to_customer: true,
+    sent_at: new Date()
+  }, {
+    id: reportId
+  });
+}
+
 module.exports = {
   query,
+  transaction,
   getOne,
   insert,
   update,
+  recordRawMessage,
+  recordInboundMessage,
+  markMessageProcessed,
   storeMedia,
+  assignMediaToItem,
   getMediaById,
+  updateMediaMetadata,
+  updateMediaTranscript,
+  storeMediaVariant,
+  getMediaVariant,
   getMediaForChecklistItem,
   getInspectorWorkOrders,
+  getWorkOrderById,
   getWorkOrderChecklist,
   startInspection,
   updateChecklistItem,
+  recordItemAnswer,
+  getChecklistItem,
+  createItemSuggestion,
+  markItemSuggestionSent,
+  getItemSuggestion,
+  getLatestItemSuggestion,
+  findPendingItemSuggestion,
+  resolveItemSuggestion,
+  getUnmetRequirements,
   completeInspection,
+  recordInspectionSignature,
+  getInspectionSignature,
   getWorkOrderDetails,
   findInspectorByWhatsAppId,
   getOrCreateConversation,
   storeMessage,
+  recordOutboundMessage,
+  updateOutboundMessageStatus,
+  getOutboundMessagesFor,
   updateConversationContext,
+  mergeConversationContext,
   createNotification,
   getPendingNotifications,
+  claimPendingNotifications,
   updateNotificationStatus,
+  scheduleNotificationRetry,
+  releaseStaleNotifications,
+  getNotificationFeed,
+  markNotificationRead,
   storeReportPdf,
-  getReportByWorkOrderId
+  createReportVersion,
+  getReportTemplateForWorkOrder,
+  getReportByWorkOrderId,
+  getReleasedReport,
+  getReportById,
+  getReportVersions,
+  findReportForReview,
+  approveReport,
+  rejectReport,
+  markReportSent
 };
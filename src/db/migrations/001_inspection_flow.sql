@@ -0,0 +1,3 @@
+-- Media can arrive before the inspector has picked a checklist item,
+-- so it is stored unassigned and linked to an item later
+ALTER TABLE media MODIFY checklist_instance_item_id INT NULL;
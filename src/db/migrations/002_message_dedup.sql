@@ -0,0 +1,9 @@
+-- Providers retry webhooks, so the same message can arrive more than once.
+-- Drop earlier duplicates, then let the unique index reject replays.
+DELETE newer FROM raw_messages newer
+JOIN raw_messages older
+  ON newer.provider = older.provider
+ AND newer.external_id = older.external_id
+ AND newer.id > older.id;
+
+CREATE UNIQUE INDEX uniq_raw_messages_external ON raw_messages(provider, external_id);
@@ -0,0 +1,3 @@
+-- Version counter for optimistic concurrency on conversations.context.
+-- Every context write bumps it, a write against a stale version is retried.
+ALTER TABLE conversations ADD COLUMN version INT NOT NULL DEFAULT 0 AFTER context;
@@ -0,0 +1,8 @@
+-- Delivery bookkeeping for the notification dispatcher
+ALTER TABLE notifications MODIFY status ENUM('pending', 'processing', 'sent', 'failed') NOT NULL DEFAULT 'pending';
+ALTER TABLE notifications ADD COLUMN attempts INT NOT NULL DEFAULT 0 AFTER status;
+ALTER TABLE notifications ADD COLUMN last_error TEXT AFTER attempts;
+ALTER TABLE notifications ADD COLUMN next_attempt_at TIMESTAMP NULL AFTER last_error;
+ALTER TABLE notifications ADD COLUMN locked_at TIMESTAMP NULL AFTER next_attempt_at;
+ALTER TABLE notifications ADD COLUMN read_at TIMESTAMP NULL AFTER sent_at;
+CREATE INDEX idx_notifications_dispatch ON notifications(status, next_attempt_at);
@@ -0,0 +1,7 @@
+-- Branded report templates, the table itself is created by schema.sql.
+-- A contract's template wins over its customer's, then the default template.
+ALTER TABLE contracts ADD COLUMN report_template_id INT NULL AFTER terms;
+ALTER TABLE contracts ADD CONSTRAINT fk_contracts_report_template FOREIGN KEY (report_template_id) REFERENCES report_templates(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN report_template_id INT NULL AFTER whatsapp_id;
+ALTER TABLE users ADD CONSTRAINT fk_users_report_template FOREIGN KEY (report_template_id) REFERENCES report_templates(id) ON DELETE SET NULL;
+ALTER TABLE reports ADD COLUMN report_template_id INT NULL AFTER report_file;
@@ -0,0 +1,5 @@
+-- Put the executive summary at the front of existing report templates
+UPDATE report_templates
+SET sections = JSON_ARRAY_INSERT(sections, '$[0]', 'summary')
+WHERE sections IS NOT NULL
+  AND NOT JSON_CONTAINS(sections, '"summary"');
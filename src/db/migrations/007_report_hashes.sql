@@ -0,0 +1,3 @@
+-- Tamper evidence for generated reports: SHA-256 of the report data and of the PDF file
+ALTER TABLE reports ADD COLUMN content_hash CHAR(64) AFTER report_template_id;
+ALTER TABLE reports ADD COLUMN file_hash CHAR(64) AFTER content_hash;
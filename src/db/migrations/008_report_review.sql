@@ -0,0 +1,9 @@
+-- Reports are reviewed by the inspector before they are released to the customer
+ALTER TABLE reports ADD COLUMN status ENUM('draft', 'approved', 'sent') NOT NULL DEFAULT 'draft' AFTER generated_at;
+ALTER TABLE reports ADD COLUMN reviewed_by INT NULL AFTER status;
+ALTER TABLE reports ADD COLUMN reviewed_at TIMESTAMP NULL AFTER reviewed_by;
+ALTER TABLE reports ADD COLUMN review_notes TEXT AFTER reviewed_at;
+ALTER TABLE reports ADD CONSTRAINT fk_reports_reviewed_by FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL;
+
+-- Reports delivered before the review step existed
+UPDATE reports SET status = 'sent' WHERE sent_to_customer = TRUE;
@@ -0,0 +1,9 @@
+-- Reports are versioned, regenerating a report adds a row instead of overwriting the PDF
+ALTER TABLE reports ADD COLUMN version INT NOT NULL DEFAULT 1 AFTER work_order_id;
+ALTER TABLE reports ADD COLUMN generated_by INT NULL AFTER generated_at;
+ALTER TABLE reports ADD COLUMN generation_reason TEXT AFTER generated_by;
+ALTER TABLE reports ADD CONSTRAINT fk_reports_generated_by FOREIGN KEY (generated_by) REFERENCES users(id) ON DELETE SET NULL;
+
+-- The composite key keeps an index for the work_order_id foreign key, so the old unique index can go
+ALTER TABLE reports ADD UNIQUE KEY uq_reports_version (work_order_id, version);
+ALTER TABLE reports DROP INDEX work_order_id;
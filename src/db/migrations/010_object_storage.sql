@@ -0,0 +1,9 @@
+-- Media files and report PDFs move to object storage, rows keep the key, checksum and size.
+-- The BLOB columns stay until scripts/migrate-blobs-to-storage.js has moved their content.
+ALTER TABLE media ADD COLUMN storage_key VARCHAR(512) NULL AFTER content_type;
+ALTER TABLE media ADD COLUMN checksum CHAR(64) NULL AFTER storage_key;
+ALTER TABLE media ADD COLUMN size_bytes BIGINT NULL AFTER checksum;
+ALTER TABLE media MODIFY content LONGBLOB NULL;
+
+ALTER TABLE reports ADD COLUMN storage_key VARCHAR(512) NULL AFTER version;
+ALTER TABLE reports ADD COLUMN file_size BIGINT NULL AFTER storage_key;
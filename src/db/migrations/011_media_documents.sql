@@ -0,0 +1,2 @@
+-- Documents sent over WhatsApp are stored with their original file name
+ALTER TABLE media MODIFY media_type ENUM('image', 'video', 'audio', 'document') NOT NULL;
@@ -0,0 +1,8 @@
+-- Photo metadata read from EXIF, the variants are in the media_variants table
+ALTER TABLE media ADD COLUMN width INT NULL AFTER size_bytes;
+ALTER TABLE media ADD COLUMN height INT NULL AFTER width;
+ALTER TABLE media ADD COLUMN captured_at DATETIME NULL AFTER height;
+ALTER TABLE media ADD COLUMN gps_latitude DECIMAL(9,6) NULL AFTER captured_at;
+ALTER TABLE media ADD COLUMN gps_longitude DECIMAL(9,6) NULL AFTER gps_latitude;
+ALTER TABLE media ADD COLUMN device VARCHAR(255) NULL AFTER gps_longitude;
+ALTER TABLE media ADD COLUMN processed_at TIMESTAMP NULL AFTER device;
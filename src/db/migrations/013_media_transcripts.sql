@@ -0,0 +1,2 @@
+-- Speech-to-text of voice notes
+ALTER TABLE media ADD COLUMN transcript TEXT NULL AFTER processed_at;
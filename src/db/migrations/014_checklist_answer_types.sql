@@ -0,0 +1,10 @@
+-- Typed answers for checklist items: numbers, meter readings, choices, yes/no and ratings
+ALTER TABLE checklist_template_items ADD COLUMN answer_type ENUM('status', 'number', 'choice', 'yes_no', 'meter', 'rating') NOT NULL DEFAULT 'status' AFTER requires_comment;
+ALTER TABLE checklist_template_items ADD COLUMN unit VARCHAR(32) NULL AFTER answer_type;
+ALTER TABLE checklist_template_items ADD COLUMN min_value DECIMAL(15,4) NULL AFTER unit;
+ALTER TABLE checklist_template_items ADD COLUMN max_value DECIMAL(15,4) NULL AFTER min_value;
+ALTER TABLE checklist_template_items ADD COLUMN choices JSON NULL AFTER max_value;
+ALTER TABLE checklist_template_items ADD COLUMN issue_answers JSON NULL AFTER choices;
+ALTER TABLE checklist_instance_items ADD COLUMN answer_value VARCHAR(255) NULL AFTER comments;
+ALTER TABLE checklist_instance_items ADD COLUMN answer_numeric DECIMAL(15,4) NULL AFTER answer_value;
+ALTER TABLE checklist_instance_items ADD COLUMN answered_at TIMESTAMP NULL AFTER answer_numeric;
@@ -0,0 +1,11 @@
+-- Checklist sections, sections repeated per room and items that depend on an earlier answer.
+-- The checklist_template_sections table is created by schema.sql
+ALTER TABLE properties ADD COLUMN bedrooms INT NULL AFTER property_type;
+ALTER TABLE properties ADD COLUMN bathrooms INT NULL AFTER bedrooms;
+ALTER TABLE checklist_template_items ADD COLUMN section_id INT NULL AFTER template_id;
+ALTER TABLE checklist_template_items ADD CONSTRAINT fk_template_items_section FOREIGN KEY (section_id) REFERENCES checklist_template_sections(id) ON DELETE SET NULL;
+ALTER TABLE checklist_template_items ADD COLUMN condition_item_id INT NULL AFTER issue_answers;
+ALTER TABLE checklist_template_items ADD COLUMN condition_answer VARCHAR(255) NULL AFTER condition_item_id;
+ALTER TABLE checklist_template_items ADD CONSTRAINT fk_template_items_condition FOREIGN KEY (condition_item_id) REFERENCES checklist_template_items(id) ON DELETE SET NULL;
+ALTER TABLE checklist_instance_items ADD COLUMN repeat_index INT NOT NULL DEFAULT 1 AFTER template_item_id;
+ALTER TABLE checklist_instance_items ADD COLUMN section_label VARCHAR(255) NULL AFTER repeat_index;
@@ -0,0 +1,8 @@
+-- The worker retries failed jobs, so an inbound message can be processed more than once.
+-- Drop rows earlier retries stored twice, then let the unique index mark a message as taken.
+DELETE newer FROM messages newer
+JOIN messages older
+  ON newer.whatsapp_message_id = older.whatsapp_message_id
+ AND newer.id > older.id;
+
+CREATE UNIQUE INDEX uniq_messages_whatsapp_id ON messages(whatsapp_message_id);
@@ -0,0 +1,3 @@
+-- Incoming messages take the type the webhook parser gives them, documents included.
+-- Same as raw_messages and outbound_messages, so a new type doesn't need a migration.
+ALTER TABLE messages MODIFY message_type VARCHAR(20) NOT NULL;
@@ -0,0 +1,4 @@
+-- A retried job processes its message again until processed_at is set at the end.
+-- No backfill: db-setup applies every migration on each run, and it would mark messages
+-- that are waiting for a retry as processed.
+ALTER TABLE messages ADD COLUMN processed_at TIMESTAMP NULL AFTER whatsapp_message_id;
@@ -0,0 +1,3 @@
+-- A suggestion is stored before it is sent, so a retried analysis can send one that never arrived.
+-- No backfill: db-setup applies every migration on each run, and it would mark unsent suggestions as sent.
+ALTER TABLE checklist_item_suggestions ADD COLUMN sent_at TIMESTAMP NULL AFTER status;
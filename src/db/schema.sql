@@ -3,6 +3,26 @@
 -- Enable foreign key constraints
 SET FOREIGN_KEY_CHECKS = 1;
 
+-- Create report_templates table for branded PDF reports
+-- Selected per contract, then per customer, then the is_default template
+-- sections is a JSON array of: summary, details, property, customer, checklist, signature
+CREATE TABLE IF NOT EXISTS report_templates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    brand_name VARCHAR(255) NOT NULL DEFAULT 'Property Stewards',
+    title VARCHAR(255) NOT NULL DEFAULT 'Property Inspection Report',
+    logo LONGBLOB,
+    primary_color VARCHAR(7) NOT NULL DEFAULT '#000000',
+    accent_color VARCHAR(7) NOT NULL DEFAULT '#555555',
+    header_text VARCHAR(500),
+    footer_text VARCHAR(500),
+    sections JSON,
+    show_customer_contact BOOLEAN NOT NULL DEFAULT TRUE,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
 -- Create users table
 CREATE TABLE IF NOT EXISTS users (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -11,8 +31,10 @@ CREATE TABLE IF NOT EXISTS users (
     phone VARCHAR(20) NOT NULL,
     role ENUM('admin', 'inspector', 'customer') NOT NULL,
     whatsapp_id VARCHAR(255) UNIQUE,
+    report_template_id INT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (report_template_id) REFERENCES report_templates(id) ON DELETE SET NULL
 );
 
 -- Create properties table
@@ -23,6 +45,8 @@ CREATE TABLE IF NOT EXISTS properties (
     state VARCHAR(50) NOT NULL,
     postal_code VARCHAR(20) NOT NULL,
     property_type ENUM('residential', 'commercial', 'industrial', 'land') NOT NULL,
+    bedrooms INT NULL,
+    bathrooms INT NULL,
     owner_id INT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -38,10 +62,12 @@ CREATE TABLE IF NOT EXISTS contracts (
     end_date DATE,
     status ENUM('draft', 'active', 'completed', 'cancelled') NOT NULL DEFAULT 'draft',
     terms TEXT,
+    report_template_id INT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (customer_id) REFERENCES users(id) ON DELETE CASCADE,
-    FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+    FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+    FOREIGN KEY (report_template_id) REFERENCES report_templates(id) ON DELETE SET NULL
 );
 
 -- Create checklist_templates table
@@ -53,18 +79,51 @@ CREATE TABLE IF NOT EXISTS checklist_templates (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Create checklist_template_sections table for grouping template items (Exterior, Kitchen, Bathroom)
+-- repeat_by repeats the section for each bedroom or bathroom of the property ("Bathroom 1" .. "Bathroom n").
+-- condition_item_id and condition_answer only include the section when an earlier item got that answer
+CREATE TABLE IF NOT EXISTS checklist_template_sections (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    template_id INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    section_order INT NOT NULL,
+    repeat_by ENUM('bedrooms', 'bathrooms') NULL,
+    condition_item_id INT NULL,
+    condition_answer VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (template_id) REFERENCES checklist_templates(id) ON DELETE CASCADE
+);
+
 -- Create checklist_items table for template items
+-- Items without a section come first. item_order is the order within the section.
+-- condition_item_id and condition_answer only include the item when an earlier item got that answer
 CREATE TABLE IF NOT EXISTS checklist_template_items (
     id INT AUTO_INCREMENT PRIMARY KEY,
     template_id INT NOT NULL,
+    section_id INT NULL,
     name VARCHAR(255) NOT NULL,
     description TEXT,
     item_order INT NOT NULL,
     requires_media BOOLEAN DEFAULT FALSE,
     requires_comment BOOLEAN DEFAULT FALSE,
+    -- 'status' items are only marked completed / issue found, the others also take an answer.
+    -- min_value and max_value are the acceptable range of number, meter and rating answers,
+    -- choices lists the options of a choice item, issue_answers the choice or yes/no answers that are an issue
+    answer_type ENUM('status', 'number', 'choice', 'yes_no', 'meter', 'rating') NOT NULL DEFAULT 'status',
+    unit VARCHAR(32) NULL,
+    min_value DECIMAL(15,4) NULL,
+    max_value DECIMAL(15,4) NULL,
+    choices JSON NULL,
+    issue_answers JSON NULL,
+    condition_item_id INT NULL,
+    condition_answer VARCHAR(255) NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (template_id) REFERENCES checklist_templates(id) ON DELETE CASCADE
+    FOREIGN KEY (template_id) REFERENCES checklist_templates(id) ON DELETE CASCADE,
+    FOREIGN KEY (section_id) REFERENCES checklist_template_sections(id) ON DELETE SET NULL,
+    FOREIGN KEY (condition_item_id) REFERENCES checklist_template_items(id) ON DELETE SET NULL
 );
 
 -- Create work orders table
@@ -97,12 +156,18 @@ CREATE TABLE IF NOT EXISTS checklist_instances (
 );
 
 -- Create checklist_instance_items table
+-- A repeated section has its items once per room, repeat_index and section_label ("Bathroom 2") tell them apart
 CREATE TABLE IF NOT EXISTS checklist_instance_items (
     id INT AUTO_INCREMENT PRIMARY KEY,
     checklist_instance_id INT NOT NULL,
     template_item_id INT NOT NULL,
+    repeat_index INT NOT NULL DEFAULT 1,
+    section_label VARCHAR(255) NULL,
     status ENUM('pending', 'completed', 'skipped', 'issue_found') NOT NULL DEFAULT 'pending',
     comments TEXT,
+    answer_value VARCHAR(255) NULL,
+    answer_numeric DECIMAL(15,4) NULL,
+    answered_at TIMESTAMP NULL,
     completed_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -110,29 +175,105 @@ CREATE TABLE IF NOT EXISTS checklist_instance_items (
     FOREIGN KEY (template_item_id) REFERENCES checklist_template_items(id) ON DELETE CASCADE
 );
 
--- Create media table for storing images and videos as BLOBs
-CREATE TABLE IF NOT EXISTS media (
+-- Create checklist_item_suggestions table for status and comment suggestions from photo analysis
+-- The inspector accepts or dismisses each suggestion, a newer one supersedes a pending one
+CREATE TABLE IF NOT EXISTS checklist_item_suggestions (
     id INT AUTO_INCREMENT PRIMARY KEY,
     checklist_instance_item_id INT NOT NULL,
-    media_type ENUM('image', 'video', 'audio') NOT NULL,
+    media_ids JSON NOT NULL,
+    suggested_status ENUM('completed', 'issue_found') NOT NULL,
+    suggested_comment TEXT NULL,
+    confidence DECIMAL(3,2) NULL,
+    model VARCHAR(100) NULL,
+    status ENUM('pending', 'accepted', 'dismissed', 'superseded') NOT NULL DEFAULT 'pending',
+    sent_at TIMESTAMP NULL,
+    resolved_by INT NULL,
+    resolved_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (checklist_instance_item_id) REFERENCES checklist_instance_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Create media table for photos, videos, voice notes and documents, the files live in object storage
+CREATE TABLE IF NOT EXISTS media (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    checklist_instance_item_id INT NULL,
+    media_type ENUM('image', 'video', 'audio', 'document') NOT NULL,
     file_name VARCHAR(255) NOT NULL,
     content_type VARCHAR(100) NOT NULL,
-    content LONGBLOB NOT NULL,
+    storage_key VARCHAR(512) NOT NULL,
+    checksum CHAR(64) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    width INT NULL,
+    height INT NULL,
+    captured_at DATETIME NULL,
+    gps_latitude DECIMAL(9,6) NULL,
+    gps_longitude DECIMAL(9,6) NULL,
+    device VARCHAR(255) NULL,
+    processed_at TIMESTAMP NULL,
+    transcript TEXT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (checklist_instance_item_id) REFERENCES checklist_instance_items(id) ON DELETE CASCADE
 );
 
--- Create reports table
-CREATE TABLE IF NOT EXISTS reports (
+-- Create media_variants table for resized, auto-rotated copies of photos
+CREATE TABLE IF NOT EXISTS media_variants (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    media_id INT NOT NULL,
+    variant ENUM('thumbnail', 'web') NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    storage_key VARCHAR(512) NOT NULL,
+    checksum CHAR(64) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    width INT NOT NULL,
+    height INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_media_variant (media_id, variant),
+    FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE
+);
+
+-- Create inspection_signatures table for the inspector's sign-off on completion
+-- method 'typed' is a full-name attestation, 'image' a photo of a signature
+CREATE TABLE IF NOT EXISTS inspection_signatures (
     id INT AUTO_INCREMENT PRIMARY KEY,
     work_order_id INT NOT NULL UNIQUE,
-    report_file LONGBLOB,
+    signer_id INT,
+    signer_name VARCHAR(255) NOT NULL,
+    method ENUM('typed', 'image') NOT NULL,
+    typed_name VARCHAR(255),
+    signature_media_id INT NULL,
+    attestation TEXT NOT NULL,
+    signed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (work_order_id) REFERENCES work_orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (signer_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (signature_media_id) REFERENCES media(id) ON DELETE SET NULL
+);
+
+-- Create reports table, one row per report version
+CREATE TABLE IF NOT EXISTS reports (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    work_order_id INT NOT NULL,
+    version INT NOT NULL DEFAULT 1,
+    storage_key VARCHAR(512),
+    file_size BIGINT,
+    report_template_id INT NULL,
+    content_hash CHAR(64),
+    file_hash CHAR(64),
     generated_at TIMESTAMP NULL,
+    generated_by INT NULL,
+    generation_reason TEXT,
+    status ENUM('draft', 'approved', 'sent') NOT NULL DEFAULT 'draft',
+    reviewed_by INT NULL,
+    reviewed_at TIMESTAMP NULL,
+    review_notes TEXT,
     sent_to_customer BOOLEAN DEFAULT FALSE,
     sent_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (work_order_id) REFERENCES work_orders(id) ON DELETE CASCADE
+    UNIQUE KEY uq_reports_version (work_order_id, version),
+    FOREIGN KEY (work_order_id) REFERENCES work_orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (generated_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
 -- Create conversations table to track inspector interactions
@@ -140,28 +281,69 @@ CREATE TABLE IF NOT EXISTS conversations (
     id INT AUTO_INCREMENT PRIMARY KEY,
     user_id INT NOT NULL,
     context JSON,
+    version INT NOT NULL DEFAULT 0,
     active BOOLEAN DEFAULT TRUE,
     last_message_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Create raw_messages table as an audit trail of incoming webhook messages
+CREATE TABLE IF NOT EXISTS raw_messages (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    sender VARCHAR(50) NOT NULL,
+    message_type VARCHAR(20) NOT NULL,
+    content TEXT,
+    media_id VARCHAR(255),
+    provider VARCHAR(20) NOT NULL,
+    timestamp TIMESTAMP NOT NULL,
+    external_id VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_raw_messages_external (provider, external_id)
+);
+
 -- Create messages table to store WhatsApp messages
 CREATE TABLE IF NOT EXISTS messages (
     id INT AUTO_INCREMENT PRIMARY KEY,
     conversation_id INT NOT NULL,
     sender_id INT,
-    message_type ENUM('text', 'image', 'video', 'audio', 'system') NOT NULL,
+    message_type VARCHAR(20) NOT NULL,
     content TEXT,
     media_id INT,
     sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     whatsapp_message_id VARCHAR(255),
+    processed_at TIMESTAMP NULL,
+    UNIQUE KEY uniq_messages_whatsapp_id (whatsapp_message_id),
     FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
     FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE SET NULL,
     FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE SET NULL
 );
 
--- Create notifications table
+-- Create outbound_messages table to track delivery of messages we send
+-- Status moves forward only: accepted → sent → delivered → read, or failed
+CREATE TABLE IF NOT EXISTS outbound_messages (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,
+    provider_message_id VARCHAR(255),
+    recipient VARCHAR(50) NOT NULL,
+    message_type VARCHAR(20) NOT NULL DEFAULT 'text',
+    content TEXT,
+    related_entity_type VARCHAR(50),
+    related_entity_id INT,
+    status ENUM('accepted', 'sent', 'delivered', 'read', 'failed') NOT NULL DEFAULT 'accepted',
+    error TEXT,
+    sent_at TIMESTAMP NULL,
+    delivered_at TIMESTAMP NULL,
+    read_at TIMESTAMP NULL,
+    failed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_outbound_provider_message (provider, provider_message_id),
+    INDEX idx_outbound_related (related_entity_type, related_entity_id)
+);
+
+-- Create notifications table, delivered by the dispatcher in src/notifications.js
+-- System notifications make up the in-app feed (read_at is set once seen)
 CREATE TABLE IF NOT EXISTS notifications (
     id INT AUTO_INCREMENT PRIMARY KEY,
     user_id INT NOT NULL,
@@ -169,13 +351,45 @@ CREATE TABLE IF NOT EXISTS notifications (
     message TEXT NOT NULL,
     related_entity_type VARCHAR(50),
     related_entity_id INT,
-    status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    status ENUM('pending', 'processing', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP NULL,
+    locked_at TIMESTAMP NULL,
     sent_at TIMESTAMP NULL,
+    read_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_notifications_dispatch (status, next_attempt_at)
+);
+
+-- Create jobs table as a durable queue for background work (e.g. inbound messages)
+-- Jobs with the same group_key are processed one at a time, in order
+CREATE TABLE IF NOT EXISTS jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    job_type VARCHAR(50) NOT NULL,
+    group_key VARCHAR(100),
+    payload JSON NOT NULL,
+    status ENUM('pending', 'processing', 'done', 'dead') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 5,
+    available_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP NULL,
+    locked_by VARCHAR(100),
+    last_error TEXT,
+    completed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_jobs_claim (status, available_at),
+    INDEX idx_jobs_group (group_key, status)
 );
 
 -- Add initial demo data for testing
+-- Insert default report template
+INSERT INTO report_templates (id, name, brand_name, title, primary_color, accent_color, sections, is_default)
+VALUES 
+  (1, 'Property Stewards', 'Property Stewards', 'Property Inspection Report', '#1f3a5f', '#555555', '["summary", "details", "property", "customer", "checklist", "signature"]', TRUE);
+
 -- Insert sample users (admin, inspector, customer)
 INSERT INTO users (name, email, phone, role, whatsapp_id)
 VALUES 
@@ -184,9 +398,9 @@ VALUES
   ('Customer Smith', 'smith@example.com', '3456789012', 'customer', '23456789012');
 
 -- Insert sample property
-INSERT INTO properties (address, city, state, postal_code, property_type, owner_id)
+INSERT INTO properties (address, city, state, postal_code, property_type, bedrooms, bathrooms, owner_id)
 VALUES 
-  ('123 Main St', 'Anytown', 'CA', '12345', 'residential', 3);
+  ('123 Main St', 'Anytown', 'CA', '12345', 'residential', 3, 2, 3);
 
 -- Insert sample contract
 INSERT INTO contracts (customer_id, property_id, start_date, end_date, status, terms)
@@ -199,13 +413,63 @@ VALUES
   ('Residential Property Inspection', 'Standard inspection checklist for residential properties');
 
 -- Insert sample checklist template items
-INSERT INTO checklist_template_items (template_id, name, description, item_order, requires_media, requires_comment)
-VALUES 
-  (1, 'Exterior Inspection', 'Check the exterior of the property', 1, TRUE, TRUE),
-  (1, 'Interior Inspection', 'Check the interior of the property', 2, TRUE, TRUE),
-  (1, 'Plumbing Inspection', 'Check all plumbing fixtures', 3, TRUE, TRUE),
-  (1, 'Electrical Inspection', 'Check electrical systems', 4, TRUE, TRUE),
-  (1, 'HVAC Inspection', 'Check heating and cooling systems', 5, TRUE, TRUE);
+-- db:setup runs this file again on every setup, so items, sections and the items of a
+-- section are only added if they aren't there yet and are linked by name, not by ID
+INSERT INTO checklist_template_items (template_id, name, description, item_order, requires_media, requires_comment, answer_type, unit, min_value, max_value, choices, issue_answers)
+SELECT seed.template_id, seed.name, seed.description, seed.item_order, seed.requires_media, seed.requires_comment,
+       seed.answer_type, seed.unit, seed.min_value, seed.max_value, seed.choices, seed.issue_answers
+FROM (
+  SELECT 1 AS template_id, 'Exterior Inspection' AS name, 'Check the exterior of the property' AS description, 1 AS item_order,
+         TRUE AS requires_media, TRUE AS requires_comment, 'status' AS answer_type, NULL AS unit, NULL AS min_value, NULL AS max_value,
+         NULL AS choices, NULL AS issue_answers
+  UNION ALL SELECT 1, 'Interior Inspection', 'Check the interior of the property', 2, TRUE, TRUE, 'status', NULL, NULL, NULL, NULL, NULL
+  UNION ALL SELECT 1, 'Plumbing Inspection', 'Check all plumbing fixtures', 3, TRUE, TRUE, 'status', NULL, NULL, NULL, NULL, NULL
+  UNION ALL SELECT 1, 'Electrical Inspection', 'Check electrical systems', 4, TRUE, TRUE, 'status', NULL, NULL, NULL, NULL, NULL
+  UNION ALL SELECT 1, 'HVAC Inspection', 'Check heating and cooling systems', 5, TRUE, TRUE, 'status', NULL, NULL, NULL, NULL, NULL
+  UNION ALL SELECT 1, 'Water Pressure', 'Read the pressure gauge at the main valve', 6, FALSE, FALSE, 'number', 'bar', 2, 4, NULL, NULL
+  UNION ALL SELECT 1, 'Electricity Meter', 'Read the main electricity meter', 7, TRUE, FALSE, 'meter', 'kWh', NULL, NULL, NULL, NULL
+  UNION ALL SELECT 1, 'Smoke Detectors Working', 'Test every smoke detector', 8, FALSE, FALSE, 'yes_no', NULL, NULL, NULL, NULL, '["no"]'
+  UNION ALL SELECT 1, 'Garden Condition', 'Lawn, hedges and beds', 9, FALSE, FALSE, 'choice', NULL, NULL, NULL, '["Well kept", "Needs attention", "Overgrown"]', '["Overgrown"]'
+  UNION ALL SELECT 1, 'General Cleanliness', 'Overall state of the property', 10, FALSE, FALSE, 'rating', NULL, 3, NULL, NULL, NULL
+  UNION ALL SELECT 1, 'Pool Present', 'Does the property have a pool?', 11, FALSE, FALSE, 'yes_no', NULL, NULL, NULL, NULL, NULL
+) seed
+WHERE NOT EXISTS (
+  SELECT 1 FROM checklist_template_items existing
+  WHERE existing.template_id = seed.template_id AND existing.section_id IS NULL AND existing.name = seed.name
+);
+
+-- Insert sample checklist template sections, one per bathroom and one only when "Pool Present" is answered yes
+INSERT INTO checklist_template_sections (template_id, name, description, section_order, repeat_by, condition_item_id, condition_answer)
+SELECT seed.template_id, seed.name, seed.description, seed.section_order, seed.repeat_by,
+       (SELECT MIN(item.id) FROM checklist_template_items item
+        WHERE item.template_id = seed.template_id AND item.name = seed.condition_item_name),
+       seed.condition_answer
+FROM (
+  SELECT 1 AS template_id, 'Bathroom' AS name, 'Check each bathroom' AS description, 1 AS section_order,
+         'bathrooms' AS repeat_by, NULL AS condition_item_name, NULL AS condition_answer
+  UNION ALL SELECT 1, 'Pool', 'Check the pool and its equipment', 2, NULL, 'Pool Present', 'yes'
+) seed
+WHERE NOT EXISTS (
+  SELECT 1 FROM checklist_template_sections existing
+  WHERE existing.template_id = seed.template_id AND existing.name = seed.name
+);
+
+INSERT INTO checklist_template_items (template_id, section_id, name, description, item_order, requires_media, requires_comment, answer_type)
+SELECT section.template_id, section.id, seed.name, seed.description, seed.item_order, seed.requires_media, seed.requires_comment, 'status'
+FROM (
+  SELECT 'Bathroom' AS section_name, 'Shower and Bath' AS name, 'Check for leaks, sealant and drainage' AS description,
+         1 AS item_order, TRUE AS requires_media, FALSE AS requires_comment
+  UNION ALL SELECT 'Bathroom', 'Ventilation', 'Check the extractor fan and for signs of damp', 2, FALSE, FALSE
+  UNION ALL SELECT 'Pool', 'Pool Water', 'Clarity and level of the water', 1, TRUE, FALSE
+  UNION ALL SELECT 'Pool', 'Pool Pump and Filter', 'Check the pump runs and the filter is clean', 2, FALSE, FALSE
+) seed
+JOIN checklist_template_sections section
+  ON section.id = (SELECT MIN(earliest.id) FROM checklist_template_sections earliest
+                   WHERE earliest.template_id = 1 AND earliest.name = seed.section_name)
+WHERE NOT EXISTS (
+  SELECT 1 FROM checklist_template_items existing
+  WHERE existing.section_id = section.id AND existing.name = seed.name
+);
 
 -- Insert sample work order for tomorrow
 INSERT INTO work_orders (contract_id, inspector_id, checklist_template_id, scheduled_date, scheduled_time_window, status, notes)
@@ -0,0 +1,154 @@
+/**
+ * Email delivery over SMTP
+ * For Property Stewards – Inspector Interface System
+ *
+ * Emails are rendered from the templates in src/templates/email: <name>.html is
+ * wrapped in layout.html, <name>.txt is the plain text alternative. The brand
+ * name and colors come from the work order's report template, like the PDF.
+ *
+ * For local testing, point SMTP_HOST/SMTP_PORT at an SMTP catcher such as
+ * Mailpit or MailHog (localhost:1025) and leave SMTP_USER empty.
+ */
+
+const path = require('path');
+const nodemailer = require('nodemailer');
+const template = require('./utils/template');
+const logger = require('./utils/logger');
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates', 'email');
+
+// Subject line for each email template
+const SUBJECTS = {
+  notification: '{{brand.name}} notification',
+  report: 'Your {{brand.name}} inspection report for {{address}}'
+};
+
+// Branding used when no report template applies
+const DEFAULT_BRAND = Object.freeze({
+  name: 'Property Stewards',
+  primaryColor: '#1f3a5f',
+  accentColor: '#777777'
+});
+
+// Colors end up in style attributes, anything but #rrggbb is ignored
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+let transporter = null;
+
+/**
+ * Get the SMTP transport configured from the environment
+ *
+ * @returns {Object} - Nodemailer transport
+ */
+function getTransport() {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      // SMTP catchers usually don't speak TLS
+      ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  return transporter;
+}
+
+/**
+ * Take the email branding from a report template
+ *
+ * @param {Object|null} reportTemplate - Row from report_templates, see db.getReportTemplateForWorkOrder()
+ * @returns {Object} - { name, primaryColor, accentColor }
+ */
+function resolveBrand(reportTemplate) {
+  if (!reportTemplate) {
+    return { ...DEFAULT_BRAND };
+  }
+
+  const color = (value, fallback) => (COLOR_PATTERN.test(value || '') ? value : fallback);
+
+  return {
+    name: reportTemplate.brand_name || DEFAULT_BRAND.name,
+    primaryColor: color(reportTemplate.primary_color, DEFAULT_BRAND.primaryColor),
+    accentColor: color(reportTemplate.accent_color, DEFAULT_BRAND.accentColor)
+  };
+}
+
+/**
+ * Render an email template
+ *
+ * @param {string} name - Template name, e.g. 'report'
+ * @param {Object} data - Template data
+ * @param {Object|null} reportTemplate - Report template to take the branding from
+ * @returns {{subject: string, html: string, text: string}} - Rendered email
+ */
+function renderEmail(name, data = {}, reportTemplate = null) {
+  if (!SUBJECTS[name]) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const brand = resolveBrand(reportTemplate);
+  const templateData = { ...data, brand };
+
+  const subject = template.render(SUBJECTS[name], templateData, { escape: false });
+  const body = template.renderFile(path.join(TEMPLATES_DIR, `${name}.html`), templateData);
+
+  return {
+    subject,
+    html: template.renderFile(path.join(TEMPLATES_DIR, 'layout.html'), { subject, body, brand }),
+    text: template.renderFile(path.join(TEMPLATES_DIR, `${name}.txt`), templateData)
+  };
+}
+
+/**
+ * Send an email
+ *
+ * @param {Object} email - Email to send
+ * @param {string} email.to - Recipient address
+ * @param {string} email.subject - Subject line
+ * @param {string} email.text - Plain text body
+ * @param {string} email.html - Optional HTML body
+ * @param {Array<Object>} email.attachments - Optional { filename, content, contentType }
+ * @returns {Promise<Object>} - { messageId }
+ */
+async function sendEmail({ to, subject, text, html, attachments = [] }) {
+  const info = await getTransport().sendMail({
+    from: process.env.SMTP_FROM || 'Property Stewards <no-reply@propertystewards.com>',
+    to,
+    subject,
+    text,
+    html,
+    attachments
+  });
+
+  logger.info(`Email sent to ${to}: ${info.messageId}`);
+  return { messageId: info.messageId };
+}
+
+/**
+ * Render a template and send it
+ *
+ * @param {string} to - Recipient address
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @param {Array<Object>} attachments - Optional { filename, content, contentType }
+ * @param {Object|null} reportTemplate - Optional report template to take the branding from
+ * @returns {Promise<Object>} - { messageId }
+ */
+async function sendTemplatedEmail(to, name, data, attachments = [], reportTemplate = null) {
+  const { subject, html, text } = renderEmail(name, data, reportTemplate);
+  return await sendEmail({ to, subject, html, text, attachments });
+}
+
+module.exports = {
+  renderEmail,
+  sendEmail,
+  sendTemplatedEmail
+};
@@ -3,10 +3,44 @@
  * Handles messages from both Wassenger and WhatsApp Business API
  */
 const db = require('./db');
-const openai = require('./openai');
+const nlp = require('./nlp');
 const whatsapp = require('./whatsapp'); // Unified messaging service
-const { generatePDF } = require('./utils/pdf');
+const queue = require('./queue');
+const reports = require('./reports');
+const photoAnalysis = require('./photo-analysis');
+const { saveMedia, describeIncomingMedia, transcribeMedia, getMediaContent } = require('./media');
+const { oversizedReply } = require('./utils/media-types');
+const { describeMissing } = require('./utils/checklist-requirements');
+const {
+  takesAnswer, parseAnswer, findAnswerIssue, formatAnswer, describeQuestion, buildAnswerOptions
+} = require('./utils/checklist-answers');
+const { groupBySection } = require('./utils/checklist-sections');
 const logger = require('./utils/logger');
+const { verifyWebhookRequest } = require('./utils/webhook-signature');
+
+/**
+ * Conversation states stored in conversations.context.state
+ *
+ * idle → job_selected → item_selected → awaiting_media / awaiting_comment → job_selected
+ * Items that take an answer (a reading, choice, yes/no or rating) are selected into awaiting_answer.
+ * job_selected → completing → awaiting_signature → idle
+ */
+const STATES = Object.freeze({
+  IDLE: 'idle',
+  JOB_SELECTED: 'job_selected',
+  ITEM_SELECTED: 'item_selected',
+  AWAITING_MEDIA: 'awaiting_media',
+  AWAITING_COMMENT: 'awaiting_comment',
+  AWAITING_ANSWER: 'awaiting_answer',
+  COMPLETING: 'completing',
+  AWAITING_SIGNATURE: 'awaiting_signature'
+});
+
+// Statement the inspector signs when completing an inspection
+const SIGNATURE_ATTESTATION = 'I confirm that I carried out this inspection in person and that the findings recorded are accurate and complete.';
+
+// Intents whose meaning depends on the conversation state
+const VAGUE_INTENTS = new Set([undefined, null, '', 'unknown', 'greeting', 'confirm', 'decline', 'choose_number']);
 
 /**
  * Handle incoming webhook requests from WhatsApp providers
@@ -40,6 +74,22 @@ async function handleWebhook(req, res) {
     if (req.method === 'POST') {
       const payload = req.body;
       
+      // Reject anything not signed by the provider before touching the payload
+      const provider = whatsapp.detectWebhookProvider(payload);
+      const verification = verifyWebhookRequest(req, provider);
+      
+      if (!verification.valid) {
+        logger.warn(`Rejected ${provider} webhook from ${req.ip}: ${verification.reason}`);
+        return res.status(401).send('Invalid signature');
+      }
+      
+      // Delivery receipts only update outbound_messages, there's nothing to queue
+      const statuses = whatsapp.parseWebhookStatuses(payload);
+      if (statuses.length > 0) {
+        await recordDeliveryStatuses(statuses);
+        return res.status(200).send('Status recorded');
+      }
+      
       // Parse message using the unified parser
       const message = await whatsapp.parseWebhookMessage(payload);
       
@@ -49,18 +99,16 @@ async function handleWebhook(req, res) {
         return res.status(200).send('No actionable data');
       }
       
-      // For WhatsApp Business API, respond immediately to prevent retries
-      if (message.provider === 'whatsapp_business') {
-        res.status(200).send('OK');
-      }
-      
-      // Process message asynchronously
-      await processMessage(message);
+      // Queue the message and respond right away, the worker processes it
+      const jobId = await enqueueInboundMessage(message);
       
-      // For Wassenger, respond after processing
-      if (message.provider === 'wassenger') {
-        return res.status(200).send('Processed successfully');
+      if (!jobId) {
+        logger.info(`Skipping duplicate ${message.provider} message ${message.messageId}`);
+        return res.status(200).send('Duplicate');
       }
+      
+      logger.info(`Queued ${message.provider} message ${message.messageId} as job ${jobId}`);
+      return res.status(200).send('Queued');
     }
     
     // For any other case that hasn't returned yet
@@ -68,123 +116,230 @@ async function handleWebhook(req, res) {
     
   } catch (error) {
     logger.error('Error in webhook handler:', error);
-    // Always respond with 200 to prevent retry attempts
-    return res.status(200).send('Error processed');
+    // Nothing was queued, so let the provider retry the delivery
+    return res.status(500).send('Error queueing message');
   }
 }
 
+/**
+ * Apply delivery receipts to the outbound messages they refer to
+ * 
+ * @param {Array<Object>} statuses - Status updates from whatsapp.parseWebhookStatuses
+ */
+async function recordDeliveryStatuses(statuses) {
+  for (const update of statuses) {
+    const updated = await db.updateOutboundMessageStatus(
+      update.provider,
+      update.providerMessageId,
+      update.status,
+      update.timestamp,
+      update.error
+    );
+    
+    if (updated) {
+      logger.info(`Outbound message ${update.providerMessageId} is now ${update.status}`);
+    } else {
+      // Untracked message, or a receipt older than the status we already have
+      logger.debug(`Ignored ${update.status} receipt for ${update.providerMessageId}`);
+    }
+    
+    if (update.status === 'failed') {
+      logger.warn(`Delivery to ${update.recipient} failed: ${update.error}`);
+    }
+  }
+}
+
+/**
+ * Record an incoming message and queue it for the worker
+ * 
+ * Both happen in one transaction, so a message is never marked as received
+ * without being queued. Messages from the same sender are processed in order.
+ * 
+ * @param {Object} message - Parsed message data
+ * @returns {Promise<number|null>} Job ID, or null if the message is a provider retry
+ */
+async function enqueueInboundMessage(message) {
+  return await db.transaction(async connection => {
+    const isNew = await db.recordRawMessage(message, connection);
+    
+    if (!isNew) {
+      return null;
+    }
+    
+    return await queue.enqueue(queue.JOB_TYPES.INBOUND_MESSAGE, message, {
+      groupKey: `sender:${message.from}`,
+      connection
+    });
+  });
+}
+
 /**
  * Process incoming WhatsApp message
+ * Called by the queue worker. Errors are thrown so the job can be retried:
+ * a retry processes the message again, reusing the messages row and media an
+ * earlier attempt stored. The message is marked processed at the end, so once
+ * it was handled a retry skips it. Errors in the intent handlers are answered
+ * with a generic reply by handleIntent() instead.
  * @param {Object} message - Parsed message data
  */
 async function processMessage(message) {
-  try {
-    logger.info(`Processing message from ${message.from}: ${message.text ? message.text.substring(0, 50) + '...' : '[Media]'}`);
-    
-    // Store raw message for audit trail
-    const [rawMessage] = await db.query(
-      `INSERT INTO raw_messages (sender, message_type, content, media_id, provider, timestamp, external_id)
-       VALUES (?, ?, ?, ?, ?, FROM_UNIXTIME(?), ?)`,
-      [
-        message.from,
-        message.type,
-        message.text || message.caption || '',
-        message.mediaId || null,
-        message.provider,
-        Math.floor(message.timestamp / 1000),
-        message.messageId
-      ]
-    );
+  logger.info(`Processing message from ${message.from}: ${message.text ? message.text.substring(0, 50) + '...' : '[Media]'}`);
+  
+  // Get or create user by WhatsApp ID
+  const user = await getOrCreateUser(message.from);
+  
+  // Get active conversation or create new one
+  const conversation = await getConversationContext(user.id);
+  
+  // Store incoming message, or get the row an earlier attempt of this job stored
+  const storedMessage = await db.recordInboundMessage(conversation.id, user.id, message);
+  const storedMessageId = storedMessage.id;
+  
+  if (storedMessage.processed_at) {
+    logger.warn(`Message ${message.messageId} was already processed, skipping it`);
+    return;
+  }
+  
+  // If message has media, download and store it unassigned.
+  // The add_media handler links it to a checklist item.
+  let mediaId = null;
+  let mediaType = message.type;
+  let transcript = null;
+  if (storedMessage.media_id) {
+    // An earlier attempt already stored the file
+    const media = await db.getMediaById(storedMessage.media_id);
+    mediaId = media.id;
+    mediaType = media.media_type;
+    transcript = media.transcript || null;
     
-    // Get or create user by WhatsApp ID
-    const user = await getOrCreateUser(message.from);
-    
-    // Get active conversation or create new one
-    const conversation = await getConversationContext(user.id);
-    
-    // Store incoming message
-    const [storedMessage] = await db.query(
-      `INSERT INTO messages (conversation_id, sender_id, message_type, content, whatsapp_message_id, sent_at)
-       VALUES (?, ?, ?, ?, ?, FROM_UNIXTIME(?))`,
-      [
-        conversation.id,
-        user.id,
-        message.type,
-        message.text || message.caption || '',
-        message.messageId,
-        Math.floor(message.timestamp / 1000)
-      ]
-    );
+    if (mediaType === 'audio' && !transcript) {
+      transcript = await transcribeMedia(mediaId, await getMediaContent(media), media.file_name, media.content_type);
+    }
+  } else if (message.mediaId || message.mediaUrl) {
+    let rejection = null;
     
-    // If message has media, download and store it
-    let mediaId = null;
-    if (message.mediaId || message.mediaUrl) {
-      try {
-        const mediaContent = await whatsapp.downloadMedia(message);
-        
-        const [media] = await db.query(
-          `INSERT INTO media (media_type, content, file_name, content_type, created_at)
-           VALUES (?, ?, ?, ?, NOW())`,
-          [
-            message.type,
-            mediaContent.data,
-            `${message.messageId}.${message.type === 'image' ? 'jpg' : 'mp4'}`,
-            message.type === 'image' ? 'image/jpeg' : 'video/mp4'
-          ]
-        );
-        
-        mediaId = media.insertId;
+    try {
+      const download = await whatsapp.downloadMedia(message);
+      const incoming = describeIncomingMedia(message, download);
+      rejection = incoming.rejection;
+      
+      if (!rejection) {
+        mediaType = incoming.mediaType;
+        mediaId = await saveMedia(null, incoming.mediaType, incoming.fileName, incoming.contentType, download.data);
         
         // Update the message with media reference
         await db.query(
           'UPDATE messages SET media_id = ? WHERE id = ?',
-          [mediaId, storedMessage.insertId]
+          [mediaId, storedMessageId]
         );
         
-        logger.info(`Media stored with ID: ${mediaId}`);
-      } catch (mediaError) {
-        logger.error('Failed to process media:', mediaError);
+        logger.info(`Media stored with ID: ${mediaId} (${incoming.contentType}, ${download.data.length} bytes)`);
+        
+        if (mediaType === 'audio') {
+          transcript = await transcribeMedia(mediaId, download.data, incoming.fileName, incoming.contentType);
+        }
+      }
+    } catch (mediaError) {
+      if (mediaError.code !== 'MEDIA_TOO_LARGE') {
+        // Don't act on the message without its file, the queue retries the download
+        throw mediaError;
       }
+      
+      rejection = oversizedReply(message.type, mediaError.size);
     }
     
-    // Process message with OpenAI to determine intent
-    const nlpResponse = await openai.processMessage(
-      message.text || message.caption || '',
-      conversation.context,
-      user.role
-    );
-    
-    logger.info(`Detected intent: ${nlpResponse.intent}`);
-    
-    // Update conversation context with new information
-    const updatedContext = {
-      ...conversation.context,
-      ...nlpResponse.contextUpdates,
-      lastIntent: nlpResponse.intent,
-      lastMessageId: storedMessage.insertId
-    };
-    
-    await db.query(
-      'UPDATE conversations SET context = ?, last_message_at = NOW() WHERE id = ?',
-      [JSON.stringify(updatedContext), conversation.id]
-    );
-    
-    // Handle the intent
-    await handleIntent(message.from, nlpResponse, updatedContext, user, mediaId);
-    
-  } catch (error) {
-    logger.error('Error processing message:', error);
-    
-    // Try to send error message to user
-    try {
-      await whatsapp.sendMessage(
-        message.from,
-        "Sorry, I encountered an error processing your request. Please try again later."
-      );
-    } catch (sendError) {
-      logger.error('Failed to send error message:', sendError);
+    // A rejected file isn't evidence, don't act on its caption either
+    if (rejection) {
+      logger.info(`Rejected media in message ${message.messageId}: ${rejection}`);
+      await whatsapp.sendMessage(message.from, rejection);
+      await db.markMessageProcessed(storedMessageId);
+      return;
     }
   }
+  
+  // A transcribed voice note is handled like the text the inspector dictated.
+  // The recording is kept as evidence if the transcript turns out to be a comment.
+  const voiceNoteId = transcript ? mediaId : null;
+  const evidenceId = transcript ? null : mediaId;
+  const text = [message.text || message.caption, transcript].filter(Boolean).join('\n');
+  
+  if (transcript) {
+    await db.query('UPDATE messages SET content = ? WHERE id = ?', [text, storedMessageId]);
+    await whatsapp.sendMessage(message.from, `🎤 I heard: "${transcript}"`);
+  }
+  
+  // Process message with the NLP layer to determine intent
+  const nlpResponse = await nlp.processMessage(
+    text,
+    conversation.context,
+    user.role,
+    { mediaType: evidenceId ? mediaType : undefined, replyId: message.replyId }
+  );
+  
+  // Let the conversation state fill in what a vague intent leaves out
+  const resolved = resolveIntent(nlpResponse, conversation.context, text, evidenceId);
+  
+  logger.info(`Detected intent: ${nlpResponse.intent} (${nlpResponse.source}), resolved as: ${resolved.intent} (state: ${conversation.context.state || STATES.IDLE})`);
+  
+  const context = {
+    ...conversation.context,
+    ...nlpResponse.contextUpdates
+  };
+  
+  // Handle the intent
+  const contextPatch = await handleIntent(message.from, { ...nlpResponse, ...resolved }, context, user, evidenceId, voiceNoteId);
+  
+  // Merge only what this message changed into the latest stored context.
+  // Jobs for one sender already run in order, the version check covers any
+  // other writer (e.g. a job whose worker lock expired mid-run).
+  const { conflicts } = await db.mergeConversationContext(conversation.id, current => applyContextPatch(current, {
+    ...nlpResponse.contextUpdates,
+    ...contextPatch,
+    lastIntent: resolved.intent,
+    lastMessageId: storedMessageId
+  }));
+  
+  if (conflicts > 0) {
+    logger.warn(`Conversation ${conversation.id} changed while processing message ${message.messageId}, merged after ${conflicts} conflict(s)`);
+  }
+  
+  await db.markMessageProcessed(storedMessageId);
+}
+
+/**
+ * Apply a handler's context patch to a conversation context
+ * 
+ * A function value computes the new value from the current one, so list
+ * updates like pendingMediaIds don't drop entries added by another message.
+ * 
+ * @param {Object} context - Current conversation context
+ * @param {Object} patch - Keys to set, or functions of the current value
+ * @returns {Object} New conversation context
+ */
+function applyContextPatch(context, patch) {
+  const updated = { ...context };
+  
+  for (const [key, value] of Object.entries(patch)) {
+    updated[key] = typeof value === 'function' ? value(context[key]) : value;
+  }
+  
+  return updated;
+}
+
+/**
+ * Tell the sender their message couldn't be processed
+ * Called by the queue worker once a message has been dead-lettered
+ * @param {Object} message - Parsed message data
+ */
+async function notifyProcessingFailed(message) {
+  const hasMedia = Boolean(message.mediaId || message.mediaUrl);
+  
+  await whatsapp.sendMessage(
+    message.from,
+    hasMedia
+      ? "Sorry, I couldn't receive that file. Please send it again."
+      : "Sorry, I encountered an error processing your request. Please try again later."
+  );
 }
 
 /**
@@ -193,29 +348,27 @@ async function processMessage(message) {
 async function getOrCreateUser(whatsappId) {
   try {
     // Check if user exists
-    const [users] = await db.query(
+    const existingUser = await db.getOne(
       'SELECT * FROM users WHERE whatsapp_id = ? OR phone = ? LIMIT 1',
       [whatsappId, whatsappId]
     );
     
-    if (users && users.length > 0) {
-      return users[0];
+    if (existingUser) {
+      return existingUser;
     }
     
     // Create new user if not found
     logger.info(`Creating new user for WhatsApp ID: ${whatsappId}`);
-    const [newUser] = await db.query(
+    const newUser = await db.query(
       `INSERT INTO users (phone, whatsapp_id, role, created_at)
        VALUES (?, ?, 'inspector', NOW())`,
       [whatsappId, whatsappId]
     );
     
-    const [createdUser] = await db.query(
+    return await db.getOne(
       'SELECT * FROM users WHERE id = ?',
       [newUser.insertId]
     );
-    
-    return createdUser[0];
   } catch (error) {
     logger.error('Failed to get or create user:', error);
     throw error;
@@ -227,29 +380,32 @@ async function getOrCreateUser(whatsappId) {
  */
 async function getConversationContext(userId) {
   try {
-    const [conversations] = await db.query(
+    const conversation = await db.getOne(
       `SELECT * FROM conversations 
        WHERE user_id = ? AND active = TRUE 
        ORDER BY last_message_at DESC LIMIT 1`,
       [userId]
     );
     
-    if (conversations && conversations.length > 0) {
-      const conversation = conversations[0];
-      conversation.context = JSON.parse(conversation.context || '{}');
+    if (conversation) {
+      // mysql2 already parses JSON columns, older rows may still be strings
+      conversation.context = typeof conversation.context === 'string'
+        ? JSON.parse(conversation.context || '{}')
+        : (conversation.context || {});
       return conversation;
     }
     
     // Create new conversation
-    const [newConversation] = await db.query(
+    const newConversation = await db.query(
       'INSERT INTO conversations (user_id, context, active, created_at) VALUES (?, ?, TRUE, NOW())',
-      [userId, JSON.stringify({})]
+      [userId, JSON.stringify({ state: STATES.IDLE })]
     );
     
     return {
       id: newConversation.insertId,
       user_id: userId,
-      context: {},
+      context: { state: STATES.IDLE },
+      version: 0,
       active: true
     };
   } catch (error) {
@@ -258,55 +414,182 @@ async function getConversationContext(userId) {
   }
 }
 
+/**
+ * Resolve the intent to act on from the NLP result and the conversation state.
+ * Attachments and vague replies (a bare number, "yes", free text) are interpreted
+ * according to where the inspector is in the flow.
+ *
+ * @param {Object} nlpResponse - Result from nlp.processMessage
+ * @param {Object} context - Current conversation context
+ * @param {string} text - Message text or caption
+ * @param {number|null} mediaId - Stored media ID, if the message had an attachment
+ * @returns {{intent: string, data: Object}} Resolved intent
+ */
+function resolveIntent(nlpResponse, context, text, mediaId) {
+  const state = context.state || STATES.IDLE;
+  const intent = nlpResponse.intent;
+  const data = { ...(nlpResponse.data || {}) };
+  const trimmed = (text || '').trim();
+  const number = intent === 'choose_number' ? data.number : null;
+  
+  // While signing, a photo is the signature and any other text is the typed name
+  if (state === STATES.AWAITING_SIGNATURE && !['cancel', 'decline', 'help'].includes(intent)) {
+    if (mediaId) {
+      return { intent: 'sign_inspection', data: {} };
+    }
+    if (intent === 'sign_inspection') {
+      return { intent, data };
+    }
+    if (trimmed) {
+      return { intent: 'sign_inspection', data: { name: trimmed } };
+    }
+  }
+  
+  // An attachment is always evidence, even if the caption says something else
+  if (mediaId && intent !== 'complete_item') {
+    return { intent: 'add_media', data };
+  }
+  
+  // While an item waits for its answer, free text the NLP read as a comment is the answer.
+  // "Comment: ..." still adds a comment.
+  if (state === STATES.AWAITING_ANSWER && intent === 'add_comment' && nlpResponse.source !== 'command' && trimmed) {
+    return { intent: 'answer_item', data: { value: trimmed } };
+  }
+  
+  if (!VAGUE_INTENTS.has(intent)) {
+    return { intent, data };
+  }
+  
+  switch (state) {
+    case STATES.COMPLETING:
+      if (intent === 'confirm') {
+        return { intent: 'complete_inspection', data: { confirmed: true } };
+      }
+      if (intent === 'decline') {
+        return { intent: 'cancel', data: {} };
+      }
+      break;
+      
+    case STATES.AWAITING_COMMENT:
+      if (trimmed) {
+        return { intent: 'add_comment', data: { comments: trimmed } };
+      }
+      break;
+      
+    case STATES.AWAITING_ANSWER:
+      // Bare numbers, "yes" and "no" are answers here, other items are picked with "Item <number>"
+      if (trimmed) {
+        return { intent: 'answer_item', data: { value: trimmed } };
+      }
+      break;
+      
+    case STATES.ITEM_SELECTED:
+    case STATES.AWAITING_MEDIA:
+      if (number) {
+        return { intent: 'select_item', data: { itemNumber: number } };
+      }
+      if (trimmed && intent === 'unknown') {
+        return { intent: 'add_comment', data: { comments: trimmed } };
+      }
+      break;
+      
+    case STATES.JOB_SELECTED:
+      if (number) {
+        return { intent: 'select_item', data: { itemNumber: number } };
+      }
+      break;
+      
+    case STATES.IDLE:
+    default:
+      if (number) {
+        return { intent: 'start_inspection', data: { workOrderId: number } };
+      }
+      break;
+  }
+  
+  return { intent, data };
+}
+
 /**
  * Handle the detected intent from the user's message
+ *
+ * @param {number|null} mediaId - Attachment sent as evidence
+ * @param {number|null} voiceNoteId - Transcribed voice note, saved with the item it comments on
+ * @returns {Promise<Object>} Context fields to update
  */
-async function handleIntent(recipient, nlpResponse, context, user, mediaId) {
-  const { intent, data, response } = nlpResponse;
+async function handleIntent(recipient, nlpResponse, context, user, mediaId, voiceNoteId = null) {
+  const { intent, data = {}, response } = nlpResponse;
+  const state = context.state || STATES.IDLE;
   
   try {
-    // Send the AI-generated response if available
-    if (response) {
-      await whatsapp.sendMessage(recipient, response);
-    }
-    
     // Handle different intents
     switch (intent) {
       case 'get_today_jobs':
-        await handleGetTodayJobs(recipient, user.id);
-        break;
+        return await handleGetTodayJobs(recipient, user.id, data.date);
         
       case 'start_inspection':
         if (data.workOrderId) {
-          await handleStartInspection(recipient, user.id, data.workOrderId);
+          return await handleStartInspection(recipient, user.id, data.workOrderId);
         }
-        break;
+        await whatsapp.sendMessage(recipient, 'Which inspection would you like to start? Reply "Start inspection #<id>".');
+        return {};
+        
+      case 'select_item':
+        return await handleSelectItem(recipient, context, data.itemNumber);
         
       case 'complete_item':
-        if (data.itemId) {
-          await handleCompleteItem(recipient, user.id, data.itemId, data.status, data.comments, mediaId);
-        }
-        break;
+        return await handleCompleteItem(
+          recipient, context, data.itemNumber, data.status, data.comments,
+          mediaId || (data.comments ? voiceNoteId : null)
+        );
         
-      case 'complete_inspection':
-        if (context.currentChecklistInstanceId) {
-          await handleCompleteInspection(recipient, user.id, context.currentChecklistInstanceId);
+      case 'add_comment':
+        // A comment answering "please describe the issue" finishes the pending status update
+        if ((state === STATES.AWAITING_COMMENT || state === STATES.AWAITING_MEDIA) && context.pendingStatus) {
+          return await handleCompleteItem(recipient, context, null, context.pendingStatus, data.comments, voiceNoteId);
         }
-        break;
+        return await handleAddComment(recipient, context, data.comments, voiceNoteId);
+        
+      case 'answer_item':
+        return await handleAnswerItem(recipient, context, data.itemId, data.itemNumber, data.value);
         
       case 'add_media':
-        if (mediaId && data.itemId) {
-          await handleAddMedia(recipient, user.id, data.itemId, mediaId);
-        } else if (mediaId && context.currentItemId) {
-          await handleAddMedia(recipient, user.id, context.currentItemId, mediaId);
+        return await handleAddMedia(recipient, context, data.itemNumber, mediaId);
+        
+      case 'complete_inspection':
+        return await handleCompleteInspection(recipient, context, data.confirmed);
+        
+      case 'sign_inspection':
+        // The sign-off is a typed name or a signature photo, never a transcript
+        if (voiceNoteId) {
+          await whatsapp.sendMessage(recipient, 'Voice notes can\'t be used to sign. Please type your full name or send a photo of your signature.');
+          return {};
         }
-        break;
+        return await handleSignInspection(recipient, context, user, data.name, mediaId);
+        
+      case 'accept_suggestion':
+        return await handleAcceptSuggestion(recipient, context, user, data.suggestionId);
+        
+      case 'dismiss_suggestion':
+        return await handleDismissSuggestion(recipient, context, user, data.suggestionId);
+        
+      case 'approve_report':
+        return await handleApproveReport(recipient, user, data.workOrderId);
+        
+      case 'reject_report':
+        return await handleRejectReport(recipient, user, data.workOrderId, data.reason);
+        
+      case 'cancel':
+        return await handleCancel(recipient, context);
         
       case 'help':
         await sendHelpMessage(recipient);
-        break;
+        return {};
         
-      // Add more intent handlers as needed
+      default:
+        // No business logic for this intent, fall back to the AI reply or a state prompt
+        await whatsapp.sendMessage(recipient, response || getStatePrompt(context));
+        return {};
     }
     
   } catch (error) {
@@ -315,43 +598,861 @@ async function handleIntent(recipient, nlpResponse, context, user, mediaId) {
       recipient,
       "Sorry, I encountered an error while processing your request. Please try again later."
     );
+    return {};
   }
 }
 
 /**
- * Intent handlers implementation...
- * These methods would contain the business logic for each intent
+ * Intent handlers
+ * Each handler replies to the inspector and returns the context fields to update
  */
-async function handleGetTodayJobs(recipient, userId) {
-  // Implementation omitted for brevity
-  // This would fetch today's jobs and send them to the user
+async function handleGetTodayJobs(recipient, userId, date) {
+  const today = new Date().toISOString().split('T')[0];
+  const jobDate = date || today;
+  const dayLabel = jobDate === today ? 'today' : jobDate;
+  const jobs = await db.getInspectorWorkOrders(userId, jobDate);
+  
+  if (jobs.length === 0) {
+    await whatsapp.sendMessage(recipient, `You have no inspections scheduled for ${dayLabel}.`);
+    return { jobIds: [] };
+  }
+  
+  const lines = jobs.map(job =>
+    `*#${job.id}* – ${job.address}, ${job.city}\n` +
+    `${job.scheduled_time_window || 'Any time'} · ${formatStatus(job.status)}`
+  );
+  
+  await whatsapp.sendMessage(
+    recipient,
+    `📋 *Inspections for ${dayLabel}*\n\n${lines.join('\n\n')}\n\nReply "Start inspection #<id>" to begin.`
+  );
+  
+  return { jobIds: jobs.map(job => job.id) };
 }
 
 async function handleStartInspection(recipient, userId, workOrderId) {
-  // Implementation omitted for brevity
-  // This would start a new inspection
+  const workOrder = await db.getWorkOrderById(workOrderId);
+  
+  if (!workOrder || workOrder.inspector_id !== userId) {
+    await whatsapp.sendMessage(recipient, `I couldn't find inspection #${workOrderId} assigned to you.`);
+    return {};
+  }
+  
+  if (workOrder.status === 'completed' || workOrder.status === 'cancelled') {
+    await whatsapp.sendMessage(recipient, `Inspection #${workOrderId} is already ${workOrder.status}.`);
+    return {};
+  }
+  
+  const checklist = await db.startInspection(workOrderId);
+  
+  await whatsapp.sendMessage(
+    recipient,
+    `✅ Inspection #${workOrderId} started.\n\n${formatChecklist(checklist.items)}\n\nReply with an item number to begin.`
+  );
+  
+  return {
+    state: STATES.JOB_SELECTED,
+    currentWorkOrderId: workOrderId,
+    currentChecklistInstanceId: checklist.instance.id,
+    currentItemId: null,
+    currentItemNumber: null,
+    pendingStatus: null
+  };
 }
 
-async function handleCompleteItem(recipient, userId, itemId, status, comments, mediaId) {
-  // Implementation omitted for brevity
-  // This would mark a checklist item as complete
+async function handleSelectItem(recipient, context, itemNumber) {
+  if (!context.currentWorkOrderId) {
+    await whatsapp.sendMessage(recipient, 'Please start an inspection first. Send "Show my jobs today" to see your inspections.');
+    return {};
+  }
+  
+  const item = await findChecklistItem(context.currentWorkOrderId, itemNumber);
+  
+  if (!item) {
+    await whatsapp.sendMessage(recipient, `There is no item ${itemNumber} on this checklist. Reply with a number from the list.`);
+    return {};
+  }
+  
+  // Attach photos that arrived before an item was chosen
+  const pendingMediaIds = context.pendingMediaIds || [];
+  for (const mediaId of pendingMediaIds) {
+    await db.assignMediaToItem(mediaId, item.id);
+  }
+  
+  let message = `📍 *Item ${itemNumber}: ${item.name}*${item.section_label ? ` (${item.section_label})` : ''}`;
+  if (item.description) {
+    message += `\n${item.description}`;
+  }
+  const required = [item.requires_media && 'media', item.requires_comment && 'comment'].filter(Boolean);
+  if (required.length > 0) {
+    message += `\nRequired: ${describeMissing(required)}.`;
+  }
+  if (pendingMediaIds.length > 0) {
+    message += `\n\n📷 ${pendingMediaIds.length} file(s) attached to this item.`;
+    await photoAnalysis.queuePhotoAnalysis(recipient, item.id, itemNumber);
+  }
+  
+  const asksAnswer = takesAnswer(item);
+  if (asksAnswer) {
+    if (item.answer_value !== null && item.answer_value !== undefined) {
+      message += `\n\nCurrent answer: *${formatAnswer(item, item.answer_value)}*`;
+    }
+    message += `\n\n${describeQuestion(item)}\nYou can also send a photo, "Comment: ...", "Skip" or "Issue: ...".`;
+  } else {
+    message += '\n\nSend a photo or video, "Comment: ...", "Complete" or "Issue: ...".';
+  }
+  
+  await whatsapp.sendMessage(recipient, message, 'text', null, asksAnswer ? buildAnswerOptions(item) : {});
+  
+  return {
+    state: asksAnswer ? STATES.AWAITING_ANSWER : STATES.ITEM_SELECTED,
+    currentItemId: item.id,
+    currentItemNumber: itemNumber,
+    // Only clear the files assigned here, not any that arrived meanwhile
+    pendingMediaIds: ids => (ids || []).filter(id => !pendingMediaIds.includes(id)),
+    pendingStatus: null
+  };
 }
 
-async function handleCompleteInspection(recipient, userId, checklistInstanceId) {
-  // Implementation omitted for brevity
-  // This would complete an entire inspection
+async function handleCompleteItem(recipient, context, itemNumber, status, comments, mediaId = null) {
+  if (!context.currentWorkOrderId) {
+    await whatsapp.sendMessage(recipient, 'Please start an inspection first.');
+    return {};
+  }
+  
+  let itemId = context.currentItemId;
+  let number = context.currentItemNumber;
+  
+  if (itemNumber) {
+    const item = await findChecklistItem(context.currentWorkOrderId, itemNumber);
+    if (!item) {
+      await whatsapp.sendMessage(recipient, `There is no item ${itemNumber} on this checklist.`);
+      return {};
+    }
+    itemId = item.id;
+    number = itemNumber;
+  }
+  
+  if (!itemId) {
+    await whatsapp.sendMessage(recipient, 'Which item is this for? Reply with the item number first.');
+    return {};
+  }
+  
+  // A photo captioned "Issue: ..." is evidence for the item it completes
+  if (mediaId) {
+    await db.assignMediaToItem(mediaId, itemId);
+  }
+  
+  const newStatus = status || 'completed';
+  const item = await db.getChecklistItem(itemId);
+  const newComments = appendComment(item.comments, comments);
+  
+  try {
+    await db.updateChecklistItem(itemId, newStatus, newComments);
+  } catch (error) {
+    if (error.code !== 'CHECKLIST_REQUIREMENTS_UNMET') {
+      throw error;
+    }
+    
+    // Keep what was said so far, the status follows once the evidence is in
+    if (comments) {
+      await db.updateChecklistItem(itemId, item.status, newComments);
+    }
+    
+    return await promptForRequirements(recipient, item, number, newStatus, error.missing);
+  }
+  
+  const { items } = await db.getWorkOrderChecklist(context.currentWorkOrderId);
+  const nextIndex = items.findIndex(i => i.status === 'pending');
+  
+  const answer = takesAnswer(item) && item.answer_value !== null ? `: ${formatAnswer(item, item.answer_value)}` : '';
+  let message = `✅ Item ${number} (${item.name}) marked as ${formatStatus(newStatus)}${answer}.`;
+  if (nextIndex >= 0) {
+    const next = items[nextIndex];
+    const section = next.section_label ? ` (${next.section_label})` : '';
+    message += `\n\nNext: *${nextIndex + 1}. ${next.name}*${section}. Reply "${nextIndex + 1}" to continue.`;
+  } else {
+    message += '\n\nAll items are done. Reply "Complete inspection" to finish.';
+  }
+  
+  await whatsapp.sendMessage(recipient, message);
+  
+  return {
+    state: STATES.JOB_SELECTED,
+    currentItemId: null,
+    currentItemNumber: null,
+    pendingStatus: null
+  };
 }
 
-async function handleAddMedia(recipient, userId, itemId, mediaId) {
-  // Implementation omitted for brevity
-  // This would add media to a checklist item
+/**
+ * Ask for the evidence an item needs before its status can be set
+ * Media is asked for first, the comment after, so each reply finishes one step.
+ * 
+ * @param {string} recipient - Inspector's WhatsApp number
+ * @param {Object} item - Checklist item
+ * @param {number} number - Item number shown to the inspector
+ * @param {string} status - Status waiting to be set
+ * @param {Array<string>} missing - Missing requirements from db.updateChecklistItem()
+ * @returns {Promise<Object>} Context patch
+ */
+async function promptForRequirements(recipient, item, number, status, missing) {
+  const label = `item ${number} (${item.name})`;
+  let message;
+  
+  // The answer decides the status itself, see handleAnswerItem()
+  if (missing.includes('answer')) {
+    await whatsapp.sendMessage(
+      recipient,
+      `Item ${number} (${item.name}) needs an answer before it can be marked ${formatStatus(status)}.\n\n${describeQuestion(item)}`,
+      'text', null, buildAnswerOptions(item)
+    );
+    return {
+      state: STATES.AWAITING_ANSWER,
+      currentItemId: item.id,
+      currentItemNumber: number,
+      pendingStatus: null
+    };
+  }
+  
+  if (missing.includes('media')) {
+    message = `📷 Item ${number} (${item.name}) needs ${describeMissing(missing)} before it can be marked ${formatStatus(status)}. Please send a photo or video now.`;
+  } else if (status === 'issue_found') {
+    // An issue without a description is useless in the report
+    message = `Please describe the issue found for ${label}.`;
+  } else {
+    message = `📝 Please add a comment for ${label} before it can be marked ${formatStatus(status)}.`;
+  }
+  
+  await whatsapp.sendMessage(recipient, message);
+  
+  return {
+    state: missing.includes('media') ? STATES.AWAITING_MEDIA : STATES.AWAITING_COMMENT,
+    currentItemId: item.id,
+    currentItemNumber: number,
+    pendingStatus: status
+  };
+}
+
+/**
+ * Record the answer to a checklist item and set its status
+ * An answer outside the acceptable range, or one listed as an issue, marks the item as an issue.
+ * 
+ * @param {string} recipient - Inspector's WhatsApp number
+ * @param {Object} context - Conversation context
+ * @param {number|null} itemId - Item ID from a list or button reply
+ * @param {number|null} itemNumber - Item number, the current item if neither is given
+ * @param {string} value - Answer as typed or picked
+ * @returns {Promise<Object>} Context patch
+ */
+async function handleAnswerItem(recipient, context, itemId, itemNumber, value) {
+  if (!context.currentWorkOrderId) {
+    await whatsapp.sendMessage(recipient, 'Please start an inspection first.');
+    return {};
+  }
+  
+  const { items } = await db.getWorkOrderChecklist(context.currentWorkOrderId);
+  const targetId = itemId || (itemNumber ? null : context.currentItemId);
+  const index = targetId ? items.findIndex(item => item.id === targetId) : itemNumber - 1;
+  const item = items[index];
+  
+  if (!item) {
+    await whatsapp.sendMessage(
+      recipient,
+      itemId ? 'That question isn\'t part of your current inspection.' : 'Which item is this for? Reply with the item number first.'
+    );
+    return {};
+  }
+  
+  const number = index + 1;
+  
+  if (!takesAnswer(item)) {
+    await whatsapp.sendMessage(recipient, `Item ${number} (${item.name}) doesn't take an answer. Reply "Complete", "Issue: ..." or "Comment: ...".`);
+    return {};
+  }
+  
+  const answer = parseAnswer(item, value);
+  
+  if (!answer) {
+    await whatsapp.sendMessage(
+      recipient,
+      `Sorry, "${value}" isn't an answer for item ${number} (${item.name}).\n\n${describeQuestion(item)}`,
+      'text', null, buildAnswerOptions(item)
+    );
+    return {
+      state: STATES.AWAITING_ANSWER,
+      currentItemId: item.id,
+      currentItemNumber: number
+    };
+  }
+  
+  await db.recordItemAnswer(item.id, answer);
+  
+  // Conditional items and sections depend on answers, e.g. "Pool present?" adds the pool items
+  const { items: updatedItems } = await db.getWorkOrderChecklist(context.currentWorkOrderId);
+  const added = updatedItems.length - items.length;
+  if (added !== 0) {
+    await whatsapp.sendMessage(
+      recipient,
+      added > 0
+        ? `➕ ${added} item(s) added to the checklist for this answer.`
+        : `➖ ${-added} item(s) no longer apply after this answer.`
+    );
+  }
+  
+  const issue = findAnswerIssue(item, answer);
+  if (issue) {
+    await whatsapp.sendMessage(recipient, `⚠️ ${issue}, so item ${number} is recorded as an issue.`);
+  }
+  
+  return await handleCompleteItem(
+    recipient,
+    { ...context, currentItemId: item.id, currentItemNumber: number },
+    null,
+    issue ? 'issue_found' : 'completed',
+    issue ? `${issue}.` : null
+  );
+}
+
+async function handleAddComment(recipient, context, comments, mediaId = null) {
+  if (!context.currentItemId) {
+    await whatsapp.sendMessage(recipient, 'Please select a checklist item first by replying with its number.');
+    return {};
+  }
+  
+  if (!comments) {
+    await whatsapp.sendMessage(recipient, `What would you like to note for item ${context.currentItemNumber}?`);
+    return { state: STATES.AWAITING_COMMENT, pendingStatus: null };
+  }
+  
+  const item = await db.getChecklistItem(context.currentItemId);
+  await db.updateChecklistItem(item.id, item.status, appendComment(item.comments, comments));
+  
+  // A dictated comment keeps its recording
+  if (mediaId) {
+    await db.assignMediaToItem(mediaId, item.id);
+  }
+  
+  // A comment on an item that takes an answer doesn't replace the answer, keep asking for it
+  const awaitingAnswer = context.state === STATES.AWAITING_ANSWER && item.answer_value === null;
+  
+  await whatsapp.sendMessage(
+    recipient,
+    awaitingAnswer
+      ? `📝 Comment saved for item ${context.currentItemNumber}. Now reply with the answer.`
+      : `📝 Comment saved for item ${context.currentItemNumber}. Send "Complete" or "Issue: ..." when you're done with this item.`
+  );
+  
+  return { state: awaitingAnswer ? STATES.AWAITING_ANSWER : STATES.ITEM_SELECTED, pendingStatus: null };
+}
+
+async function handleAddMedia(recipient, context, itemNumber, mediaId) {
+  // The inspector announced a photo, wait for the attachment
+  if (!mediaId) {
+    if (!context.currentItemId) {
+      await whatsapp.sendMessage(recipient, 'Please select a checklist item first by replying with its number.');
+      return {};
+    }
+    await whatsapp.sendMessage(recipient, `Go ahead and send the photo or video for item ${context.currentItemNumber}.`);
+    return { state: STATES.AWAITING_MEDIA };
+  }
+  
+  let itemId = context.currentItemId;
+  let number = context.currentItemNumber;
+  
+  if (itemNumber && context.currentWorkOrderId) {
+    const item = await findChecklistItem(context.currentWorkOrderId, itemNumber);
+    if (item) {
+      itemId = item.id;
+      number = itemNumber;
+    }
+  }
+  
+  if (!itemId) {
+    if (!context.currentWorkOrderId) {
+      await whatsapp.sendMessage(recipient, 'I received your file, but you have no inspection in progress. Start an inspection first.');
+      return {};
+    }
+    
+    await whatsapp.sendMessage(recipient, '📷 Got it. Which checklist item is this for? Reply with the item number.');
+    return { pendingMediaIds: ids => [...(ids || []), mediaId] };
+  }
+  
+  await db.assignMediaToItem(mediaId, itemId);
+  
+  // The photo an item was waiting for finishes the pending status update
+  if (context.state === STATES.AWAITING_MEDIA && context.pendingStatus && itemId === context.currentItemId) {
+    return await handleCompleteItem(recipient, context, null, context.pendingStatus, null);
+  }
+  
+  await photoAnalysis.queuePhotoAnalysis(recipient, itemId, number);
+  
+  // A photo of a meter or gauge comes before its reading, keep waiting for the answer
+  const awaitingAnswer = context.state === STATES.AWAITING_ANSWER && itemId === context.currentItemId;
+  
+  await whatsapp.sendMessage(
+    recipient,
+    awaitingAnswer
+      ? `📷 Saved to item ${number}. Send more, or reply with the answer.`
+      : `📷 Saved to item ${number}. Send more, add a comment, or reply "Complete".`
+  );
+  
+  return {
+    state: awaitingAnswer ? STATES.AWAITING_ANSWER : STATES.ITEM_SELECTED,
+    currentItemId: itemId,
+    currentItemNumber: number
+  };
+}
+
+async function handleCompleteInspection(recipient, context, confirmed) {
+  const workOrderId = context.currentWorkOrderId;
+  
+  if (!workOrderId) {
+    await whatsapp.sendMessage(recipient, 'You have no inspection in progress.');
+    return {};
+  }
+  
+  // Ask for confirmation first, completing can't be undone over WhatsApp
+  if (context.state !== STATES.COMPLETING && !confirmed) {
+    const unmetRequirements = await db.getUnmetRequirements(workOrderId);
+    
+    if (unmetRequirements.length > 0) {
+      await sendUnmetRequirements(recipient, unmetRequirements);
+      return { state: STATES.JOB_SELECTED };
+    }
+    
+    const { items } = await db.getWorkOrderChecklist(workOrderId);
+    
+    const count = status => items.filter(item => item.status === status).length;
+    await whatsapp.sendMessage(
+      recipient,
+      `Ready to complete inspection #${workOrderId}:\n` +
+      `✅ ${count('completed')} completed\n` +
+      `⚠️ ${count('issue_found')} issue(s) found\n` +
+      `⏭️ ${count('skipped')} skipped\n\n` +
+      'Reply *YES* to confirm or *Cancel* to go back.'
+    );
+    return { state: STATES.COMPLETING };
+  }
+  
+  await whatsapp.sendMessage(
+    recipient,
+    `✍️ Please sign off inspection #${workOrderId}.\n\n` +
+    `"${SIGNATURE_ATTESTATION}"\n\n` +
+    'Reply with your *full name* to sign, or send a photo of your handwritten signature. Reply *Cancel* to go back.'
+  );
+  return { state: STATES.AWAITING_SIGNATURE };
+}
+
+/**
+ * Tell the inspector which items block completing the inspection
+ * 
+ * @param {string} recipient - Inspector's WhatsApp number
+ * @param {Array<Object>} unmetRequirements - From db.getUnmetRequirements()
+ * @returns {Promise<void>}
+ */
+async function sendUnmetRequirements(recipient, unmetRequirements) {
+  const list = unmetRequirements.map(entry => {
+    const reason = entry.missing.includes('status')
+      ? 'still pending'
+      : `needs ${describeMissing(entry.missing)}`;
+    const section = entry.section ? ` (${entry.section})` : '';
+    return `${entry.itemNumber}. ${entry.name}${section} – ${reason}`;
+  }).join('\n');
+  
+  await whatsapp.sendMessage(
+    recipient,
+    `You still have ${unmetRequirements.length} item(s) to finish:\n${list}\n\nPlease finish them before completing the inspection.`
+  );
+}
+
+/**
+ * Sign off and complete the inspection
+ * 
+ * The inspector either types their full name, which must match the name on
+ * file, or sends a photo of their signature.
+ * 
+ * @param {string} recipient - Inspector's WhatsApp number
+ * @param {Object} context - Conversation context
+ * @param {Object} user - Inspector
+ * @param {string} typedName - Name typed by the inspector
+ * @param {number|null} mediaId - Signature image media ID
+ * @returns {Promise<Object>} Context patch
+ */
+async function handleSignInspection(recipient, context, user, typedName, mediaId) {
+  const workOrderId = context.currentWorkOrderId;
+  
+  if (!workOrderId || context.state !== STATES.AWAITING_SIGNATURE) {
+    await whatsapp.sendMessage(recipient, 'There is nothing to sign. Send "Complete inspection" when you\'ve finished an inspection.');
+    return {};
+  }
+  
+  let signature;
+  
+  if (mediaId) {
+    const media = await db.getMediaById(mediaId);
+    
+    if (!media || media.media_type !== 'image') {
+      await whatsapp.sendMessage(recipient, 'Please send your signature as a photo, or reply with your full name.');
+      return {};
+    }
+    
+    signature = { method: 'image', mediaId, typedName: null };
+  } else {
+    const normalize = name => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    
+    if (!normalize(typedName)) {
+      await whatsapp.sendMessage(recipient, getStatePrompt(context));
+      return {};
+    }
+    
+    if (user.name && normalize(typedName) !== normalize(user.name)) {
+      await whatsapp.sendMessage(
+        recipient,
+        `That doesn't match the name on file. Please type your full name exactly as *${user.name}*, or send a photo of your signature.`
+      );
+      return {};
+    }
+    
+    signature = { method: 'typed', typedName: typedName.trim(), mediaId: null };
+  }
+  
+  // An item may have changed since the inspector confirmed, don't sign an incomplete inspection
+  const unmetRequirements = await db.getUnmetRequirements(workOrderId);
+  if (unmetRequirements.length > 0) {
+    await sendUnmetRequirements(recipient, unmetRequirements);
+    return { state: STATES.JOB_SELECTED };
+  }
+  
+  const signerName = user.name || signature.typedName || user.phone;
+  
+  // Sign, complete and queue the report together, so a failure leaves nothing half done
+  const result = await db.transaction(async connection => {
+    const completion = await db.completeInspection(workOrderId, connection);
+    
+    if (!completion.completed) {
+      return completion;
+    }
+    
+    await db.recordInspectionSignature(workOrderId, {
+      ...signature,
+      signerId: user.id,
+      signerName,
+      attestation: SIGNATURE_ATTESTATION
+    }, connection);
+    
+    // The worker renders the report and sends it back for review
+    await queue.enqueue(queue.JOB_TYPES.GENERATE_REPORT, { workOrderId }, {
+      groupKey: `report:${workOrderId}`,
+      connection
+    });
+    
+    return completion;
+  });
+  
+  if (!result.completed) {
+    await sendUnmetRequirements(recipient, result.unmetRequirements);
+    return { state: STATES.JOB_SELECTED };
+  }
+  
+  await whatsapp.sendMessage(
+    recipient,
+    `🎉 Inspection #${workOrderId} signed by ${signerName} and completed. Thank you!\n\n` +
+    "I'll send you the draft report to review shortly."
+  );
+  
+  return {
+    state: STATES.IDLE,
+    currentWorkOrderId: null,
+    currentChecklistInstanceId: null,
+    currentItemId: null,
+    currentItemNumber: null,
+    pendingStatus: null,
+    pendingMediaIds: []
+  };
+}
+
+/**
+ * Find the draft report an inspector is reviewing
+ * Without a work order ID this is their most recent draft.
+ * 
+ * @param {string} recipient - Inspector's WhatsApp number
+ * @param {Object} user - Inspector
+ * @param {number|undefined} workOrderId - Work order ID from the message
+ * @returns {Promise<Object|null>} - Draft report, or null after telling the inspector why not
+ */
+async function findDraftReport(recipient, user, workOrderId) {
+  const report = await db.findReportForReview(user.id, workOrderId || null);
+  
+  if (!report) {
+    await whatsapp.sendMessage(
+      recipient,
+      workOrderId
+        ? `I couldn't find a report for inspection #${workOrderId} assigned to you.`
+        : 'You have no draft reports waiting for review.'
+    );
+    return null;
+  }
+  
+  if (report.status !== 'draft') {
+    await whatsapp.sendMessage(recipient, `The report for inspection #${report.work_order_id} has already been ${report.status}.`);
+    return null;
+  }
+  
+  return report;
+}
+
+/**
+ * Approve a draft report so it's sent to the customer
+ * 
+ * @param {string} recipient - Inspector's WhatsApp number
+ * @param {Object} user - Inspector
+ * @param {number|undefined} workOrderId - Work order ID, defaults to the latest draft
+ * @returns {Promise<Object>} Context patch
+ */
+async function handleApproveReport(recipient, user, workOrderId) {
+  const report = await findDraftReport(recipient, user, workOrderId);
+  
+  if (!report) {
+    return {};
+  }
+  
+  if (!await reports.approveReport(report.id, user.id)) {
+    await whatsapp.sendMessage(recipient, `The report for inspection #${report.work_order_id} is no longer waiting for approval.`);
+    return {};
+  }
+  
+  await whatsapp.sendMessage(recipient, `✅ Report for inspection #${report.work_order_id} approved. It's on its way to the customer.`);
+  return {};
+}
+
+/**
+ * Hold back a draft report and pass the reason on to the office
+ * 
+ * @param {string} recipient - Inspector's WhatsApp number
+ * @param {Object} user - Inspector
+ * @param {number|undefined} workOrderId - Work order ID, defaults to the latest draft
+ * @param {string|undefined} reason - What needs fixing
+ * @returns {Promise<Object>} Context patch
+ */
+async function handleRejectReport(recipient, user, workOrderId, reason) {
+  const report = await findDraftReport(recipient, user, workOrderId);
+  
+  if (!report) {
+    return {};
+  }
+  
+  if (!reason || !reason.trim()) {
+    await whatsapp.sendMessage(
+      recipient,
+      `Please tell us what needs fixing, e.g. "Reject report #${report.work_order_id}: wrong meter reading on item 4".`
+    );
+    return {};
+  }
+  
+  await reports.rejectReport(report.id, user.id, reason.trim());
+  
+  await whatsapp.sendMessage(
+    recipient,
+    `The report for inspection #${report.work_order_id} has been held back and the office has been told what needs fixing.`
+  );
+  return {};
+}
+
+/**
+ * Find the suggestion the inspector is answering
+ * A button carries the suggestion ID, a typed "Accept" means the newest pending one on the current inspection.
+ */
+async function findSuggestion(recipient, context, user, suggestionId) {
+  const suggestion = suggestionId
+    ? await db.getItemSuggestion(suggestionId)
+    : context.currentWorkOrderId && await db.findPendingItemSuggestion(context.currentWorkOrderId);
+  
+  if (!suggestion || suggestion.inspector_id !== user.id) {
+    await whatsapp.sendMessage(recipient, 'There is no photo suggestion waiting for you.');
+    return null;
+  }
+  
+  if (suggestion.status !== 'pending') {
+    await whatsapp.sendMessage(recipient, `That suggestion was already ${suggestion.status}.`);
+    return null;
+  }
+  
+  return suggestion;
+}
+
+async function handleAcceptSuggestion(recipient, context, user, suggestionId) {
+  const suggestion = await findSuggestion(recipient, context, user, suggestionId);
+  if (!suggestion) {
+    return {};
+  }
+  
+  const item = await db.getChecklistItem(suggestion.checklist_instance_item_id);
+  
+  // The inspector set the status themselves after the photos were analyzed
+  if (item.status !== 'pending') {
+    await db.resolveItemSuggestion(suggestion.id, 'superseded', user.id);
+    await whatsapp.sendMessage(recipient, `Item "${item.name}" is already marked as ${formatStatus(item.status)}, the suggestion was not applied.`);
+    return {};
+  }
+  
+  if (!await db.resolveItemSuggestion(suggestion.id, 'accepted', user.id)) {
+    await whatsapp.sendMessage(recipient, 'That suggestion was already answered.');
+    return {};
+  }
+  
+  const { items } = await db.getWorkOrderChecklist(suggestion.work_order_id);
+  const itemNumber = items.findIndex(i => i.id === item.id) + 1;
+  
+  // Same path as typing "Complete" or "Issue: ..." for the item
+  return await handleCompleteItem(
+    recipient,
+    { ...context, currentWorkOrderId: suggestion.work_order_id },
+    itemNumber,
+    suggestion.suggested_status,
+    suggestion.suggested_comment
+  );
+}
+
+async function handleDismissSuggestion(recipient, context, user, suggestionId) {
+  const suggestion = await findSuggestion(recipient, context, user, suggestionId);
+  if (!suggestion) {
+    return {};
+  }
+  
+  await db.resolveItemSuggestion(suggestion.id, 'dismissed', user.id);
+  await whatsapp.sendMessage(recipient, 'Suggestion dismissed. Reply "Complete" or "Issue: ..." to set the status yourself.');
+  
+  return {};
+}
+
+async function handleCancel(recipient, context) {
+  switch (context.state) {
+    case STATES.ITEM_SELECTED:
+    case STATES.AWAITING_MEDIA:
+    case STATES.AWAITING_COMMENT:
+    case STATES.AWAITING_ANSWER:
+    case STATES.COMPLETING:
+    case STATES.AWAITING_SIGNATURE:
+      await whatsapp.sendMessage(
+        recipient,
+        `Cancelled. You're back on inspection #${context.currentWorkOrderId}, reply with an item number to continue.`
+      );
+      return {
+        state: STATES.JOB_SELECTED,
+        currentItemId: null,
+        currentItemNumber: null,
+        pendingStatus: null
+      };
+      
+    case STATES.JOB_SELECTED:
+      await whatsapp.sendMessage(
+        recipient,
+        `You've left inspection #${context.currentWorkOrderId}. It stays in progress, send "Start inspection #${context.currentWorkOrderId}" to resume.`
+      );
+      return {
+        state: STATES.IDLE,
+        currentWorkOrderId: null,
+        currentChecklistInstanceId: null,
+        currentItemId: null,
+        currentItemNumber: null,
+        pendingStatus: null
+      };
+      
+    default:
+      await whatsapp.sendMessage(recipient, 'There is nothing to cancel.');
+      return {};
+  }
 }
 
 async function sendHelpMessage(recipient) {
-  // Implementation omitted for brevity
-  // This would send a help message with available commands
+  await whatsapp.sendMessage(
+    recipient,
+    '*Available commands*\n\n' +
+    '• "Show my jobs today" – view today\'s inspections\n' +
+    '• "Start inspection #<id>" – begin an inspection\n' +
+    '• "<number>" – select a checklist item\n' +
+    '• Send a photo or video – attach it to the current item\n' +
+    '• Send a voice note – dictate a comment or any of these commands\n' +
+    '• "Accept" / "Dismiss" – answer a suggestion made from your photos\n' +
+    '• "Comment: <text>" – add a comment to the current item\n' +
+    '• "Answer: <value>" – answer the current item\'s question, e.g. a reading or a rating\n' +
+    '• "Complete" – mark the current item as completed\n' +
+    '• "Issue: <text>" – mark the current item as having an issue\n' +
+    '• "Skip" – skip the current item\n' +
+    '• "Complete inspection" – finish the current inspection\n' +
+    '• "Sign: <full name>" – sign off an inspection you are completing\n' +
+    '• "Approve" – send your latest draft report to the customer\n' +
+    '• "Reject: <reason>" – hold back a draft report\n' +
+    '• "Cancel" – cancel the current operation\n' +
+    '• "Help" – show this message'
+  );
+}
+
+/**
+ * Helpers for the inspection flow
+ */
+
+/**
+ * Find a checklist item by the 1-based number shown to the inspector
+ */
+async function findChecklistItem(workOrderId, itemNumber) {
+  const { items } = await db.getWorkOrderChecklist(workOrderId);
+  return items[itemNumber - 1] || null;
+}
+
+function getStatePrompt(context) {
+  switch (context.state) {
+    case STATES.JOB_SELECTED:
+      return 'Reply with an item number to continue, or "Complete inspection" when you\'re done.';
+    case STATES.ITEM_SELECTED:
+    case STATES.AWAITING_MEDIA:
+      return `Send a photo, "Comment: ...", "Complete" or "Issue: ..." for item ${context.currentItemNumber}.`;
+    case STATES.AWAITING_COMMENT:
+      return `Please type your comment for item ${context.currentItemNumber}.`;
+    case STATES.AWAITING_ANSWER:
+      return `Reply with the answer for item ${context.currentItemNumber}, or "Skip", "Issue: ..." or "Comment: ...".`;
+    case STATES.COMPLETING:
+      return 'Reply *YES* to complete the inspection or *Cancel* to go back.';
+    case STATES.AWAITING_SIGNATURE:
+      return 'Reply with your full name to sign off the inspection, send a photo of your signature, or reply *Cancel* to go back.';
+    default:
+      return 'Send "Show my jobs today" to see your inspections, or "Help" for all commands.';
+  }
+}
+
+function formatChecklist(items) {
+  const icons = {
+    pending: '⬜',
+    completed: '✅',
+    issue_found: '⚠️',
+    skipped: '⏭️'
+  };
+  
+  // Items keep their number across sections, sections get a heading
+  return groupBySection(items).map(group => {
+    const lines = group.items.map(item => {
+      const media = item.media_count > 0 ? ` 📷${item.media_count}` : '';
+      const answer = takesAnswer(item) && item.answer_value !== null ? ` (${formatAnswer(item, item.answer_value)})` : '';
+      return `${item.number}. ${icons[item.status] || '⬜'} ${item.name}${answer}${media}`;
+    });
+    return group.label ? `*${group.label}*\n${lines.join('\n')}` : lines.join('\n');
+  }).join('\n\n');
+}
+
+function formatStatus(status) {
+  return status.replace(/_/g, ' ');
+}
+
+function appendComment(existing, comment) {
+  if (!comment) {
+    return existing || null;
+  }
+  return existing ? `${existing}\n${comment}` : comment;
 }
 
 module.exports = {
-  handleWebhook
+  handleWebhook,
+  processMessage,
+  notifyProcessingFailed
 };
@@ -0,0 +1,231 @@
+/**
+ * Intent schema shared by the NLP layer and the webhook handler
+ * For Property Stewards – Inspector Interface System
+ *
+ * Every NLP result handed to handler.js follows this schema. Bump
+ * INTENT_SCHEMA_VERSION whenever an intent or field is added, renamed or removed.
+ */
+
+const INTENT_SCHEMA_VERSION = '1.5';
+
+const ITEM_STATUSES = ['completed', 'issue_found', 'skipped'];
+
+/**
+ * Supported intents with the data fields each one accepts.
+ * Field types: 'integer', 'string', 'date' (YYYY-MM-DD) or an array of allowed values.
+ */
+const INTENTS = {
+  get_today_jobs: {
+    description: 'Inspector wants to see their jobs for today or a given date',
+    fields: {
+      date: { type: 'date' }
+    }
+  },
+  start_inspection: {
+    description: 'Inspector wants to start (or resume) a work order',
+    fields: {
+      workOrderId: { type: 'integer', required: true }
+    }
+  },
+  select_item: {
+    description: 'Inspector wants to work on a checklist item, referenced by its number in the list',
+    fields: {
+      itemNumber: { type: 'integer', required: true }
+    }
+  },
+  complete_item: {
+    description: 'Inspector marks a checklist item as completed, issue_found or skipped',
+    fields: {
+      itemNumber: { type: 'integer' },
+      status: { type: ITEM_STATUSES },
+      comments: { type: 'string' }
+    }
+  },
+  add_comment: {
+    description: 'Inspector adds a comment to the current checklist item',
+    fields: {
+      comments: { type: 'string' }
+    }
+  },
+  answer_item: {
+    description: 'Inspector answers the question of a checklist item that takes an answer: a number or meter reading, a choice, yes/no or a rating',
+    fields: {
+      itemId: { type: 'integer' },
+      itemNumber: { type: 'integer' },
+      value: { type: 'string', required: true }
+    }
+  },
+  add_media: {
+    description: 'Inspector sends (or is about to send) a photo or video for a checklist item',
+    fields: {
+      itemNumber: { type: 'integer' }
+    }
+  },
+  complete_inspection: {
+    description: 'Inspector wants to finish the current inspection',
+    fields: {}
+  },
+  sign_inspection: {
+    description: 'Inspector signs the inspection they are completing by typing their full name',
+    fields: {
+      name: { type: 'string' }
+    }
+  },
+  approve_report: {
+    description: 'Inspector approves a draft inspection report so it is sent to the customer',
+    fields: {
+      workOrderId: { type: 'integer' }
+    }
+  },
+  reject_report: {
+    description: 'Inspector rejects a draft inspection report and says what needs fixing',
+    fields: {
+      workOrderId: { type: 'integer' },
+      reason: { type: 'string' }
+    }
+  },
+  accept_suggestion: {
+    description: 'Inspector accepts the status and comment suggested from their photos',
+    fields: {
+      suggestionId: { type: 'integer' }
+    }
+  },
+  dismiss_suggestion: {
+    description: 'Inspector dismisses the status and comment suggested from their photos',
+    fields: {
+      suggestionId: { type: 'integer' }
+    }
+  },
+  cancel: {
+    description: 'Cancel the current operation',
+    fields: {}
+  },
+  confirm: {
+    description: 'Inspector answers yes to a question',
+    fields: {}
+  },
+  decline: {
+    description: 'Inspector answers no to a question',
+    fields: {}
+  },
+  choose_number: {
+    description: 'Inspector replies with just a number, e.g. picking a job or checklist item from a list',
+    fields: {
+      number: { type: 'integer', required: true }
+    }
+  },
+  help: {
+    description: 'Inspector needs help or a list of commands',
+    fields: {}
+  },
+  greeting: {
+    description: 'General greeting or small talk',
+    fields: {}
+  },
+  unknown: {
+    description: 'Could not determine intent',
+    fields: {}
+  }
+};
+
+// Intent names used by earlier prompts, accepted so older model output still validates
+const INTENT_ALIASES = {
+  view_jobs: 'get_today_jobs',
+  update_item: 'complete_item',
+  get_help: 'help'
+};
+
+/**
+ * Coerce a raw value to a field type
+ *
+ * @param {*} value - Raw value from the model
+ * @param {string|Array} type - Field type
+ * @returns {*} Coerced value or undefined if it doesn't fit the type
+ */
+function coerceField(value, type) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  if (Array.isArray(type)) {
+    const normalized = String(value).trim().toLowerCase().replace(/\s+/g, '_');
+    return type.includes(normalized) ? normalized : undefined;
+  }
+
+  switch (type) {
+    case 'integer': {
+      const match = /^#?\s*(\d+)$/.exec(String(value).trim());
+      const number = match ? parseInt(match[1], 10) : NaN;
+      return number > 0 ? number : undefined;
+    }
+    case 'string':
+      return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? String(value) : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Validate an intent object against the schema
+ *
+ * @param {Object} raw - Intent object, e.g. parsed model JSON
+ * @returns {{valid: boolean, intent: string|null, data: Object, errors: Array<string>}}
+ */
+function validateIntent(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return { valid: false, intent: null, data: {}, errors: ['Intent is not an object'] };
+  }
+
+  const intent = INTENT_ALIASES[raw.intent] || raw.intent;
+  const definition = INTENTS[intent];
+
+  if (!definition) {
+    return { valid: false, intent: null, data: {}, errors: [`Unknown intent "${raw.intent}"`] };
+  }
+
+  const errors = [];
+  const input = raw.data || raw.params || {};
+  const data = {};
+
+  for (const [field, rule] of Object.entries(definition.fields)) {
+    const value = coerceField(input[field], rule.type);
+
+    if (value !== undefined) {
+      data[field] = value;
+    } else if (input[field] !== undefined && input[field] !== null && input[field] !== '') {
+      errors.push(`Invalid value for ${intent}.${field}: ${JSON.stringify(input[field])}`);
+    } else if (rule.required) {
+      errors.push(`Missing required field ${intent}.${field}`);
+    }
+  }
+
+  return { valid: errors.length === 0, intent, data, errors };
+}
+
+/**
+ * Describe the schema for use in a model prompt
+ *
+ * @param {Array<string>} [names] - Limit the description to these intents
+ * @returns {string} Human-readable intent list
+ */
+function describeIntents(names = Object.keys(INTENTS)) {
+  return names.map(name => {
+    const { description, fields } = INTENTS[name];
+    const fieldList = Object.entries(fields).map(([field, rule]) => {
+      const type = Array.isArray(rule.type) ? rule.type.map(v => `"${v}"`).join(' | ') : rule.type;
+      return `${field}${rule.required ? '' : '?'}: ${type}`;
+    });
+    const data = fieldList.length > 0 ? ` data: { ${fieldList.join(', ')} }` : '';
+    return `- "${name}": ${description}.${data}`;
+  }).join('\n');
+}
+
+module.exports = {
+  INTENT_SCHEMA_VERSION,
+  INTENTS,
+  ITEM_STATUSES,
+  validateIntent,
+  describeIntents
+};
@@ -0,0 +1,188 @@
+/**
+ * Media files for Property Stewards – Inspector Interface System
+ * The media table records each file, the content lives in object storage (src/storage).
+ * Photos get auto-rotated thumbnail and web copies in the background, the original is kept as sent.
+ * Voice notes are transcribed while the message is processed (src/transcription).
+ */
+
+const db = require('./db');
+const storage = require('./storage');
+const queue = require('./queue');
+const mediaTypes = require('./utils/media-types');
+const image = require('./utils/image');
+const transcription = require('./transcription');
+const logger = require('./utils/logger');
+
+/**
+ * Work out how to store a downloaded attachment
+ *
+ * @param {Object} message - Parsed message (type, messageId, fileName, mimeType)
+ * @param {Object} download - { data, contentType } from whatsapp.downloadMedia()
+ * @returns {Object} - { mediaType, contentType, fileName, rejection }, rejection is a reply for files that aren't accepted
+ */
+function describeIncomingMedia(message, download) {
+  const contentType = mediaTypes.resolveContentType(download.contentType, message.mimeType, message.fileName);
+  const mediaType = mediaTypes.getMediaType(message.type, contentType);
+
+  return {
+    mediaType,
+    contentType,
+    fileName: mediaTypes.buildFileName(message, mediaType, contentType),
+    rejection: mediaTypes.validateMedia(mediaType, contentType, download.data.length)
+  };
+}
+
+/**
+ * Store a media file and record it
+ * Photos are queued for processing (see processImage).
+ *
+ * @param {number|null} itemId - Checklist instance item ID (null if not yet assigned)
+ * @param {string} mediaType - Type of media ('image', 'video', 'audio', 'document')
+ * @param {string} fileName - Name of the file
+ * @param {string} contentType - MIME type
+ * @param {Buffer} content - File content
+ * @returns {Promise<number>} - Media ID
+ */
+async function saveMedia(itemId, mediaType, fileName, contentType, content) {
+  const file = await storage.saveFile('media', fileName, content, contentType);
+
+  let mediaId;
+
+  try {
+    mediaId = await db.storeMedia(itemId, mediaType, fileName, contentType, file);
+  } catch (error) {
+    // Don't leave an object behind that no row points to
+    await storage.deleteFile(file.key).catch(deleteError => {
+      logger.warn(`Could not delete orphaned media object ${file.key}:`, deleteError.message);
+    });
+    throw error;
+  }
+
+  if (mediaType === 'image') {
+    // The photo is already stored, a missing thumbnail must not fail the message
+    await queue.enqueue(queue.JOB_TYPES.PROCESS_IMAGE, { mediaId }, { groupKey: `media:${mediaId}` })
+      .catch(error => logger.warn(`Could not queue processing of media ${mediaId}:`, error.message));
+  }
+
+  return mediaId;
+}
+
+/**
+ * Read a photo's EXIF and render its variants
+ * Runs as a PROCESS_IMAGE job. Formats sharp can't decode (e.g. some HEIC files)
+ * still get their EXIF recorded, they just have no variants.
+ *
+ * @param {number} mediaId - Media ID
+ * @returns {Promise<void>}
+ */
+async function processImage(mediaId) {
+  const media = await db.getMediaById(mediaId);
+
+  if (!media || media.media_type !== 'image') {
+    logger.warn(`Media ${mediaId} is not a stored photo, skipping processing`);
+    return;
+  }
+
+  const content = await getMediaContent(media);
+  const exif = await image.readExif(content);
+
+  let rendered = null;
+  try {
+    rendered = await image.createVariants(content);
+  } catch (error) {
+    logger.warn(`Could not render variants of media ${mediaId} (${media.content_type}):`, error.message);
+  }
+
+  for (const variant of rendered ? rendered.variants : []) {
+    const file = await storage.saveFile('media/variants', `${mediaId}-${variant.variant}.jpg`, variant.data, variant.contentType);
+    const replacedKey = await db.storeMediaVariant(mediaId, variant.variant, file, variant);
+
+    if (replacedKey) {
+      await storage.deleteFile(replacedKey).catch(error => {
+        logger.warn(`Could not delete replaced variant ${replacedKey}:`, error.message);
+      });
+    }
+  }
+
+  await db.updateMediaMetadata(mediaId, {
+    ...exif,
+    width: rendered && rendered.width,
+    height: rendered && rendered.height
+  });
+
+  logger.info(`Processed media ${mediaId}: ${rendered ? rendered.variants.length : 0} variant(s)`);
+}
+
+/**
+ * Transcribe a stored voice note and record the transcript
+ * A failed transcription is logged, the recording itself is still kept.
+ *
+ * @param {number} mediaId - Media ID
+ * @param {Buffer} content - Audio file
+ * @param {string} fileName - File name
+ * @param {string} contentType - MIME type
+ * @returns {Promise<string|null>} - Transcript, or null if there is none
+ */
+async function transcribeMedia(mediaId, content, fileName, contentType) {
+  let transcript;
+
+  try {
+    transcript = await transcription.transcribe(content, fileName, contentType);
+  } catch (error) {
+    logger.warn(`Could not transcribe media ${mediaId}:`, error.message);
+    return null;
+  }
+
+  if (transcript) {
+    await db.updateMediaTranscript(mediaId, transcript);
+  }
+
+  return transcript;
+}
+
+/**
+ * Read a photo for display, preferring a resized, upright variant
+ * Falls back to the original while the photo hasn't been processed yet.
+ *
+ * @param {Object} media - Media row
+ * @param {string} variant - 'thumbnail' or 'web'
+ * @returns {Promise<Object>} - { content, contentType }
+ */
+async function getImageForDisplay(media, variant = 'web') {
+  const stored = await db.getMediaVariant(media.id, variant);
+
+  if (stored) {
+    try {
+      return { content: await storage.readFile(stored.storage_key), contentType: stored.content_type };
+    } catch (error) {
+      logger.warn(`Could not read ${variant} variant of media ${media.id}, using the original:`, error.message);
+    }
+  }
+
+  return { content: await getMediaContent(media), contentType: media.content_type };
+}
+
+/**
+ * Read a media file's content
+ *
+ * @param {Object|number} media - Media row with storage_key, or a media ID
+ * @returns {Promise<Buffer>} - File content
+ */
+async function getMediaContent(media) {
+  const row = typeof media === 'object' ? media : await db.getMediaById(media);
+
+  if (!row || !row.storage_key) {
+    throw new Error(`Media ${row ? row.id : media} has no stored file`);
+  }
+
+  return await storage.readFile(row.storage_key);
+}
+
+module.exports = {
+  describeIncomingMedia,
+  saveMedia,
+  processImage,
+  transcribeMedia,
+  getMediaContent,
+  getImageForDisplay
+};
@@ -0,0 +1,208 @@
+/**
+ * NLP layer for Property Stewards – Inspector Interface System
+ *
+ * Known commands are resolved by the command parser, free text goes to a
+ * pluggable NLP provider selected with the NLP_PROVIDER environment variable:
+ * - "openai": GPT-4o-mini via src/openai.js (default when OPENAI_API_KEY is set)
+ * - "rules": offline keyword rules and fixtures via src/nlp/rules.js
+ *
+ * A provider implements:
+ * - name: string
+ * - extractIntent(text, context, role) => Promise<{ intentData }>
+ * - processMediaMessage(caption, mediaType, context) => Promise<{ intentData }>
+ * where intentData is raw JSON in the shape described by src/intents.js.
+ *
+ * Providers that can see images also implement:
+ * - analyzeChecklistPhotos(images, item) => Promise<{ status, comment, confidence, model }|null>
+ *
+ * Providers that can write also implement:
+ * - generateReportNarrative(summary) => Promise<string>
+ */
+
+const { INTENT_SCHEMA_VERSION, validateIntent } = require('../intents');
+const { parseCommand } = require('../commands');
+const logger = require('../utils/logger');
+
+// Providers are loaded on demand so the offline backend never touches OpenAI
+const PROVIDERS = {
+  openai: () => require('../openai'),
+  rules: () => require('./rules')
+};
+
+let activeProvider = null;
+
+/**
+ * Get the configured NLP provider
+ *
+ * @returns {Object} - NLP provider
+ */
+function getProvider() {
+  if (!activeProvider) {
+    const name = (process.env.NLP_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'rules')).toLowerCase();
+
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown NLP_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    activeProvider = PROVIDERS[name]();
+    logger.info(`Using NLP provider: ${activeProvider.name}`);
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Replace the NLP provider, e.g. with a stub in tests
+ *
+ * @param {string|Object} provider - Provider name or provider object
+ */
+function setProvider(provider) {
+  if (typeof provider === 'string') {
+    if (!PROVIDERS[provider]) {
+      throw new Error(`Unknown NLP provider "${provider}"`);
+    }
+    activeProvider = PROVIDERS[provider]();
+  } else {
+    activeProvider = provider;
+  }
+}
+
+/**
+ * Route an intent for a message that carries an attachment
+ *
+ * Anything that doesn't say what to do with the file goes through the media flow.
+ *
+ * @param {Object} intent - Validated { intent, data }
+ * @returns {Object} - { intent, data } for the media flow
+ */
+function toMediaIntent({ intent, data }) {
+  if (intent === 'add_media' || intent === 'complete_item') {
+    return { intent, data };
+  }
+
+  // "item 3" or just "3" as a caption names the item the file belongs to
+  const itemNumber = data.itemNumber || data.number;
+  return { intent: 'add_media', data: itemNumber ? { itemNumber } : {} };
+}
+
+/**
+ * Process an incoming message and determine what the handler should do
+ *
+ * This is the single entry point used by the webhook handler. Known commands are
+ * resolved by the command parser, only free text is sent to the NLP provider. The
+ * result always follows the intent schema in src/intents.js, whatever the provider returned.
+ *
+ * @param {string} text - Message text or media caption
+ * @param {Object} context - Conversation context
+ * @param {string} role - Sender role ('inspector', 'customer', 'admin')
+ * @param {Object} options - Message details
+ * @param {string} options.mediaType - Type of the attached media, if any
+ * @param {string} options.replyId - ID of the reply button or list row the message answers, if any
+ * @returns {Promise<Object>} - { version, source, intent, data, response, confidence, contextUpdates }
+ */
+async function processMessage(text, context = {}, role = 'inspector', options = {}) {
+  const { mediaType, replyId } = options;
+
+  // Known commands and captionless media never need the provider.
+  // Button IDs are commands themselves, the title is only a fallback.
+  const command = (replyId && parseCommand(replyId)) || parseCommand(text);
+  if (command || (mediaType && !text)) {
+    const resolved = command || { intent: 'add_media', data: {} };
+    return {
+      version: INTENT_SCHEMA_VERSION,
+      source: 'command',
+      ...(mediaType ? toMediaIntent(resolved) : resolved),
+      response: null,
+      confidence: 1,
+      contextUpdates: {}
+    };
+  }
+
+  const provider = getProvider();
+  const { intentData } = mediaType
+    ? await provider.processMediaMessage(text, mediaType, context)
+    : await provider.extractIntent(text, context, role);
+
+  const validation = validateIntent(intentData);
+
+  if (!validation.valid) {
+    logger.warn(`Discarding invalid intent from ${provider.name}:`, validation.errors.join('; '));
+  }
+
+  const resolved = validation.valid
+    ? { intent: validation.intent, data: validation.data }
+    : { intent: 'unknown', data: {} };
+
+  return {
+    version: INTENT_SCHEMA_VERSION,
+    source: provider.name,
+    ...(mediaType ? toMediaIntent(resolved) : resolved),
+    response: typeof intentData?.response === 'string' ? intentData.response : null,
+    confidence: typeof intentData?.confidence === 'number' ? intentData.confidence : 0,
+    contextUpdates: {}
+  };
+}
+
+/**
+ * Suggest a status and comment for a checklist item from its photos
+ *
+ * @param {Array<Object>} images - Photos as { content, contentType }
+ * @param {Object} item - Checklist item with name and description
+ * @returns {Promise<Object|null>} - { status, comment, confidence, model }, or null if the
+ *   provider can't look at photos or returned nothing usable
+ */
+async function analyzeChecklistPhotos(images, item) {
+  const provider = getProvider();
+
+  if (typeof provider.analyzeChecklistPhotos !== 'function') {
+    return null;
+  }
+
+  const raw = await provider.analyzeChecklistPhotos(images, item);
+  const status = raw && String(raw.status || '').trim().toLowerCase().replace(/\s+/g, '_');
+
+  if (!['completed', 'issue_found'].includes(status)) {
+    logger.warn(`Discarding photo analysis from ${provider.name}:`, JSON.stringify(raw));
+    return null;
+  }
+
+  const confidence = Number(raw.confidence);
+
+  return {
+    status,
+    comment: typeof raw.comment === 'string' && raw.comment.trim() ? raw.comment.trim() : null,
+    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null,
+    model: typeof raw.model === 'string' ? raw.model : provider.name
+  };
+}
+
+/**
+ * Write the executive summary narrative of an inspection report
+ *
+ * @param {Object} summary - Inspection facts, see openai.generateReportNarrative()
+ * @returns {Promise<string|null>} - Narrative, or null if the provider can't write one or failed
+ */
+async function generateReportNarrative(summary) {
+  const provider = getProvider();
+
+  if (typeof provider.generateReportNarrative !== 'function') {
+    return null;
+  }
+
+  try {
+    const narrative = await provider.generateReportNarrative(summary);
+    return typeof narrative === 'string' && narrative.trim() ? narrative.trim() : null;
+  } catch (error) {
+    // The report is still generated without it
+    logger.error(`Could not generate the report narrative with ${provider.name}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  processMessage,
+  analyzeChecklistPhotos,
+  generateReportNarrative,
+  getProvider,
+  setProvider
+};
@@ -0,0 +1,121 @@
+/**
+ * Offline rule-based NLP provider
+ * Used for local development and CI, needs no API key or network access
+ *
+ * Messages are matched against fixtures from NLP_FIXTURES_PATH first, then a
+ * few keyword rules. The fixtures file is a JSON array of:
+ *   { "match": "<regex>", "intent": "<intent>", "data": { ... }, "response": "..." }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let fixtures = null;
+
+/**
+ * Keyword rules for common free-text phrasings, checked in order
+ */
+const KEYWORD_RULES = [
+  {
+    pattern: /\b(?:jobs?|schedule|appointments?)\b.*\btoday\b|\btoday\b.*\b(?:jobs?|schedule|appointments?)\b/i,
+    intent: 'get_today_jobs'
+  },
+  {
+    pattern: /\b(?:finish(?:ed)?|wrap up|done with|close)\b.*\binspection\b/i,
+    intent: 'complete_inspection'
+  },
+  {
+    pattern: /\b(?:photos?|pictures?|pics?|videos?)\b/i,
+    intent: 'add_media'
+  },
+  {
+    pattern: /\b(?:leak\w*|crack\w*|broken|damage\w*|mou?ld\w*|rust\w*|fault\w*)\b/i,
+    intent: 'complete_item',
+    data: text => ({ status: 'issue_found', comments: text })
+  },
+  {
+    pattern: /\b(?:how does|what can)\b/i,
+    intent: 'help'
+  }
+];
+
+/**
+ * Load fixtures from NLP_FIXTURES_PATH once
+ *
+ * @returns {Array<Object>} - Fixtures with compiled patterns
+ */
+function loadFixtures() {
+  if (fixtures) {
+    return fixtures;
+  }
+
+  fixtures = [];
+  const fixturesPath = process.env.NLP_FIXTURES_PATH;
+
+  if (fixturesPath) {
+    const entries = JSON.parse(fs.readFileSync(path.resolve(fixturesPath), 'utf8'));
+    fixtures = entries.map(entry => ({ ...entry, pattern: new RegExp(entry.match, 'i') }));
+  }
+
+  return fixtures;
+}
+
+/**
+ * Match text against fixtures, then keyword rules
+ *
+ * @param {string} text - Message text
+ * @returns {Object} - Raw intent object
+ */
+function matchText(text) {
+  for (const fixture of loadFixtures()) {
+    if (fixture.pattern.test(text)) {
+      return {
+        intent: fixture.intent,
+        data: fixture.data || {},
+        response: fixture.response || null,
+        confidence: 1
+      };
+    }
+  }
+
+  for (const rule of KEYWORD_RULES) {
+    if (rule.pattern.test(text)) {
+      return {
+        intent: rule.intent,
+        data: rule.data ? rule.data(text) : {},
+        confidence: 0.6
+      };
+    }
+  }
+
+  return { intent: 'unknown', data: {}, confidence: 0 };
+}
+
+/**
+ * Extract intent from inspector message
+ *
+ * @param {string} message - Message text from inspector
+ * @param {Object} context - Conversation context
+ * @returns {Promise<Object>} - Raw intent object and context
+ */
+async function extractIntent(message, context = {}) {
+  return { intentData: matchText(message || ''), context };
+}
+
+/**
+ * Process a media message caption
+ *
+ * @param {string} caption - Media caption text
+ * @param {string} mediaType - Type of media
+ * @param {Object} context - Conversation context
+ * @returns {Promise<Object>} - Raw intent object and context
+ */
+async function processMediaMessage(caption, mediaType, context = {}) {
+  return { intentData: matchText(caption || ''), context };
+}
+
+module.exports = {
+  name: 'rules',
+  extractIntent,
+  processMediaMessage
+};
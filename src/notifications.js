@@ -0,0 +1,272 @@
+/**
+ * Notification dispatcher
+ * For Property Stewards – Inspector Interface System
+ *
+ * Delivers rows from the notifications table by notification_type:
+ * - whatsapp: WhatsApp message, with the report PDF attached as a document
+ *   when the notification is about a work order that has a stored report.
+ *   Customers get the latest approved version, which is then marked sent.
+ * - email: email to users.email, report notifications get an HTML summary
+ *   with the PDF attached
+ * - system: in-app feed, see db.getNotificationFeed()
+ *
+ * Failed deliveries are retried with exponential backoff and marked 'failed'
+ * with the last error after NOTIFICATION_MAX_ATTEMPTS attempts.
+ */
+
+const db = require('./db');
+const storage = require('./storage');
+const whatsapp = require('./whatsapp');
+const email = require('./email');
+const { summarizeInspection } = require('./utils/inspection-summary');
+const logger = require('./utils/logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+const BATCH_SIZE = 10;
+
+// A notification claimed for longer than this belongs to a crashed dispatcher
+const LOCK_TIMEOUT_SECONDS = 300;
+
+/**
+ * Get the report PDF to send with a notification
+ * Customers get the latest version released to them, anyone else the latest version.
+ *
+ * @param {Object} notification - Claimed notification
+ * @returns {Promise<Object|null>} - { workOrderId, reportId, fileName, content } or null if there's nothing to attach
+ */
+async function getReportAttachment(notification) {
+  if (notification.related_entity_type !== 'work_order') {
+    return null;
+  }
+
+  const workOrderId = notification.related_entity_id;
+
+  if (notification.role === 'customer') {
+    const released = await db.getReleasedReport(workOrderId);
+
+    // Customers only ever receive reports the inspector has approved
+    if (!released && await db.getReportByWorkOrderId(workOrderId)) {
+      throw new Error(`Report for work order ${workOrderId} has not been approved yet`);
+    }
+
+    return released && await toAttachment(released);
+  }
+
+  const report = await db.getReportByWorkOrderId(workOrderId);
+
+  if (!report) {
+    return null;
+  }
+
+  // The report row exists but the PDF isn't stored yet, try again later
+  if (!report.storage_key) {
+    throw new Error(`Report PDF for work order ${workOrderId} is not available yet`);
+  }
+
+  return await toAttachment(report);
+}
+
+/**
+ * Build an attachment from a stored report version
+ *
+ * @param {Object} report - Report row with storage_key
+ * @returns {Promise<Object>} - { workOrderId, reportId, fileName, content }
+ */
+async function toAttachment(report) {
+  const suffix = report.version > 1 ? `-v${report.version}` : '';
+
+  return {
+    workOrderId: report.work_order_id,
+    reportId: report.id,
+    fileName: `inspection-report-${report.work_order_id}${suffix}.pdf`,
+    content: await storage.readFile(report.storage_key)
+  };
+}
+
+/**
+ * Deliver a notification over WhatsApp
+ *
+ * @param {Object} notification - Claimed notification
+ * @param {Object|null} attachment - Report PDF to attach
+ */
+async function deliverWhatsApp(notification, attachment) {
+  const recipient = notification.whatsapp_id || notification.phone;
+
+  if (!recipient) {
+    throw new Error(`User ${notification.user_id} has no WhatsApp number`);
+  }
+
+  const options = {
+    relatedEntityType: 'notification',
+    relatedEntityId: notification.id
+  };
+
+  if (attachment) {
+    await whatsapp.sendMessage(recipient, notification.message, 'document', attachment.content, {
+      ...options,
+      fileName: attachment.fileName
+    });
+  } else {
+    await whatsapp.sendMessage(recipient, notification.message, 'text', null, options);
+  }
+}
+
+/**
+ * Build the template data for a report email
+ *
+ * @param {Object} notification - Claimed notification
+ * @param {Object} attachment - Report PDF
+ * @returns {Promise<Object>} - Template data for the 'report' email
+ */
+async function getReportEmailData(notification, attachment) {
+  const details = await db.getWorkOrderDetails(attachment.workOrderId);
+  const { workOrder } = details;
+  const summary = summarizeInspection(details);
+
+  return {
+    name: notification.name,
+    message: notification.message,
+    address: [workOrder.address, workOrder.city, workOrder.state].filter(Boolean).join(', '),
+    inspectionDate: new Date(workOrder.scheduled_date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+    inspectorName: workOrder.inspector_name,
+    counts: summary.counts,
+    issues: summary.issues
+  };
+}
+
+/**
+ * Deliver a notification by email
+ * Report notifications get an HTML summary with the PDF attached. Emails about
+ * a work order are branded with its report template, like the PDF.
+ *
+ * @param {Object} notification - Claimed notification
+ * @param {Object|null} attachment - Report PDF to attach
+ */
+async function deliverEmail(notification, attachment) {
+  if (!notification.email) {
+    throw new Error(`User ${notification.user_id} has no email address`);
+  }
+
+  const reportTemplate = notification.related_entity_type === 'work_order'
+    ? await db.getReportTemplateForWorkOrder(notification.related_entity_id)
+    : null;
+
+  if (!attachment) {
+    await email.sendTemplatedEmail(notification.email, 'notification', {
+      name: notification.name,
+      message: notification.message
+    }, [], reportTemplate);
+    return;
+  }
+
+  await email.sendTemplatedEmail(
+    notification.email,
+    'report',
+    await getReportEmailData(notification, attachment),
+    [{ filename: attachment.fileName, content: attachment.content, contentType: 'application/pdf' }],
+    reportTemplate
+  );
+}
+
+/**
+ * Deliver a notification to the in-app feed
+ * Nothing is sent, the notification shows in the feed once it's marked sent.
+ */
+async function deliverSystem() {}
+
+const CHANNELS = {
+  whatsapp: deliverWhatsApp,
+  email: deliverEmail,
+  system: deliverSystem
+};
+
+/**
+ * Record a delivered notification, and its report as sent to the customer
+ * The notification has left already, so a failure here is logged instead of
+ * being treated as a failed delivery that would send it again.
+ *
+ * @param {Object} notification - Delivered notification
+ * @param {Object|null} attachment - Report attachment that was sent with it
+ * @returns {Promise<void>}
+ */
+async function recordDelivery(notification, attachment) {
+  try {
+    await db.updateNotificationStatus(notification.id, 'sent');
+
+    if (attachment && notification.role === 'customer') {
+      await db.markReportSent(attachment.reportId);
+    }
+  } catch (error) {
+    logger.error(`Notification ${notification.id} was sent but could not be recorded as sent:`, error.message);
+  }
+}
+
+/**
+ * Deliver one claimed notification and record the outcome
+ *
+ * @param {Object} notification - Claimed notification
+ * @returns {Promise<boolean>} - True if the notification was delivered
+ */
+async function dispatchNotification(notification) {
+  try {
+    const deliver = CHANNELS[notification.notification_type];
+
+    if (!deliver) {
+      throw new Error(`Unknown notification type: ${notification.notification_type}`);
+    }
+
+    const attachment = notification.notification_type === 'system'
+      ? null
+      : await getReportAttachment(notification);
+
+    await deliver(notification, attachment);
+    await recordDelivery(notification, attachment);
+
+    logger.info(`Notification ${notification.id} sent via ${notification.notification_type}`);
+    return true;
+  } catch (error) {
+    const reason = error.message || String(error);
+
+    if (notification.attempts >= MAX_ATTEMPTS) {
+      await db.updateNotificationStatus(notification.id, 'failed', reason);
+      logger.error(`Notification ${notification.id} failed after ${notification.attempts} attempts:`, reason);
+      return false;
+    }
+
+    const retryInSeconds = Math.min(RETRY_BASE_SECONDS * Math.pow(2, notification.attempts - 1), RETRY_MAX_SECONDS);
+    await db.scheduleNotificationRetry(notification.id, reason, retryInSeconds);
+    logger.warn(`Notification ${notification.id} failed on attempt ${notification.attempts}, retrying in ${retryInSeconds}s:`, reason);
+    return false;
+  }
+}
+
+/**
+ * Deliver a batch of due notifications
+ *
+ * @param {number} limit - Maximum number of notifications to deliver
+ * @returns {Promise<number>} - Number of notifications delivered
+ */
+async function dispatchPendingNotifications(limit = BATCH_SIZE) {
+  const released = await db.releaseStaleNotifications(LOCK_TIMEOUT_SECONDS);
+  if (released > 0) {
+    logger.warn(`Released ${released} notification(s) with expired dispatcher locks`);
+  }
+
+  const notifications = await db.claimPendingNotifications(limit);
+  let delivered = 0;
+
+  for (const notification of notifications) {
+    if (await dispatchNotification(notification)) {
+      delivered++;
+    }
+  }
+
+  return delivered;
+}
+
+module.exports = {
+  dispatchPendingNotifications,
+  dispatchNotification
+};
@@ -1,15 +1,30 @@
 /**
  * OpenAI integration for Property Stewards – Inspector Interface System
  * Using GPT-4o-mini for natural language processing
+ * 
+ * This is the default NLP provider, see src/nlp/index.js
  */
 
 const OpenAI = require('openai');
+const { INTENT_SCHEMA_VERSION, describeIntents } = require('./intents');
 require('dotenv').config();
 
-// Initialize the OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// OpenAI client, created on first use so importing this module needs no API key
+let client = null;
+
+/**
+ * Get the shared OpenAI client
+ * 
+ * @returns {OpenAI} - OpenAI client
+ */
+function getClient() {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+  return client;
+}
 
 // System prompt for the property inspection assistant
 const SYSTEM_PROMPT = `
@@ -26,17 +41,54 @@ You should respond with clear instructions and avoid lengthy explanations.
 For media requests (images/videos), inform the inspector you're processing them.
 `;
 
-// Inspection conversation memory context
-let conversationContext = {};
+// JSON shape every intent prompt asks the model for
+const INTENT_RESPONSE_FORMAT = `{
+  "version": "${INTENT_SCHEMA_VERSION}",
+  "intent": "<intent_type>",
+  "data": {
+    // Fields for the intent, as listed below
+  },
+  "confidence": 0.0-1.0,
+  "response": "<short WhatsApp reply for the inspector, or null>"
+}`;
+
+/**
+ * Describe the conversation context for a system prompt
+ * 
+ * @param {Object} context - Conversation context
+ * @returns {string} - Context lines to append to the prompt
+ */
+function describeContext(context = {}) {
+  let description = '';
+  
+  if (context.state) {
+    description += `\nConversation state: ${context.state}`;
+  }
+  
+  if (context.currentWorkOrderId) {
+    description += `\nCurrent context: The inspector is working on work order #${context.currentWorkOrderId}`;
+  }
+  
+  if (context.currentItemNumber) {
+    description += `\nThe inspector is updating checklist item ${context.currentItemNumber}`;
+  }
+  
+  if (context.state === 'awaiting_answer') {
+    description += '\nThe inspector was asked for the answer to this item (a reading, a choice, yes/no or a rating). A reply giving one is answer_item with the reply as value.';
+  }
+  
+  return description;
+}
 
 /**
  * Extract intent from inspector message
  * 
  * @param {string} message - Message text from inspector
  * @param {Object} context - Conversation context
- * @returns {Promise<Object>} - Intent object and updated context
+ * @param {string} role - Sender role
+ * @returns {Promise<Object>} - Raw intent object from the model and context
  */
-async function extractIntent(message, context = {}) {
+async function extractIntent(message, context = {}, role = 'inspector') {
   try {
     const messages = [
       {
@@ -45,48 +97,25 @@ async function extractIntent(message, context = {}) {
         
 You are to analyze messages from property inspectors and extract their intent.
 Respond in this exact JSON format:
-{
-  "intent": "<intent_type>",
-  "params": {
-    // Parameters based on the intent
-  },
-  "confidence": 0.0-1.0,
-  "nextAction": "<suggested_action>"
-}
+${INTENT_RESPONSE_FORMAT}
 
 Intent types:
-- "greeting": General greeting or hello
-- "view_jobs": Inspector wants to see today's or a specific date's jobs
-- "start_inspection": Inspector wants to start a specific inspection
-- "complete_inspection": Inspector wants to complete an inspection
-- "update_item": Inspector wants to update a checklist item
-- "add_media": Inspector wants to add photo/video to a checklist item
-- "add_comment": Inspector wants to add a comment to a checklist item
-- "get_help": Inspector needs help or instructions
-- "cancel": Cancel the current operation
-- "unknown": Could not determine intent
+${describeIntents()}
 
+Checklist items are referenced by the number shown to the inspector (1, 2, 3...).
 Always consider the conversation context when determining intent.
-`
+The sender's role is: ${role}.
+${describeContext(context)}`
       }
     ];
 
-    // Add conversation context if available
-    if (context.currentWorkOrder) {
-      messages[0].content += `\nCurrent context: The inspector is working on work order #${context.currentWorkOrder}`;
-    }
-    
-    if (context.currentChecklistItem) {
-      messages[0].content += `\nThe inspector is updating checklist item #${context.currentChecklistItem}`;
-    }
-
     // Add user message
     messages.push({
       role: 'user',
       content: message
     });
 
-    const response = await openai.chat.completions.create({
+    const response = await getClient().chat.completions.create({
       model: 'gpt-4o-mini',
       messages,
       response_format: { type: 'json_object' },
@@ -102,8 +131,7 @@ Always consider the conversation context when determining intent.
       return {
         intentData: {
           intent: 'unknown',
-          confidence: 0,
-          nextAction: 'ask_clarification'
+          confidence: 0
         },
         context
       };
@@ -113,8 +141,7 @@ Always consider the conversation context when determining intent.
     return {
       intentData: {
         intent: 'unknown',
-        confidence: 0,
-        nextAction: 'ask_clarification'
+        confidence: 0
       },
       context
     };
@@ -143,15 +170,7 @@ Keep responses short and conversational as this is for WhatsApp.
     ];
 
     // Prepare the context information
-    let contextInfo = '';
-    
-    if (context.currentWorkOrder) {
-      contextInfo += `\nCurrent work order: #${context.currentWorkOrder}`;
-    }
-    
-    if (context.currentChecklistItem) {
-      contextInfo += `\nCurrent checklist item: #${context.currentChecklistItem}`;
-    }
+    const contextInfo = describeContext(context);
     
     // Add the data and intent information for the AI
     messages.push({
@@ -166,7 +185,7 @@ Generate a helpful WhatsApp response based on this intent and data. Keep it brie
 `
     });
 
-    const response = await openai.chat.completions.create({
+    const response = await getClient().chat.completions.create({
       model: 'gpt-4o-mini',
       messages,
       temperature: 0.7,
@@ -191,7 +210,7 @@ Generate a helpful WhatsApp response based on this intent and data. Keep it brie
  * @param {string} caption - Media caption text
  * @param {string} mediaType - Type of media ('image', 'video')
  * @param {Object} context - Conversation context
- * @returns {Promise<Object>} - Intent object for media processing
+ * @returns {Promise<Object>} - Raw intent object for media processing and context
  */
 async function processMediaMessage(caption, mediaType, context = {}) {
   try {
@@ -201,40 +220,24 @@ async function processMediaMessage(caption, mediaType, context = {}) {
         content: `
 You are to analyze a media caption from a property inspector and determine what they want to do with this ${mediaType}.
 Respond in this exact JSON format:
-{
-  "intent": "<intent_type>",
-  "params": {
-    // Parameters based on the intent
-  },
-  "confidence": 0.0-1.0,
-  "nextAction": "<suggested_action>"
-}
+${INTENT_RESPONSE_FORMAT}
 
 Intent types:
-- "add_media": Inspector wants to add this ${mediaType} to a checklist item
-- "unknown": Could not determine intent
+${describeIntents(['add_media', 'complete_item', 'unknown'])}
 
+Use "complete_item" only when the caption also sets the item's status, e.g. "Issue: cracked tile".
 Consider the context of their current work order and checklist item if available.
-`
+${describeContext(context)}`
       }
     ];
 
-    // Add conversation context if available
-    if (context.currentWorkOrder) {
-      messages[0].content += `\nCurrent context: The inspector is working on work order #${context.currentWorkOrder}`;
-    }
-    
-    if (context.currentChecklistItem) {
-      messages[0].content += `\nThe inspector is updating checklist item #${context.currentChecklistItem}`;
-    }
-
     // Add caption as user message
     messages.push({
       role: 'user',
       content: caption || `[${mediaType} with no caption]`
     });
 
-    const response = await openai.chat.completions.create({
+    const response = await getClient().chat.completions.create({
       model: 'gpt-4o-mini',
       messages,
       response_format: { type: 'json_object' },
@@ -244,24 +247,13 @@ Consider the context of their current work order and checklist item if available
     const responseContent = response.choices[0].message.content;
     try {
       const intentData = JSON.parse(responseContent);
-      
-      // If we have context about the current checklist item, add it to params
-      if (context.currentChecklistItem && intentData.intent === 'add_media') {
-        intentData.params = intentData.params || {};
-        intentData.params.checklistItemId = context.currentChecklistItem;
-      }
-      
       return { intentData, context };
     } catch (parseError) {
       console.error('Error parsing JSON from OpenAI:', parseError);
       return {
         intentData: {
           intent: 'add_media',
-          params: {
-            checklistItemId: context.currentChecklistItem
-          },
-          confidence: 0.5,
-          nextAction: 'process_media'
+          confidence: 0.5
         },
         context
       };
@@ -270,15 +262,96 @@ Consider the context of their current work order and checklist item if available
     console.error('Error calling OpenAI for media processing:', error);
     return {
       intentData: {
-        intent: 'unknown',
-        confidence: 0,
-        nextAction: 'ask_clarification'
+        intent: 'add_media',
+        confidence: 0
       },
       context
     };
   }
 }
 
+/**
+ * Look at an inspector's photos of a checklist item and suggest a status and comment
+ * Where processMediaMessage() reads the caption, this reads the pictures themselves.
+ * 
+ * @param {Array<Object>} images - Photos as { content, contentType }, JPEG, PNG or WebP
+ * @param {Object} item - Checklist item with name and description from checklist_template_items
+ * @returns {Promise<Object|null>} - Raw { status, comment, confidence, model } from the model, or null if the call failed
+ */
+async function analyzeChecklistPhotos(images, item) {
+  const model = process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini';
+  
+  try {
+    const response = await getClient().chat.completions.create({
+      model,
+      messages: [
+        {
+          role: 'system',
+          content: `You help property inspectors fill in checklists from their photos.
+You are shown the photos taken for one checklist item. Decide whether the item looks fine ("completed")
+or shows a problem ("issue_found"), and draft a one or two sentence comment for the inspection report.
+Only describe what is visible. If the photos don't show the item clearly, say so in the comment and use a low confidence.
+Respond in this exact JSON format:
+{ "status": "completed" | "issue_found", "comment": "<draft comment>", "confidence": 0.0-1.0 }`
+        },
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: `Checklist item: ${item.name}${item.description ? `\nWhat to check: ${item.description}` : ''}`
+            },
+            ...images.map(image => ({
+              type: 'image_url',
+              image_url: { url: `data:${image.contentType};base64,${image.content.toString('base64')}` }
+            }))
+          ]
+        }
+      ],
+      response_format: { type: 'json_object' },
+      temperature: 0.2,
+    });
+
+    return { ...JSON.parse(response.choices[0].message.content), model };
+  } catch (error) {
+    console.error('Error analyzing checklist photos:', error);
+    return null;
+  }
+}
+
+/**
+ * Write a short narrative summary of an inspection for the report
+ * 
+ * @param {Object} summary - Inspection facts
+ * @param {string} summary.address - Property address
+ * @param {string} summary.inspectorName - Inspector name
+ * @param {string} summary.date - Inspection date
+ * @param {Object} summary.counts - Item counts by status
+ * @param {Array<Object>} summary.issues - Items with issues ({ name, comments })
+ * @param {number|null} summary.durationMinutes - Inspection duration
+ * @returns {Promise<string>} - Narrative text, errors are handled by nlp.generateReportNarrative()
+ */
+async function generateReportNarrative(summary) {
+  const response = await getClient().chat.completions.create({
+    model: 'gpt-4o-mini',
+    messages: [
+      {
+        role: 'system',
+        content: `You write the executive summary of property inspection reports for property owners.
+Write one paragraph of 3 to 5 sentences in a neutral, professional tone.
+Only use the facts provided. Do not invent findings, causes, costs or recommendations that aren't in the comments.`
+      },
+      {
+        role: 'user',
+        content: JSON.stringify(summary, null, 2)
+      }
+    ],
+    temperature: 0.3,
+  });
+
+  return response.choices[0].message.content.trim();
+}
+
 /**
  * Extract checklist item number from message
  * 
@@ -302,7 +375,7 @@ Respond with ONLY the number, nothing else. If no number is found, respond with
       }
     ];
 
-    const response = await openai.chat.completions.create({
+    const response = await getClient().chat.completions.create({
       model: 'gpt-4o-mini',
       messages,
       temperature: 0.1,
@@ -323,8 +396,12 @@ Respond with ONLY the number, nothing else. If no number is found, respond with
 }
 
 module.exports = {
+  name: 'openai',
+  getClient,
   extractIntent,
   generateResponse,
+  generateReportNarrative,
   processMediaMessage,
+  analyzeChecklistPhotos,
   extractChecklistItemNumber
 };
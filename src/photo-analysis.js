@@ -0,0 +1,169 @@
+/**
+ * Photo analysis for checklist items
+ * For Property Stewards – Inspector Interface System
+ *
+ * When photos are saved to a checklist item that has no status yet, an
+ * ANALYZE_PHOTOS job shows them to the NLP provider's vision model with the
+ * item's name and description. The suggested status and draft comment are
+ * stored in checklist_item_suggestions and sent to the inspector with
+ * Accept / Dismiss buttons. A suggestion whose message wasn't sent is sent
+ * again when the job is retried. Nothing is written to the checklist until
+ * the inspector accepts.
+ *
+ * Enabled with PHOTO_ANALYSIS_ENABLED=true.
+ */
+
+const db = require('./db');
+const queue = require('./queue');
+const nlp = require('./nlp');
+const whatsapp = require('./whatsapp');
+const { getImageForDisplay } = require('./media');
+const logger = require('./utils/logger');
+
+// Formats the vision model accepts
+const ANALYZABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Only the newest photos of an item are sent, enough to judge it without a large request
+const MAX_PHOTOS = 4;
+
+// Give the inspector a moment to send a burst of photos, so they're analyzed together
+const ANALYSIS_DELAY_SECONDS = parseInt(process.env.PHOTO_ANALYSIS_DELAY_SECONDS, 10) || 10;
+
+/**
+ * Check whether photo analysis is switched on
+ *
+ * @returns {boolean} - True if PHOTO_ANALYSIS_ENABLED is 'true'
+ */
+function isEnabled() {
+  return process.env.PHOTO_ANALYSIS_ENABLED === 'true';
+}
+
+/**
+ * Queue analysis of a checklist item's photos
+ *
+ * @param {string} recipient - Inspector's WhatsApp number
+ * @param {number} itemId - Checklist instance item ID
+ * @param {number} itemNumber - Item number shown to the inspector
+ * @returns {Promise<number|null>} - Job ID, or null if analysis is disabled
+ */
+async function queuePhotoAnalysis(recipient, itemId, itemNumber) {
+  if (!isEnabled()) {
+    return null;
+  }
+
+  return await queue.enqueue(queue.JOB_TYPES.ANALYZE_PHOTOS, { recipient, itemId, itemNumber }, {
+    groupKey: `photo-analysis:${itemId}`,
+    delaySeconds: ANALYSIS_DELAY_SECONDS,
+    maxAttempts: 2
+  });
+}
+
+/**
+ * Send a stored suggestion to the inspector with Accept / Dismiss buttons
+ *
+ * @param {string} recipient - Inspector's WhatsApp number
+ * @param {number} itemNumber - Item number shown to the inspector
+ * @param {Object} item - Checklist item
+ * @param {Object} suggestion - { id, status, comment }
+ * @returns {Promise<void>}
+ */
+async function sendSuggestion(recipient, itemNumber, item, suggestion) {
+  const status = suggestion.status === 'issue_found' ? '⚠️ Issue found' : '✅ Completed';
+  let message = `🤖 Suggestion for item ${itemNumber} (${item.name}) from your photos:\n\n*${status}*`;
+  if (suggestion.comment) {
+    message += `\n"${suggestion.comment}"`;
+  }
+  message += '\n\nAccept to save this, Dismiss to ignore it, or reply with your own status or comment.';
+
+  await whatsapp.sendMessage(recipient, message, 'text', null, {
+    buttons: [
+      { id: `suggestion:${suggestion.id}:accept`, title: 'Accept' },
+      { id: `suggestion:${suggestion.id}:dismiss`, title: 'Dismiss' }
+    ]
+  });
+
+  await db.markItemSuggestionSent(suggestion.id);
+}
+
+/**
+ * Analyze a checklist item's photos and send the suggestion to the inspector
+ * Runs as the ANALYZE_PHOTOS job.
+ *
+ * @param {Object} payload - { recipient, itemId, itemNumber }
+ * @returns {Promise<number|null>} - Suggestion ID, or null if no suggestion was made
+ */
+async function analyzeItemPhotos({ recipient, itemId, itemNumber }) {
+  const item = await db.getChecklistItem(itemId);
+
+  // The inspector already decided, a suggestion would only be noise
+  if (!item || item.status !== 'pending') {
+    return null;
+  }
+
+  const photos = (await db.getMediaForChecklistItem(itemId))
+    .filter(media => media.media_type === 'image')
+    .slice(-MAX_PHOTOS);
+
+  if (photos.length === 0) {
+    return null;
+  }
+
+  // A burst of photos queues a job per photo, the first one that runs covers them all
+  const newestId = Math.max(...photos.map(photo => photo.id));
+  const latest = await db.getLatestItemSuggestion(itemId);
+  const covered = latest && (typeof latest.media_ids === 'string' ? JSON.parse(latest.media_ids) : latest.media_ids);
+  if (covered && covered.includes(newestId)) {
+    // An earlier attempt stored the suggestion but couldn't send it
+    if (latest.status === 'pending' && !latest.sent_at) {
+      await sendSuggestion(recipient, itemNumber, item, {
+        id: latest.id,
+        status: latest.suggested_status,
+        comment: latest.suggested_comment
+      });
+      logger.info(`Sent suggestion ${latest.id} for item ${itemId} that an earlier attempt stored`);
+      return latest.id;
+    }
+    return null;
+  }
+
+  const images = [];
+  for (const photo of photos) {
+    // The web variant is upright, small and JPEG, unprocessed photos fall back to the original
+    const image = await getImageForDisplay(photo, 'web');
+    if (ANALYZABLE_TYPES.includes(image.contentType)) {
+      images.push(image);
+    }
+  }
+
+  if (images.length === 0) {
+    logger.info(`No photos of item ${itemId} in a format the vision model accepts`);
+    return null;
+  }
+
+  const analysis = await nlp.analyzeChecklistPhotos(images, item);
+
+  if (!analysis) {
+    return null;
+  }
+
+  // Record every photo that was considered, so unreadable ones don't trigger another analysis
+  const suggestionId = await db.createItemSuggestion(itemId, {
+    ...analysis,
+    mediaIds: photos.map(photo => photo.id)
+  });
+
+  await sendSuggestion(recipient, itemNumber, item, {
+    id: suggestionId,
+    status: analysis.status,
+    comment: analysis.comment
+  });
+
+  logger.info(`Suggested ${analysis.status} for item ${itemId} (suggestion ${suggestionId}, confidence ${analysis.confidence})`);
+  return suggestionId;
+}
+
+module.exports = {
+  isEnabled,
+  queuePhotoAnalysis,
+  analyzeItemPhotos
+};
@@ -0,0 +1,182 @@
+/**
+ * Durable job queue backed by the MySQL jobs table
+ * For Property Stewards – Inspector Interface System
+ *
+ * Jobs are claimed with row locking, so several workers can run side by side.
+ * Jobs that share a group_key (e.g. one sender's messages) run one at a time,
+ * in the order they were queued. Failed jobs are retried with exponential
+ * backoff and dead-lettered (status 'dead') after max_attempts.
+ */
+
+const db = require('./db');
+
+const JOB_TYPES = Object.freeze({
+  INBOUND_MESSAGE: 'inbound_message',
+  GENERATE_REPORT: 'generate_report',
+  PROCESS_IMAGE: 'process_image',
+  ANALYZE_PHOTOS: 'analyze_photos'
+});
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 5;
+const RETRY_MAX_SECONDS = 15 * 60;
+
+// A job locked for longer than this is assumed to belong to a crashed worker
+const LOCK_TIMEOUT_SECONDS = parseInt(process.env.JOB_LOCK_TIMEOUT_SECONDS, 10) || 300;
+
+/**
+ * Add a job to the queue
+ *
+ * @param {string} type - Job type, one of JOB_TYPES
+ * @param {Object} payload - JSON-serializable job data
+ * @param {Object} options - Queue options
+ * @param {string} options.groupKey - Jobs with the same key run one at a time, in order
+ * @param {number} options.maxAttempts - Attempts before the job is dead-lettered
+ * @param {number} options.delaySeconds - Delay before the job becomes available
+ * @param {Object} options.connection - Optional transaction connection
+ * @returns {Promise<number>} - Job ID
+ */
+async function enqueue(type, payload, options = {}) {
+  const {
+    groupKey = null,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    delaySeconds = 0,
+    connection = null
+  } = options;
+
+  const sql = `
+    INSERT INTO jobs (job_type, group_key, payload, max_attempts, available_at)
+    VALUES (?, ?, ?, ?, NOW() + INTERVAL ? SECOND)
+  `;
+  const params = [type, groupKey, JSON.stringify(payload), maxAttempts, delaySeconds];
+
+  if (connection) {
+    const [result] = await connection.execute(sql, params);
+    return result.insertId;
+  }
+
+  const result = await db.query(sql, params);
+  return result.insertId;
+}
+
+/**
+ * Claim the next available job
+ *
+ * A job is skipped while an earlier job in its group is still pending or processing.
+ *
+ * @param {string} workerId - Identifier of the claiming worker
+ * @param {Array<string>} types - Job types this worker can process
+ * @returns {Promise<Object|null>} - Claimed job or null if none is available
+ */
+async function claimNext(workerId, types) {
+  return await db.transaction(async connection => {
+    const [rows] = await connection.execute(`
+      SELECT j.*
+      FROM jobs j
+      WHERE j.status = 'pending'
+        AND j.available_at <= NOW()
+        AND j.job_type IN (${types.map(() => '?').join(', ')})
+        AND NOT EXISTS (
+          SELECT 1 FROM jobs earlier
+          WHERE earlier.group_key = j.group_key
+            AND earlier.id < j.id
+            AND earlier.status IN ('pending', 'processing')
+        )
+      ORDER BY j.id
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    `, types);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const job = rows[0];
+
+    await connection.execute(`
+      UPDATE jobs
+      SET status = 'processing', attempts = attempts + 1, locked_at = NOW(), locked_by = ?
+      WHERE id = ?
+    `, [workerId, job.id]);
+
+    return {
+      ...job,
+      attempts: job.attempts + 1,
+      payload: typeof job.payload === 'string' ? JSON.parse(job.payload) : job.payload
+    };
+  });
+}
+
+/**
+ * Mark a job as done
+ *
+ * @param {Object} job - Claimed job
+ * @returns {Promise<Object>} - Update result
+ */
+async function complete(job) {
+  return await db.query(`
+    UPDATE jobs
+    SET status = 'done', completed_at = NOW(), locked_at = NULL, locked_by = NULL
+    WHERE id = ?
+  `, [job.id]);
+}
+
+/**
+ * Record a failed attempt, scheduling a retry or dead-lettering the job
+ *
+ * @param {Object} job - Claimed job
+ * @param {Error} error - Failure reason
+ * @returns {Promise<{dead: boolean, retryInSeconds: number|null}>} - Outcome
+ */
+async function fail(job, error) {
+  const reason = (error && (error.stack || error.message)) || String(error);
+
+  if (job.attempts >= job.max_attempts) {
+    await db.query(`
+      UPDATE jobs
+      SET status = 'dead', last_error = ?, locked_at = NULL, locked_by = NULL
+      WHERE id = ?
+    `, [reason, job.id]);
+
+    return { dead: true, retryInSeconds: null };
+  }
+
+  const retryInSeconds = Math.min(RETRY_BASE_SECONDS * Math.pow(2, job.attempts - 1), RETRY_MAX_SECONDS);
+
+  await db.query(`
+    UPDATE jobs
+    SET status = 'pending', last_error = ?, available_at = NOW() + INTERVAL ? SECOND,
+        locked_at = NULL, locked_by = NULL
+    WHERE id = ?
+  `, [reason, retryInSeconds, job.id]);
+
+  return { dead: false, retryInSeconds };
+}
+
+/**
+ * Return jobs held by crashed workers to the queue
+ *
+ * @returns {Promise<number>} - Number of released jobs
+ */
+async function releaseStaleLocks() {
+  const result = await db.query(`
+    UPDATE jobs
+    SET status = IF(attempts >= max_attempts, 'dead', 'pending'),
+        last_error = 'Worker lock expired',
+        locked_at = NULL,
+        locked_by = NULL
+    WHERE status = 'processing'
+      AND locked_at < NOW() - INTERVAL ? SECOND
+  `, [LOCK_TIMEOUT_SECONDS]);
+
+  return result.affectedRows;
+}
+
+module.exports = {
+  JOB_TYPES,
+  enqueue,
+  claimNext,
+  complete,
+  fail,
+  releaseStaleLocks
+};
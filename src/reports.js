@@ -0,0 +1,218 @@
+/**
+ * Report lifecycle
+ * For Property Stewards – Inspector Interface System
+ *
+ * Completing an inspection queues a GENERATE_REPORT job. The worker renders
+ * the PDF as a draft and sends it to the inspector over WhatsApp. Once the
+ * inspector approves it, the report is released to the customer and marked
+ * sent when the notification dispatcher delivers it:
+ *
+ *   draft -> approved -> sent
+ *
+ * Rejecting a draft keeps it a draft, records the inspector's notes and lets
+ * the office know.
+ *
+ * Every row in reports is a version. Regenerating a report adds a version and
+ * puts it through the same review, earlier PDFs stay as they were and
+ * sent_to_customer/sent_at show which versions the customer received.
+ */
+
+const db = require('./db');
+const queue = require('./queue');
+const pdf = require('./utils/pdf');
+const logger = require('./utils/logger');
+
+/**
+ * Notify every admin in their in-app feed
+ *
+ * @param {string} message - Notification text
+ * @param {number} workOrderId - Work order the notification is about
+ * @param {Object} connection - Optional transaction connection
+ */
+async function notifyAdmins(message, workOrderId, connection = null) {
+  const admins = await db.query(
+    'SELECT id FROM users WHERE role = ?',
+    ['admin']
+  );
+
+  for (const admin of admins) {
+    await db.createNotification(admin.id, 'system', message, 'work_order', workOrderId, connection);
+  }
+}
+
+/**
+ * Generate the latest report version and send it to the inspector for review
+ * Runs as the GENERATE_REPORT job, errors are left to the queue to retry.
+ *
+ * @param {number} workOrderId - Work order ID
+ * @returns {Promise<boolean>} - False if the latest version was already generated
+ */
+async function generateReportForReview(workOrderId) {
+  const report = await db.getReportByWorkOrderId(workOrderId);
+
+  if (!report) {
+    throw new Error(`Work order ${workOrderId} has no report record, is the inspection completed?`);
+  }
+
+  // A stored PDF is never replaced, a new version is added with regenerateReport()
+  if (report.storage_key) {
+    logger.warn(`Report version ${report.version} for work order ${workOrderId} is already generated`);
+    return false;
+  }
+
+  const { workOrder } = await db.getWorkOrderDetails(workOrderId);
+  const label = report.version > 1 ? `draft report (version ${report.version})` : 'draft report';
+
+  // The review notification is created with the stored PDF, so a retry can't skip it.
+  // The dispatcher attaches the stored PDF to work order notifications.
+  await pdf.generateAndStoreReport(workOrderId, report.id, async connection => {
+    await db.createNotification(
+      workOrder.inspector_id,
+      'whatsapp',
+      `📄 Here is the ${label} for inspection #${workOrderId} at ${workOrder.address}.\n\n` +
+      `Reply *Approve* to send it to the customer, or "Reject: <what needs fixing>" to hold it back.`,
+      'work_order',
+      workOrderId,
+      connection
+    );
+  });
+
+  logger.info(`Draft report version ${report.version} for work order ${workOrderId} sent to inspector ${workOrder.inspector_id} for review`);
+  return true;
+}
+
+/**
+ * Add a report version and queue its generation
+ * The earlier versions are kept, the new one goes through inspector review again.
+ *
+ * @param {number} workOrderId - Work order ID
+ * @param {number|null} userId - User asking for the new version
+ * @param {string} reason - Why the report is regenerated
+ * @returns {Promise<Object>} - { id, version } of the new report version
+ */
+async function regenerateReport(workOrderId, userId, reason) {
+  if (!reason || !reason.trim()) {
+    throw new Error('A reason is required to regenerate a report');
+  }
+
+  const latest = await db.getReportByWorkOrderId(workOrderId);
+
+  if (!latest) {
+    throw new Error(`Work order ${workOrderId} has no report, complete the inspection first`);
+  }
+
+  if (!latest.storage_key) {
+    throw new Error(`Report version ${latest.version} for work order ${workOrderId} is still being generated`);
+  }
+
+  const created = await db.createReportVersion(workOrderId, {
+    generatedBy: userId,
+    reason: reason.trim()
+  });
+
+  await queue.enqueue(queue.JOB_TYPES.GENERATE_REPORT, { workOrderId }, {
+    groupKey: `report:${workOrderId}`
+  });
+
+  logger.info(`Report version ${created.version} for work order ${workOrderId} queued: ${reason.trim()}`);
+  return created;
+}
+
+/**
+ * Approve a draft report version and release it to the customer
+ *
+ * @param {number} reportId - Report version ID
+ * @param {number} reviewerId - User approving the report
+ * @returns {Promise<boolean>} - False if the report wasn't a draft awaiting approval
+ */
+async function approveReport(reportId, reviewerId) {
+  const report = await db.getReportById(reportId);
+
+  if (!report) {
+    return false;
+  }
+
+  const workOrderId = report.work_order_id;
+  const { workOrder } = await db.getWorkOrderDetails(workOrderId);
+  const updated = report.version > 1 ? 'An updated' : 'Your';
+
+  // The notifications are created with the approval, so none can be lost in between
+  return await db.transaction(async connection => {
+    if (!await db.approveReport(reportId, reviewerId, connection)) {
+      return false;
+    }
+
+    await notifyAdmins(
+      `Inspection report version ${report.version} for property at ${workOrder.address} is now available.`,
+      workOrderId,
+      connection
+    );
+
+    // Customers who don't use WhatsApp get it by email, the dispatcher marks the version sent
+    await db.createNotification(
+      workOrder.customer_id,
+      workOrder.customer_whatsapp_id ? 'whatsapp' : 'email',
+      `${updated} property inspection report for ${workOrder.address} is now available.`,
+      'work_order',
+      workOrderId,
+      connection
+    );
+
+    return true;
+  });
+}
+
+/**
+ * Hold back a draft report version and tell the office what needs fixing
+ *
+ * @param {number} reportId - Report version ID
+ * @param {number} reviewerId - User rejecting the report
+ * @param {string} notes - What needs to change
+ * @returns {Promise<boolean>} - False if the report wasn't a draft
+ */
+async function rejectReport(reportId, reviewerId, notes) {
+  const report = await db.getReportById(reportId);
+
+  if (!report) {
+    return false;
+  }
+
+  const workOrderId = report.work_order_id;
+  const { workOrder } = await db.getWorkOrderDetails(workOrderId);
+
+  return await db.transaction(async connection => {
+    if (!await db.rejectReport(reportId, reviewerId, notes, connection)) {
+      return false;
+    }
+
+    await notifyAdmins(
+      `${workOrder.inspector_name} rejected the draft report for inspection #${workOrderId} at ${workOrder.address}: ${notes}`,
+      workOrderId,
+      connection
+    );
+
+    return true;
+  });
+}
+
+/**
+ * Tell the office a report couldn't be generated
+ * Dead-letter hook for the GENERATE_REPORT job.
+ *
+ * @param {number} workOrderId - Work order ID
+ * @param {Error} error - Last error
+ */
+async function notifyReportGenerationFailed(workOrderId, error) {
+  await notifyAdmins(
+    `The report for inspection #${workOrderId} could not be generated: ${error.message || error}`,
+    workOrderId
+  );
+}
+
+module.exports = {
+  generateReportForReview,
+  regenerateReport,
+  approveReport,
+  rejectReport,
+  notifyReportGenerationFailed
+};
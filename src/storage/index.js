@@ -0,0 +1,139 @@
+/**
+ * Object storage for media files and report PDFs
+ * For Property Stewards – Inspector Interface System
+ *
+ * Files are stored outside MySQL in a pluggable backend selected with the
+ * STORAGE_BACKEND environment variable:
+ * - "local": a directory on disk via src/storage/local.js (default)
+ * - "s3": an S3-compatible bucket (DigitalOcean Spaces, MinIO, AWS) via src/storage/s3.js
+ *
+ * A backend implements:
+ * - name: string
+ * - putObject(key, content, contentType) => Promise<void>
+ * - getObject(key) => Promise<Buffer>
+ * - deleteObject(key) => Promise<void>
+ *
+ * Database rows keep only the object key, the SHA-256 checksum and the size.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Backends are loaded on demand so the local backend never loads the AWS SDK
+const BACKENDS = {
+  local: () => require('./local'),
+  s3: () => require('./s3')
+};
+
+let activeBackend = null;
+
+/**
+ * Get the configured storage backend
+ *
+ * @returns {Object} - Storage backend
+ */
+function getBackend() {
+  if (!activeBackend) {
+    const name = (process.env.STORAGE_BACKEND || 'local').toLowerCase();
+
+    if (!BACKENDS[name]) {
+      throw new Error(`Unknown STORAGE_BACKEND "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    activeBackend = BACKENDS[name]();
+    logger.info(`Using storage backend: ${activeBackend.name}`);
+  }
+
+  return activeBackend;
+}
+
+/**
+ * Replace the storage backend, e.g. with an in-memory stub in tests
+ *
+ * @param {string|Object} backend - Backend name or backend object
+ */
+function setBackend(backend) {
+  if (typeof backend === 'string') {
+    if (!BACKENDS[backend]) {
+      throw new Error(`Unknown storage backend "${backend}"`);
+    }
+    activeBackend = BACKENDS[backend]();
+  } else {
+    activeBackend = backend;
+  }
+}
+
+/**
+ * SHA-256 checksum of a file
+ *
+ * @param {Buffer} content - File content
+ * @returns {string} - Hex digest
+ */
+function checksum(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Build a unique object key
+ *
+ * @param {string} prefix - Key prefix, e.g. 'media' or 'reports/12'
+ * @param {string} fileName - Original file name, only its extension is kept
+ * @returns {string} - Key such as media/2025/03/3f2a...e1.jpg
+ */
+function buildKey(prefix, fileName) {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const extension = path.extname(fileName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+
+  return `${prefix}/${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}${extension}`;
+}
+
+/**
+ * Store a file under a new key
+ *
+ * @param {string} prefix - Key prefix
+ * @param {string} fileName - Original file name
+ * @param {Buffer} content - File content
+ * @param {string} contentType - MIME type
+ * @returns {Promise<Object>} - { key, checksum, size }
+ */
+async function saveFile(prefix, fileName, content, contentType) {
+  const key = buildKey(prefix, fileName);
+
+  await getBackend().putObject(key, content, contentType);
+
+  return {
+    key,
+    checksum: checksum(content),
+    size: content.length
+  };
+}
+
+/**
+ * Read a stored file
+ *
+ * @param {string} key - Object key
+ * @returns {Promise<Buffer>} - File content
+ */
+async function readFile(key) {
+  return await getBackend().getObject(key);
+}
+
+/**
+ * Delete a stored file, e.g. after the database insert for it failed
+ *
+ * @param {string} key - Object key
+ */
+async function deleteFile(key) {
+  await getBackend().deleteObject(key);
+}
+
+module.exports = {
+  getBackend,
+  setBackend,
+  checksum,
+  saveFile,
+  readFile,
+  deleteFile
+};
@@ -0,0 +1,50 @@
+/**
+ * Local filesystem storage backend
+ * Files live under STORAGE_LOCAL_PATH (default ./storage), one file per key
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const root = path.resolve(process.env.STORAGE_LOCAL_PATH || 'storage');
+
+/**
+ * Resolve a key to a path inside the storage directory
+ *
+ * @param {string} key - Object key
+ * @returns {string} - Absolute file path
+ */
+function resolveKey(key) {
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+}
+
+async function putObject(key, content) {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  // Write to a temporary file first so readers never see a partial file
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
+}
+
+async function getObject(key) {
+  return await fs.readFile(resolveKey(key));
+}
+
+async function deleteObject(key) {
+  await fs.rm(resolveKey(key), { force: true });
+}
+
+module.exports = {
+  name: 'local',
+  putObject,
+  getObject,
+  deleteObject
+};
@@ -0,0 +1,71 @@
+/**
+ * S3-compatible storage backend
+ * Works with DigitalOcean Spaces, MinIO and AWS S3
+ *
+ * Settings:
+ * - S3_BUCKET: bucket (Space) name
+ * - S3_ENDPOINT: e.g. https://sgp1.digitaloceanspaces.com or http://localhost:9000 for MinIO
+ * - S3_REGION: e.g. sgp1 or us-east-1
+ * - S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY: credentials
+ * - S3_FORCE_PATH_STYLE: true for MinIO
+ */
+
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+let client = null;
+
+/**
+ * Get the S3 client configured from the environment
+ *
+ * @returns {S3Client} - S3 client
+ */
+function getClient() {
+  if (!client) {
+    if (!process.env.S3_BUCKET) {
+      throw new Error('S3_BUCKET is not configured');
+    }
+
+    client = new S3Client({
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      region: process.env.S3_REGION || 'us-east-1',
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+  }
+
+  return client;
+}
+
+async function putObject(key, content, contentType) {
+  await getClient().send(new PutObjectCommand({
+    Bucket: process.env.S3_BUCKET,
+    Key: key,
+    Body: content,
+    ContentType: contentType
+  }));
+}
+
+async function getObject(key) {
+  const response = await getClient().send(new GetObjectCommand({
+    Bucket: process.env.S3_BUCKET,
+    Key: key
+  }));
+
+  return Buffer.from(await response.Body.transformToByteArray());
+}
+
+async function deleteObject(key) {
+  await getClient().send(new DeleteObjectCommand({
+    Bucket: process.env.S3_BUCKET,
+    Key: key
+  }));
+}
+
+module.exports = {
+  name: 's3',
+  putObject,
+  getObject,
+  deleteObject
+};
@@ -0,0 +1,88 @@
+/**
+ * Speech-to-text for voice notes
+ * For Property Stewards – Inspector Interface System
+ *
+ * Recordings are transcribed by a pluggable provider selected with the
+ * TRANSCRIPTION_PROVIDER environment variable:
+ * - "openai": OpenAI Whisper via src/transcription/whisper.js (default when OPENAI_API_KEY is set)
+ * - "stub": offline fixtures via src/transcription/stub.js
+ *
+ * A provider implements:
+ * - name: string
+ * - supports(contentType) => boolean
+ * - transcribe(content, fileName, contentType) => Promise<string|null>
+ */
+
+const logger = require('../utils/logger');
+
+// Providers are loaded on demand so the stub never touches OpenAI
+const PROVIDERS = {
+  openai: () => require('./whisper'),
+  stub: () => require('./stub')
+};
+
+let activeProvider = null;
+
+/**
+ * Get the configured transcription provider
+ *
+ * @returns {Object} - Transcription provider
+ */
+function getProvider() {
+  if (!activeProvider) {
+    const name = (process.env.TRANSCRIPTION_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'stub')).toLowerCase();
+
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    activeProvider = PROVIDERS[name]();
+    logger.info(`Using transcription provider: ${activeProvider.name}`);
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Replace the transcription provider, e.g. with a stub in tests
+ *
+ * @param {string|Object} provider - Provider name or provider object
+ */
+function setProvider(provider) {
+  if (typeof provider === 'string') {
+    if (!PROVIDERS[provider]) {
+      throw new Error(`Unknown transcription provider "${provider}"`);
+    }
+    activeProvider = PROVIDERS[provider]();
+  } else {
+    activeProvider = provider;
+  }
+}
+
+/**
+ * Transcribe a recording
+ *
+ * @param {Buffer} content - Audio file
+ * @param {string} fileName - File name, some providers detect the format from the extension
+ * @param {string} contentType - MIME type
+ * @returns {Promise<string|null>} - Transcript, or null if the format isn't supported or nothing was said
+ */
+async function transcribe(content, fileName, contentType) {
+  const provider = getProvider();
+
+  if (!provider.supports(contentType)) {
+    logger.info(`${provider.name} can't transcribe ${contentType} recordings`);
+    return null;
+  }
+
+  const text = await provider.transcribe(content, fileName, contentType);
+  const transcript = (text || '').replace(/\s+/g, ' ').trim();
+
+  return transcript || null;
+}
+
+module.exports = {
+  transcribe,
+  getProvider,
+  setProvider
+};
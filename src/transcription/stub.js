@@ -0,0 +1,46 @@
+/**
+ * Offline transcription provider
+ * Used for local development and CI, needs no API key or network access
+ *
+ * Transcripts come from the JSON file in TRANSCRIPTION_FIXTURES_PATH, an object
+ * keyed by the SHA-256 of the recording or its file name:
+ *   { "<sha256 or file name>": "Item 3 issue, the tap is leaking" }
+ * Recordings without a fixture get TRANSCRIPTION_STUB_TEXT, or no transcript.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+let fixtures = null;
+
+/**
+ * Load fixtures from TRANSCRIPTION_FIXTURES_PATH once
+ *
+ * @returns {Object} - Transcripts by checksum or file name
+ */
+function loadFixtures() {
+  if (!fixtures) {
+    const fixturesPath = process.env.TRANSCRIPTION_FIXTURES_PATH;
+    fixtures = fixturesPath ? JSON.parse(fs.readFileSync(path.resolve(fixturesPath), 'utf8')) : {};
+  }
+
+  return fixtures;
+}
+
+function supports(contentType) {
+  return contentType.startsWith('audio/');
+}
+
+async function transcribe(content, fileName) {
+  const checksum = crypto.createHash('sha256').update(content).digest('hex');
+  const entries = loadFixtures();
+
+  return entries[checksum] || entries[fileName] || process.env.TRANSCRIPTION_STUB_TEXT || null;
+}
+
+module.exports = {
+  name: 'stub',
+  supports,
+  transcribe
+};
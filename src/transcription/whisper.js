@@ -0,0 +1,53 @@
+/**
+ * OpenAI Whisper transcription provider
+ *
+ * Settings:
+ * - TRANSCRIPTION_MODEL: model name (default whisper-1)
+ * - TRANSCRIPTION_LANGUAGE: ISO-639-1 code to skip language detection, e.g. en
+ */
+
+const path = require('path');
+const { toFile } = require('openai');
+const { getClient } = require('../openai');
+
+// Formats the transcription API accepts, with the extension it detects them by
+const SUPPORTED_TYPES = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm',
+  'video/mp4': 'mp4'
+};
+
+// The API rejects uploads above 25 MB
+const MAX_BYTES = 25 * 1024 * 1024;
+
+function supports(contentType) {
+  return Boolean(SUPPORTED_TYPES[contentType]);
+}
+
+async function transcribe(content, fileName, contentType) {
+  if (content.length > MAX_BYTES) {
+    throw new Error(`Recording is ${content.length} bytes, the transcription limit is ${MAX_BYTES}`);
+  }
+
+  // Name the upload after its real type, WhatsApp voice notes often arrive as .bin or .opus
+  const name = `${path.parse(fileName || 'voice-note').name}.${SUPPORTED_TYPES[contentType]}`;
+
+  const response = await getClient().audio.transcriptions.create({
+    file: await toFile(content, name, { type: contentType }),
+    model: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+    language: process.env.TRANSCRIPTION_LANGUAGE || undefined,
+    // Helps with trade vocabulary the model might otherwise mishear
+    prompt: 'Property inspection notes: checklist items, leaks, cracks, mould, wiring, plumbing, fixtures.'
+  });
+
+  return response.text;
+}
+
+module.exports = {
+  name: 'openai',
+  supports,
+  transcribe
+};
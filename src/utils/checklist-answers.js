@@ -0,0 +1,314 @@
+/**
+ * Typed answers for checklist items
+ * For Property Stewards – Inspector Interface System
+ *
+ * Besides a status, a template item can ask for an answer (answer_type):
+ * a number with a unit, a meter reading, a choice from a list, yes/no or a
+ * rating from 1 to 5. Answers outside the acceptable range (min_value,
+ * max_value) or listed in issue_answers make the item an issue.
+ */
+
+const ANSWER_TYPES = ['status', 'number', 'choice', 'yes_no', 'meter', 'rating'];
+
+const RATING_MIN = 1;
+const RATING_MAX = 5;
+
+// WhatsApp limits for list messages
+const MAX_LIST_ROWS = 10;
+const MAX_LIST_TITLE_LENGTH = 24;
+
+/**
+ * Check whether an item asks for an answer besides its status
+ *
+ * @param {Object} item - Checklist item with answer_type
+ * @returns {boolean} - True for every answer type except 'status'
+ */
+function takesAnswer(item) {
+  return Boolean(item && item.answer_type && item.answer_type !== 'status');
+}
+
+/**
+ * Read a JSON list column, mysql2 returns JSON columns parsed but older drivers return strings
+ *
+ * @param {Array|string|null} value - Column value
+ * @returns {Array} - The list, empty if there is none
+ */
+function readList(value) {
+  if (!value) {
+    return [];
+  }
+
+  const list = typeof value === 'string' ? JSON.parse(value) : value;
+  return Array.isArray(list) ? list.map(String) : [];
+}
+
+/**
+ * Options the inspector picks from
+ *
+ * @param {Object} item - Checklist item
+ * @returns {Array<string>} - Choice labels, Yes / No, or the ratings 1 to 5
+ */
+function getOptions(item) {
+  switch (item.answer_type) {
+    case 'choice':
+      return readList(item.choices);
+    case 'yes_no':
+      return ['Yes', 'No'];
+    case 'rating':
+      return Array.from({ length: RATING_MAX - RATING_MIN + 1 }, (_, index) => String(RATING_MIN + index));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Format a number without the trailing zeros DECIMAL columns come back with
+ *
+ * @param {number|string} value - Number
+ * @param {string|null} unit - Unit to append
+ * @returns {string} - e.g. "2.5 bar"
+ */
+function formatNumber(value, unit = null) {
+  const number = String(Number(value));
+  return unit ? `${number} ${unit}` : number;
+}
+
+/**
+ * Parse what the inspector replied as an answer to an item
+ *
+ * @param {Object} item - Checklist item
+ * @param {string} text - Reply, a list or button reply is its row ID's value or its title
+ * @returns {Object|null} - { value, numeric }, or null if the reply isn't a valid answer
+ */
+function parseAnswer(item, text) {
+  const trimmed = String(text || '').trim();
+
+  if (!trimmed) {
+    return null;
+  }
+
+  switch (item.answer_type) {
+    case 'number': {
+      // "2.5", "2,5 bar", "-4 °C", the unit is optional
+      const match = /^(-?\d+(?:[.,]\d+)?)(?![\d.,])/.exec(trimmed);
+      if (!match) {
+        return null;
+      }
+      const numeric = parseFloat(match[1].replace(',', '.'));
+      return { value: String(numeric), numeric };
+    }
+
+    case 'meter': {
+      // Readings keep their leading zeros, digit groups may be separated by spaces ("004 512")
+      const match = /^(\d[\d ]*(?:[.,]\d+)?)(?![\d.,])/.exec(trimmed);
+      if (!match) {
+        return null;
+      }
+      const value = match[1].replace(/ /g, '').replace(',', '.');
+      return { value, numeric: parseFloat(value) };
+    }
+
+    case 'rating': {
+      const match = /^(\d+)(?![\d.,])/.exec(trimmed);
+      const numeric = match ? parseInt(match[1], 10) : NaN;
+      if (!(numeric >= RATING_MIN && numeric <= RATING_MAX)) {
+        return null;
+      }
+      return { value: String(numeric), numeric };
+    }
+
+    case 'yes_no': {
+      if (/^(?:yes|y|yeah|yep)$/i.test(trimmed)) {
+        return { value: 'yes', numeric: null };
+      }
+      if (/^(?:no|n|nope)$/i.test(trimmed)) {
+        return { value: 'no', numeric: null };
+      }
+      return null;
+    }
+
+    case 'choice': {
+      const options = getOptions(item);
+
+      // The number in front of the option, as listed in the prompt
+      if (/^\d+$/.test(trimmed)) {
+        const option = options[parseInt(trimmed, 10) - 1];
+        return option ? { value: option, numeric: null } : null;
+      }
+
+      // WhatsApp cuts long list titles, so a title reply may be the start of the option
+      const lower = trimmed.toLowerCase();
+      const option = options.find(label => label.toLowerCase() === lower) ||
+        options.find(label => label.length > MAX_LIST_TITLE_LENGTH && listTitle(label).toLowerCase() === lower);
+      return option ? { value: option, numeric: null } : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check an answer against the item's acceptable range and issue answers
+ *
+ * @param {Object} item - Checklist item with min_value, max_value and issue_answers
+ * @param {Object} answer - { value, numeric } from parseAnswer()
+ * @returns {string|null} - Why the answer is an issue, or null if it is acceptable
+ */
+function findAnswerIssue(item, answer) {
+  const formatted = formatAnswer(item, answer.value);
+
+  if (['number', 'meter', 'rating'].includes(item.answer_type)) {
+    const unit = item.answer_type === 'rating' ? null : item.unit;
+    const min = item.min_value === null || item.min_value === undefined ? null : Number(item.min_value);
+    const max = item.max_value === null || item.max_value === undefined ? null : Number(item.max_value);
+
+    if (min !== null && answer.numeric < min) {
+      return `${formatted} is below the minimum of ${formatNumber(min, unit)}`;
+    }
+    if (max !== null && answer.numeric > max) {
+      return `${formatted} is above the maximum of ${formatNumber(max, unit)}`;
+    }
+    return null;
+  }
+
+  const issueAnswers = readList(item.issue_answers).map(value => value.toLowerCase());
+  if (issueAnswers.includes(String(answer.value).toLowerCase())) {
+    return `Answered ${formatted}`;
+  }
+
+  return null;
+}
+
+/**
+ * Format an answer for messages and the report
+ *
+ * @param {Object} item - Checklist item
+ * @param {string} value - Stored answer value
+ * @returns {string} - e.g. "2.5 bar", "Yes", "4/5"
+ */
+function formatAnswer(item, value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  switch (item.answer_type) {
+    case 'number':
+      return formatNumber(value, item.unit);
+    case 'meter':
+      return item.unit ? `${value} ${item.unit}` : String(value);
+    case 'rating':
+      return `${value}/${RATING_MAX}`;
+    case 'yes_no':
+      return value === 'yes' ? 'Yes' : 'No';
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Describe the acceptable range of a number, meter or rating item
+ *
+ * @param {Object} item - Checklist item
+ * @returns {string|null} - e.g. "2–4 bar", "at least 3", or null without a range
+ */
+function describeRange(item) {
+  const unit = item.answer_type === 'rating' ? null : item.unit;
+  const hasMin = item.min_value !== null && item.min_value !== undefined;
+  const hasMax = item.max_value !== null && item.max_value !== undefined;
+
+  if (hasMin && hasMax) {
+    return `${formatNumber(item.min_value)}–${formatNumber(item.max_value, unit)}`;
+  }
+  if (hasMin) {
+    return `at least ${formatNumber(item.min_value, unit)}`;
+  }
+  if (hasMax) {
+    return `at most ${formatNumber(item.max_value, unit)}`;
+  }
+  return null;
+}
+
+/**
+ * Ask the inspector for an item's answer
+ *
+ * @param {Object} item - Checklist item
+ * @returns {string} - Question for the WhatsApp message
+ */
+function describeQuestion(item) {
+  const range = describeRange(item);
+  const expected = range ? ` (expected ${range})` : '';
+
+  switch (item.answer_type) {
+    case 'number':
+      return `Reply with the value${item.unit ? ` in ${item.unit}` : ''}${expected}.`;
+    case 'meter':
+      return `Reply with the meter reading${item.unit ? ` in ${item.unit}` : ''}${expected}.`;
+    case 'rating':
+      return `Rate it from ${RATING_MIN} (poor) to ${RATING_MAX} (excellent)${expected}.`;
+    case 'yes_no':
+      return 'Reply *Yes* or *No*.';
+    case 'choice':
+      return 'Reply with one of:\n' + getOptions(item).map((option, index) => `${index + 1}. ${option}`).join('\n');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Cut an option to the length WhatsApp allows for list titles
+ *
+ * @param {string} label - Option label
+ * @returns {string} - Title
+ */
+function listTitle(label) {
+  return label.slice(0, MAX_LIST_TITLE_LENGTH);
+}
+
+/**
+ * Reply buttons or a list message for picking an item's answer
+ * Row and button IDs are "answer:<itemId>:<value>", the value being what the inspector could type.
+ *
+ * @param {Object} item - Checklist item
+ * @returns {Object} - whatsapp.sendMessage() options: { buttons } for yes/no, { list } for
+ *   choices and ratings, empty when the answer is typed or there are too many options
+ */
+function buildAnswerOptions(item) {
+  const options = getOptions(item);
+
+  if (item.answer_type === 'yes_no') {
+    return {
+      buttons: [
+        { id: `answer:${item.id}:yes`, title: 'Yes' },
+        { id: `answer:${item.id}:no`, title: 'No' }
+      ]
+    };
+  }
+
+  if (options.length === 0 || options.length > MAX_LIST_ROWS) {
+    return {};
+  }
+
+  return {
+    list: {
+      button: item.answer_type === 'rating' ? 'Rate' : 'Choose',
+      rows: options.map((option, index) => ({
+        // Choices are answered by their number, labels can be longer than an ID should be
+        id: `answer:${item.id}:${item.answer_type === 'choice' ? index + 1 : option}`,
+        title: listTitle(option),
+        description: option.length > MAX_LIST_TITLE_LENGTH ? option : undefined
+      }))
+    }
+  };
+}
+
+module.exports = {
+  ANSWER_TYPES,
+  takesAnswer,
+  getOptions,
+  parseAnswer,
+  findAnswerIssue,
+  formatAnswer,
+  describeQuestion,
+  buildAnswerOptions
+};
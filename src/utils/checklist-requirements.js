@@ -0,0 +1,95 @@
+/**
+ * Evidence rules for checklist items
+ * For Property Stewards – Inspector Interface System
+ *
+ * An item can only be marked completed or issue_found once it has what its
+ * template asks for (requires_media, requires_comment). An issue always needs
+ * a comment describing it, and an item that takes an answer (see
+ * src/utils/checklist-answers.js) needs it to be marked completed. Skipping
+ * an item needs none of these.
+ */
+
+const { takesAnswer } = require('./checklist-answers');
+
+// Statuses that record a finding and therefore need the item's evidence
+const EVIDENCE_STATUSES = ['completed', 'issue_found'];
+
+// Media that counts as evidence for requires_media, voice notes and documents don't
+const EVIDENCE_MEDIA_TYPES = ['image', 'video'];
+
+const REQUIREMENT_LABELS = {
+  status: 'a status',
+  answer: 'an answer',
+  media: 'a photo or video',
+  comment: 'a comment'
+};
+
+/**
+ * Work out what an item is missing for a status
+ *
+ * @param {Object} item - Checklist item with requires_media, requires_comment, answer_type and answer_value
+ * @param {string} status - Status the item would get
+ * @param {string|null} comments - Comments the item would have
+ * @param {number} evidenceCount - Photos and videos attached to the item
+ * @returns {Array<string>} - Missing requirements: 'answer', 'media', 'comment'
+ */
+function findMissingRequirements(item, status, comments, evidenceCount) {
+  if (!EVIDENCE_STATUSES.includes(status)) {
+    return [];
+  }
+
+  const missing = [];
+
+  // An issue may be that there is nothing to read, e.g. a broken meter
+  if (status === 'completed' && takesAnswer(item) && (item.answer_value === null || item.answer_value === undefined)) {
+    missing.push('answer');
+  }
+
+  if (item.requires_media && !(evidenceCount > 0)) {
+    missing.push('media');
+  }
+
+  if ((item.requires_comment || status === 'issue_found') && !(comments && comments.trim())) {
+    missing.push('comment');
+  }
+
+  return missing;
+}
+
+/**
+ * Error thrown when a status is set without the item's required evidence
+ *
+ * @param {Object} item - Checklist item
+ * @param {string} status - Status that was refused
+ * @param {Array<string>} missing - Missing requirements
+ * @returns {Error} - Error with code CHECKLIST_REQUIREMENTS_UNMET, itemId, status and missing
+ */
+function requirementsError(item, status, missing) {
+  const error = new Error(`Checklist item ${item.id} (${item.name}) can't be marked ${status} without ${describeMissing(missing)}`);
+  error.code = 'CHECKLIST_REQUIREMENTS_UNMET';
+  error.itemId = item.id;
+  error.status = status;
+  error.missing = missing;
+  return error;
+}
+
+/**
+ * Describe missing requirements for a message
+ *
+ * @param {Array<string>} missing - Missing requirements
+ * @returns {string} - e.g. "a photo or video and a comment"
+ */
+function describeMissing(missing) {
+  const labels = missing.map(requirement => REQUIREMENT_LABELS[requirement] || requirement);
+  return labels.length > 2
+    ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+    : labels.join(' and ');
+}
+
+module.exports = {
+  EVIDENCE_STATUSES,
+  EVIDENCE_MEDIA_TYPES,
+  findMissingRequirements,
+  requirementsError,
+  describeMissing
+};
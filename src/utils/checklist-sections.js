@@ -0,0 +1,179 @@
+/**
+ * Checklist sections and conditional items
+ * For Property Stewards – Inspector Interface System
+ *
+ * Template items can be grouped into sections (checklist_template_sections).
+ * A section with repeat_by is instantiated once per bedroom or bathroom of
+ * the property, labelled "Bathroom 1" .. "Bathroom n". Items and sections
+ * with a condition (condition_item_id, condition_answer) are only part of
+ * the checklist once the earlier item they depend on got that answer.
+ */
+
+/**
+ * How many times a section is instantiated for a property
+ *
+ * @param {Object|null} section - Template section, null for items without one
+ * @param {Object|null} property - Property with bedrooms and bathrooms
+ * @returns {number} - Number of copies, a room count that isn't recorded counts as one room
+ */
+function countRepeats(section, property) {
+  if (!section || !section.repeat_by) {
+    return 1;
+  }
+
+  const count = property ? property[section.repeat_by] : null;
+
+  if (count === null || count === undefined) {
+    return 1;
+  }
+
+  return Math.max(0, parseInt(count, 10) || 0);
+}
+
+/**
+ * Build the instance items of a checklist from its template
+ *
+ * @param {Array<Object>} templateItems - Template items, with section_id
+ * @param {Array<Object>} sections - Template sections
+ * @param {Object|null} property - Property with bedrooms and bathrooms
+ * @returns {Array<Object>} - { template_item_id, repeat_index, section_label } per instance item.
+ *   Conditional items are included, getWorkOrderChecklist() leaves them out until their condition is met.
+ */
+function buildInstanceItems(templateItems, sections, property) {
+  const instanceItems = [];
+
+  for (const item of templateItems.filter(templateItem => !templateItem.section_id)) {
+    instanceItems.push({ template_item_id: item.id, repeat_index: 1, section_label: null });
+  }
+
+  const orderedSections = [...sections].sort((a, b) => a.section_order - b.section_order);
+
+  for (const section of orderedSections) {
+    const items = templateItems.filter(templateItem => templateItem.section_id === section.id);
+    const repeats = countRepeats(section, property);
+
+    for (let repeatIndex = 1; repeatIndex <= repeats; repeatIndex++) {
+      const label = section.repeat_by ? `${section.name} ${repeatIndex}` : section.name;
+
+      for (const item of items) {
+        instanceItems.push({ template_item_id: item.id, repeat_index: repeatIndex, section_label: label });
+      }
+    }
+  }
+
+  return instanceItems;
+}
+
+/**
+ * Check whether an answer satisfies a condition
+ *
+ * @param {string|null} value - Answer of the item the condition depends on
+ * @param {string|null} expected - condition_answer, null meaning any answer
+ * @returns {boolean} - True if the condition is met
+ */
+function answerMatches(value, expected) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+
+  if (expected === null || expected === undefined) {
+    return true;
+  }
+
+  return String(value).trim().toLowerCase() === String(expected).trim().toLowerCase();
+}
+
+/**
+ * Find the instance item a condition depends on
+ * Within a repeated section the question of the same room decides, e.g. "Bathtub present?" of Bathroom 2.
+ *
+ * @param {Object} item - Instance item with the condition
+ * @param {number} templateItemId - condition_item_id
+ * @param {Array<Object>} items - All instance items of the checklist
+ * @returns {Object|null} - Instance item, or null if it isn't on the checklist
+ */
+function findConditionItem(item, templateItemId, items) {
+  const candidates = items.filter(candidate => candidate.template_item_id === templateItemId);
+
+  return candidates.find(candidate => candidate.section_id === item.section_id && candidate.repeat_index === item.repeat_index) ||
+    candidates[0] ||
+    null;
+}
+
+/**
+ * Check whether an instance item's own and its section's conditions are met
+ *
+ * @param {Object} item - Instance item with condition_item_id, condition_answer,
+ *   section_condition_item_id and section_condition_answer
+ * @param {Array<Object>} items - All instance items of the checklist
+ * @param {Set<number>} seen - Items already on the condition chain, a loop never applies
+ * @returns {boolean} - True if the item is part of the checklist
+ */
+function isApplicable(item, items, seen = new Set()) {
+  if (seen.has(item.id)) {
+    return false;
+  }
+
+  const conditions = [
+    [item.condition_item_id, item.condition_answer],
+    [item.section_condition_item_id, item.section_condition_answer]
+  ];
+
+  for (const [templateItemId, expected] of conditions) {
+    if (!templateItemId) {
+      continue;
+    }
+
+    const conditionItem = findConditionItem(item, templateItemId, items);
+
+    // The item it depends on has to apply too, e.g. pool heater items under "Pool present?"
+    if (!conditionItem ||
+        !answerMatches(conditionItem.answer_value, expected) ||
+        !isApplicable(conditionItem, items, new Set([...seen, item.id]))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Leave out the items whose conditions aren't met
+ *
+ * @param {Array<Object>} items - All instance items of the checklist, in checklist order
+ * @returns {Array<Object>} - Items that are part of the checklist
+ */
+function filterApplicable(items) {
+  return items.filter(item => isApplicable(item, items));
+}
+
+/**
+ * Group checklist items by section for display
+ * Items keep their number in the whole checklist.
+ *
+ * @param {Array<Object>} items - Items from getWorkOrderChecklist(), in checklist order
+ * @returns {Array<Object>} - { label, items: [{ ...item, number }] }, label is null for items without a section
+ */
+function groupBySection(items) {
+  const groups = [];
+
+  items.forEach((item, index) => {
+    const label = item.section_label || null;
+    const last = groups[groups.length - 1];
+
+    if (!last || last.label !== label) {
+      groups.push({ label, items: [] });
+    }
+
+    groups[groups.length - 1].items.push({ ...item, number: index + 1 });
+  });
+
+  return groups;
+}
+
+module.exports = {
+  countRepeats,
+  buildInstanceItems,
+  filterApplicable,
+  groupBySection
+};
@@ -0,0 +1,101 @@
+/**
+ * Image processing for inspection photos
+ * For Property Stewards – Inspector Interface System
+ *
+ * Reads EXIF metadata (capture time, GPS, device) and renders auto-rotated
+ * JPEG variants. Originals are never modified, so their checksum keeps
+ * matching what the inspector sent.
+ */
+
+const sharp = require('sharp');
+const exifr = require('exifr');
+
+/**
+ * Variants rendered for every photo, longest edge in pixels
+ * The PDF report uses 'web', lists and previews use 'thumbnail'.
+ */
+const IMAGE_VARIANTS = {
+  thumbnail: { maxSize: 320, quality: 70 },
+  web: { maxSize: 1280, quality: 80 }
+};
+
+/**
+ * Read capture time, GPS position and device from a photo's EXIF
+ *
+ * @param {Buffer} content - Image file
+ * @returns {Promise<Object>} - { capturedAt, latitude, longitude, device }, fields are null when missing
+ */
+async function readExif(content) {
+  let tags = null;
+
+  try {
+    tags = await exifr.parse(content, { tiff: true, exif: true, gps: true });
+  } catch (error) {
+    // Files without EXIF or with a damaged EXIF block are common, treat them as having none
+    tags = null;
+  }
+
+  if (!tags) {
+    return { capturedAt: null, latitude: null, longitude: null, device: null };
+  }
+
+  const capturedAt = tags.DateTimeOriginal || tags.CreateDate || tags.ModifyDate || null;
+  const make = tags.Make ? String(tags.Make).trim() : '';
+  const model = tags.Model ? String(tags.Model).trim() : '';
+
+  // Model often repeats the make, e.g. "Samsung" "Samsung SM-G991B"
+  const device = model.toLowerCase().startsWith(make.toLowerCase())
+    ? model
+    : [make, model].filter(Boolean).join(' ');
+
+  return {
+    capturedAt: capturedAt instanceof Date && !isNaN(capturedAt) ? capturedAt : null,
+    latitude: Number.isFinite(tags.latitude) ? tags.latitude : null,
+    longitude: Number.isFinite(tags.longitude) ? tags.longitude : null,
+    device: device || null
+  };
+}
+
+/**
+ * Render the variants of a photo
+ *
+ * @param {Buffer} content - Image file
+ * @returns {Promise<Object>} - { width, height, variants: [{ variant, data, width, height, contentType }] }
+ *   width and height are of the upright original
+ */
+async function createVariants(content) {
+  // rotate() without arguments applies the EXIF orientation
+  const upright = sharp(content, { failOn: 'none' }).rotate();
+  const metadata = await upright.metadata();
+
+  // Orientations 5-8 are rotated by 90 degrees, so width and height swap
+  const sideways = metadata.orientation >= 5;
+  const width = sideways ? metadata.height : metadata.width;
+  const height = sideways ? metadata.width : metadata.height;
+
+  const variants = [];
+
+  for (const [variant, { maxSize, quality }] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await upright.clone()
+      .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    variants.push({
+      variant,
+      data,
+      width: info.width,
+      height: info.height,
+      contentType: 'image/jpeg'
+    });
+  }
+
+  return { width, height, variants };
+}
+
+module.exports = {
+  IMAGE_VARIANTS,
+  readExif,
+  createVariants
+};
@@ -0,0 +1,67 @@
+/**
+ * Inspection summary for Property Stewards system
+ * Shared by the report emails and the PDF report
+ */
+
+const ITEM_STATUSES = ['completed', 'issue_found', 'skipped', 'pending'];
+
+/**
+ * Summarize a work order's checklist
+ *
+ * @param {Object} details - Result of db.getWorkOrderDetails()
+ * @returns {Object} - { counts, issues, startedAt, completedAt, durationMinutes }
+ */
+function summarizeInspection(details) {
+  const items = (details.checklist && details.checklist.items) || [];
+  const instance = (details.checklist && details.checklist.instance) || {};
+
+  const counts = { total: items.length };
+  for (const status of ITEM_STATUSES) {
+    counts[status] = items.filter(item => item.status === status).length;
+  }
+
+  const issues = items
+    .map((item, index) => ({ ...item, number: index + 1 }))
+    .filter(item => item.status === 'issue_found')
+    .map(item => ({
+      number: item.number,
+      // Repeated sections have items of the same name, e.g. "Bathroom 2 – Ventilation"
+      name: item.section_label ? `${item.section_label} – ${item.name}` : item.name,
+      comments: item.comments || ''
+    }));
+
+  const startedAt = instance.started_at ? new Date(instance.started_at) : null;
+  const completedAt = instance.completed_at ? new Date(instance.completed_at) : null;
+  const durationMinutes = startedAt && completedAt
+    ? Math.max(0, Math.round((completedAt - startedAt) / 60000))
+    : null;
+
+  return {
+    counts,
+    issues,
+    startedAt,
+    completedAt,
+    durationMinutes
+  };
+}
+
+/**
+ * Format a duration in minutes for display
+ *
+ * @param {number|null} minutes - Duration in minutes
+ * @returns {string} - e.g. "1 h 25 min", or "Unknown"
+ */
+function formatDuration(minutes) {
+  if (minutes === null || minutes === undefined) {
+    return 'Unknown';
+  }
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return hours > 0 ? `${hours} h ${rest} min` : `${rest} min`;
+}
+
+module.exports = {
+  summarizeInspection,
+  formatDuration
+};
@@ -0,0 +1,237 @@
+/**
+ * Accepted media types for incoming WhatsApp attachments
+ * For Property Stewards – Inspector Interface System
+ */
+
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+/**
+ * Accepted MIME types and size limit per media type
+ */
+const MEDIA_RULES = {
+  image: {
+    label: 'photos',
+    maxBytes: 16 * MB,
+    contentTypes: {
+      'image/jpeg': 'jpg',
+      'image/png': 'png',
+      'image/webp': 'webp',
+      'image/heic': 'heic',
+      'image/heif': 'heif'
+    }
+  },
+  video: {
+    label: 'videos',
+    maxBytes: 64 * MB,
+    contentTypes: {
+      'video/mp4': 'mp4',
+      'video/3gpp': '3gp',
+      'video/quicktime': 'mov'
+    }
+  },
+  audio: {
+    label: 'voice notes',
+    maxBytes: 16 * MB,
+    contentTypes: {
+      'audio/ogg': 'ogg',
+      'audio/mpeg': 'mp3',
+      'audio/mp4': 'm4a',
+      'audio/aac': 'aac',
+      'audio/amr': 'amr'
+    }
+  },
+  document: {
+    label: 'documents',
+    maxBytes: 25 * MB,
+    contentTypes: {
+      'application/pdf': 'pdf',
+      'text/plain': 'txt',
+      'application/msword': 'doc',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+      'application/vnd.ms-excel': 'xls',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
+    }
+  }
+};
+
+// Downloads are cut off above the largest limit
+const MAX_MEDIA_BYTES = Math.max(...Object.values(MEDIA_RULES).map(rule => rule.maxBytes));
+
+const GENERIC_CONTENT_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+/**
+ * Strip parameters and casing from a MIME type, e.g. "audio/ogg; codecs=opus" -> "audio/ogg"
+ *
+ * @param {string} value - Content-Type value
+ * @returns {string} - Bare MIME type
+ */
+function normalizeContentType(value) {
+  return String(value || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Guess a MIME type from a file name's extension
+ *
+ * @param {string} fileName - File name
+ * @returns {string|null} - MIME type or null if the extension isn't accepted
+ */
+function contentTypeFromFileName(fileName) {
+  const extension = path.extname(fileName || '').slice(1).toLowerCase();
+
+  if (!extension) {
+    return null;
+  }
+
+  for (const rule of Object.values(MEDIA_RULES)) {
+    for (const [contentType, ruleExtension] of Object.entries(rule.contentTypes)) {
+      if (ruleExtension === extension || (extension === 'jpeg' && ruleExtension === 'jpg')) {
+        return contentType;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pick the real MIME type of a download
+ * The downloaded Content-Type wins, then the type the webhook declared, then the file extension.
+ *
+ * @param {string} downloaded - Content-Type of the download
+ * @param {string} declared - MIME type from the webhook payload
+ * @param {string} fileName - Original file name
+ * @returns {string} - MIME type
+ */
+function resolveContentType(downloaded, declared, fileName) {
+  for (const candidate of [downloaded, declared]) {
+    const contentType = normalizeContentType(candidate);
+    if (!GENERIC_CONTENT_TYPES.includes(contentType)) {
+      return contentType;
+    }
+  }
+
+  return contentTypeFromFileName(fileName) || 'application/octet-stream';
+}
+
+/**
+ * Media type to store a file as
+ * Photos and videos sent as documents (to avoid WhatsApp compression) are stored as what they are.
+ *
+ * @param {string} messageType - WhatsApp message type
+ * @param {string} contentType - MIME type
+ * @returns {string} - 'image', 'video', 'audio' or 'document'
+ */
+function getMediaType(messageType, contentType) {
+  if (messageType === 'document') {
+    const match = Object.keys(MEDIA_RULES).find(type => MEDIA_RULES[type].contentTypes[contentType]);
+    return match || 'document';
+  }
+
+  return MEDIA_RULES[messageType] ? messageType : 'document';
+}
+
+/**
+ * Make a user-supplied file name safe to store and show
+ *
+ * @param {string} fileName - Original file name
+ * @returns {string} - File name without directories or control characters, at most 255 characters
+ */
+function sanitizeFileName(fileName) {
+  const base = path.basename(String(fileName || '').replace(/\\/g, '/'))
+    .replace(/[\x00-\x1f\x7f]/g, '')
+    .trim();
+
+  if (base.length <= 255) {
+    return base;
+  }
+
+  const extension = path.extname(base).slice(0, 16);
+  return base.slice(0, 255 - extension.length) + extension;
+}
+
+/**
+ * File name to store an attachment under
+ * Documents keep their original name, other media are named after the message.
+ *
+ * @param {Object} message - Parsed message
+ * @param {string} mediaType - Media type
+ * @param {string} contentType - MIME type
+ * @returns {string} - File name
+ */
+function buildFileName(message, mediaType, contentType) {
+  const original = sanitizeFileName(message.fileName);
+
+  if (original && message.type === 'document') {
+    return original;
+  }
+
+  const rule = MEDIA_RULES[mediaType];
+  const extension = (rule && rule.contentTypes[contentType]) || path.extname(original).slice(1) || 'bin';
+
+  return `${message.messageId}.${extension}`;
+}
+
+/**
+ * List the accepted types for a reply to the inspector
+ *
+ * @returns {string} - e.g. "photos (JPG, PNG, ...) up to 16 MB, ..."
+ */
+function describeAcceptedMedia() {
+  return Object.values(MEDIA_RULES)
+    .map(rule => {
+      const extensions = Object.values(rule.contentTypes).map(extension => extension.toUpperCase()).join(', ');
+      return `${rule.label} (${extensions}) up to ${rule.maxBytes / MB} MB`;
+    })
+    .join('; ');
+}
+
+/**
+ * Reply for a file above its size limit
+ *
+ * @param {string} mediaType - Media type
+ * @param {number|null} size - Size in bytes, if known
+ * @returns {string} - Reply to the inspector
+ */
+function oversizedReply(mediaType, size) {
+  const rule = MEDIA_RULES[mediaType] || MEDIA_RULES.document;
+  const actual = size ? `${(size / MB).toFixed(1)} MB` : 'too large';
+
+  return `Sorry, that file is ${actual}, the limit for ${rule.label} is ${rule.maxBytes / MB} MB. Please send a smaller file.`;
+}
+
+/**
+ * Check an attachment against the accepted types and size limits
+ *
+ * @param {string} mediaType - Media type
+ * @param {string} contentType - MIME type
+ * @param {number} size - Size in bytes
+ * @returns {string|null} - Reply explaining why the file is rejected, or null if it's accepted
+ */
+function validateMedia(mediaType, contentType, size) {
+  const rule = MEDIA_RULES[mediaType];
+
+  if (!rule || !rule.contentTypes[contentType]) {
+    return `Sorry, I can't store ${contentType} files. Please send ${describeAcceptedMedia()}.`;
+  }
+
+  if (size > rule.maxBytes) {
+    return oversizedReply(mediaType, size);
+  }
+
+  return null;
+}
+
+module.exports = {
+  MEDIA_RULES,
+  MAX_MEDIA_BYTES,
+  normalizeContentType,
+  resolveContentType,
+  getMediaType,
+  sanitizeFileName,
+  buildFileName,
+  describeAcceptedMedia,
+  oversizedReply,
+  validateMedia
+};
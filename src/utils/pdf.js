@@ -3,186 +3,793 @@
  * For Property Stewards – Inspector Interface System
  */
 
+const crypto = require('crypto');
 const PDFDocument = require('pdfkit');
 const db = require('../db');
+const storage = require('../storage');
+const { getMediaContent, getImageForDisplay } = require('../media');
+const nlp = require('../nlp');
+const { summarizeInspection, formatDuration } = require('./inspection-summary');
+const { takesAnswer, formatAnswer } = require('./checklist-answers');
+const { groupBySection } = require('./checklist-sections');
+const logger = require('./logger');
+
+// Media grid layout, in points
+const MEDIA_COLUMNS = 2;
+const MEDIA_GAP = 12;
+const MEDIA_IMAGE_HEIGHT = 170;
+const MEDIA_CAPTION_HEIGHT = 26;
+const MEDIA_TRANSCRIPT_LENGTH = 160;
+
+// Captions for media that isn't embedded
+const MEDIA_LABELS = {
+  video: 'Video',
+  audio: 'Voice note',
+  document: 'Document'
+};
+
+// pdfkit can only embed JPEG and PNG images
+const EMBEDDABLE_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
 
 /**
- * Generate a PDF report for a completed inspection
+ * Format a media timestamp for captions
  * 
- * @param {number} workOrderId - Work order ID
- * @returns {Promise<Buffer>} - PDF report as buffer
+ * @param {Date|string} value - Timestamp
+ * @returns {string} - Formatted date and time
  */
-async function generateInspectionReport(workOrderId) {
-  // Get work order details with checklist
-  const details = await db.getWorkOrderDetails(workOrderId);
+function formatMediaTimestamp(value) {
+  if (!value) {
+    return '';
+  }
   
-  if (!details || details.workOrder.status !== 'completed') {
-    throw new Error('Cannot generate report: Work order not found or not completed');
+  return new Date(value).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Caption text after a media label: when a photo was taken (from EXIF) or else received,
+ * plus where, if the camera recorded a GPS position
+ * 
+ * @param {Object} media - Media row
+ * @returns {Object} - { time, location }, location is an empty string without GPS
+ */
+function describeMediaCapture(media) {
+  const time = media.captured_at
+    ? `Taken ${formatMediaTimestamp(media.captured_at)}`
+    : formatMediaTimestamp(media.created_at);
+  
+  const hasLocation = media.gps_latitude !== null && media.gps_latitude !== undefined &&
+    media.gps_longitude !== null && media.gps_longitude !== undefined;
+  const location = hasLocation
+    ? `GPS ${Number(media.gps_latitude).toFixed(5)}, ${Number(media.gps_longitude).toFixed(5)}`
+    : '';
+  
+  return { time, location };
+}
+
+/**
+ * Draw a grey box with a message where a picture can't be shown
+ * 
+ * @param {PDFDocument} doc - PDF document
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {string} label - Text shown in the box
+ * @param {boolean} playIcon - Draw a play button (for videos)
+ */
+function drawPlaceholder(doc, x, y, width, height, label, playIcon = false) {
+  doc.save()
+     .rect(x, y, width, height)
+     .fillAndStroke('#eeeeee', '#cccccc');
+  
+  if (playIcon) {
+    const centerX = x + width / 2;
+    const centerY = y + height / 2 - 10;
+    doc.circle(centerX, centerY, 22)
+       .fill('#999999')
+       .polygon([centerX - 7, centerY - 11], [centerX - 7, centerY + 11], [centerX + 12, centerY])
+       .fill('#ffffff');
   }
   
-  // Create a PDF document
-  const doc = new PDFDocument({
-    margins: {
-      top: 50,
-      bottom: 50,
-      left: 50,
-      right: 50
-    },
-    info: {
-      Title: `Property Inspection Report #${workOrderId}`,
-      Author: 'Property Stewards',
-      Subject: 'Property Inspection Report',
-      Keywords: 'inspection, property, report',
-      CreationDate: new Date()
+  doc.restore()
+     .fillColor('#555555')
+     .fontSize(9)
+     .font('Helvetica')
+     .text(label, x + 6, y + height - (playIcon ? 34 : height / 2 + 5), {
+       width: width - 12,
+       align: 'center'
+     })
+     .fillColor('black');
+}
+
+/**
+ * Draw one media cell: the picture (or a placeholder) and its caption
+ * 
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} media - Media row (without content)
+ * @param {number} number - 1-based position under the checklist item
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Cell width
+ */
+async function drawMediaCell(doc, media, number, x, y, width) {
+  let label;
+  
+  if (media.media_type === 'image') {
+    label = `Photo ${number}`;
+    
+    try {
+      // Load one image at a time to keep memory use flat on large reports.
+      // The web variant is upright and JPEG, so HEIC and WebP photos can be embedded too.
+      const { content, contentType } = await getImageForDisplay(media, 'web');
+      
+      if (EMBEDDABLE_IMAGE_TYPES.includes((contentType || '').toLowerCase())) {
+        doc.image(content, x, y, {
+          fit: [width, MEDIA_IMAGE_HEIGHT],
+          align: 'center',
+          valign: 'center'
+        });
+      } else {
+        drawPlaceholder(doc, x, y, width, MEDIA_IMAGE_HEIGHT, `${media.content_type} image, not shown`);
+      }
+    } catch (error) {
+      logger.error(`Could not embed media ${media.id} in report:`, error.message);
+      drawPlaceholder(doc, x, y, width, MEDIA_IMAGE_HEIGHT, 'Image could not be displayed');
     }
-  });
+  } else {
+    label = `${MEDIA_LABELS[media.media_type] || 'File'} ${number}`;
+    
+    // Voice notes show what was said, the full text is usually in the item comments too
+    const transcript = media.transcript && media.transcript.length > MEDIA_TRANSCRIPT_LENGTH
+      ? `${media.transcript.slice(0, MEDIA_TRANSCRIPT_LENGTH - 1)}…`
+      : media.transcript;
+    
+    drawPlaceholder(
+      doc, x, y, width, MEDIA_IMAGE_HEIGHT,
+      transcript
+        ? `“${transcript}”\nMedia reference #${media.id}`
+        : `${media.file_name}\nMedia reference #${media.id}`,
+      media.media_type === 'video'
+    );
+  }
   
-  // Buffer to store PDF data
-  const buffers = [];
-  doc.on('data', buffers.push.bind(buffers));
+  const { time, location } = describeMediaCapture(media);
   
-  // Add header with logo (placeholder for actual logo)
-  doc.fontSize(24)
+  doc.fontSize(9)
      .font('Helvetica-Bold')
-     .text('Property Stewards', { align: 'center' });
-     
-  doc.fontSize(16)
+     .text(label, x, y + MEDIA_IMAGE_HEIGHT + 4, { width, continued: true })
      .font('Helvetica')
-     .text('Property Inspection Report', { align: 'center' });
-     
-  doc.moveDown();
+     .fillColor('#555555')
+     .text(`  ${time}`);
   
-  // Add inspection information
-  const { workOrder } = details;
-  const property = {
-    address: workOrder.address,
-    city: workOrder.city,
-    state: workOrder.state,
-    postalCode: workOrder.postal_code
-  };
+  if (location) {
+    doc.fontSize(8)
+       .text(location, x, doc.y, { width });
+  }
+  
+  doc.fillColor('black');
+}
+
+/**
+ * Lay out a checklist item's media in a grid, starting a new page when a row doesn't fit
+ * 
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array<Object>} mediaItems - Media rows from db.getMediaForChecklistItem()
+ */
+async function renderMediaGrid(doc, mediaItems) {
+  const left = doc.page.margins.left;
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const cellWidth = (contentWidth - MEDIA_GAP * (MEDIA_COLUMNS - 1)) / MEDIA_COLUMNS;
+  const rowHeight = MEDIA_IMAGE_HEIGHT + MEDIA_CAPTION_HEIGHT;
   
-  // Format date
-  const inspectionDate = new Date(workOrder.scheduled_date);
-  const dateOptions = { year: 'numeric', month: 'long', day: 'numeric' };
-  const formattedDate = inspectionDate.toLocaleDateString('en-US', dateOptions);
+  let y = doc.y;
   
-  // Add inspection details
+  for (let i = 0; i < mediaItems.length; i += MEDIA_COLUMNS) {
+    if (y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    
+    const row = mediaItems.slice(i, i + MEDIA_COLUMNS);
+    for (let column = 0; column < row.length; column++) {
+      await drawMediaCell(doc, row[column], i + column + 1, left + column * (cellWidth + MEDIA_GAP), y, cellWidth);
+    }
+    
+    y += rowHeight + MEDIA_GAP;
+  }
+  
+  // Continue below the grid at the left margin
+  doc.x = left;
+  doc.y = y;
+}
+
+// Layout used when no report template is configured in the database
+const DEFAULT_TEMPLATE = Object.freeze({
+  brand_name: 'Property Stewards',
+  title: 'Property Inspection Report',
+  logo: null,
+  primary_color: '#000000',
+  accent_color: '#555555',
+  header_text: null,
+  footer_text: null,
+  sections: ['summary', 'details', 'property', 'customer', 'checklist', 'signature'],
+  show_customer_contact: true
+});
+
+// Checklist item status colors (RGB)
+const STATUS_COLORS = {
+  completed: [0, 128, 0], // Green
+  issue_found: [255, 0, 0], // Red
+  skipped: [255, 165, 0], // Orange
+  pending: [0, 0, 0] // Black
+};
+
+const STATUS_LABELS = {
+  completed: 'Completed',
+  issue_found: 'Issues found',
+  skipped: 'Skipped',
+  pending: 'Not checked'
+};
+
+// Issue table column widths, the comments column takes the rest of the page
+const ISSUE_TABLE_NUMBER_WIDTH = 30;
+const ISSUE_TABLE_ITEM_WIDTH = 150;
+const ISSUE_TABLE_PADDING = 4;
+
+const LOGO_MAX_HEIGHT = 60;
+
+const SIGNATURE_IMAGE_WIDTH = 200;
+const SIGNATURE_IMAGE_HEIGHT = 80;
+const SIGNATURE_BLOCK_HEIGHT = 220;
+
+/**
+ * Fill in template settings that are missing with the defaults
+ * 
+ * @param {Object|null} template - Row from report_templates
+ * @returns {Object} - Complete template
+ */
+function resolveTemplate(template) {
+  if (!template) {
+    return { ...DEFAULT_TEMPLATE };
+  }
+  
+  const resolved = { ...DEFAULT_TEMPLATE };
+  for (const [key, value] of Object.entries(template)) {
+    if (value !== null && value !== undefined) {
+      resolved[key] = value;
+    }
+  }
+  
+  let sections = resolved.sections;
+  if (typeof sections === 'string') {
+    sections = JSON.parse(sections);
+  }
+  
+  // Ignore unknown section names rather than failing the whole report
+  resolved.sections = (Array.isArray(sections) ? sections : DEFAULT_TEMPLATE.sections)
+    .filter(section => SECTION_RENDERERS[section]);
+  resolved.show_customer_contact = Boolean(resolved.show_customer_contact);
+  
+  return resolved;
+}
+
+/**
+ * Draw a section heading in the template's primary color
+ * 
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} template - Report template
+ * @param {string} text - Heading text
+ */
+function drawSectionHeading(doc, template, text) {
   doc.fontSize(12)
      .font('Helvetica-Bold')
-     .text('Inspection Details', { underline: true });
+     .fillColor(template.primary_color)
+     .text(text, { underline: true })
+     .fillColor('black');
      
-  doc.font('Helvetica')
-     .text(`Inspection ID: #${workOrder.id}`)
-     .text(`Date: ${formattedDate}`)
-     .text(`Inspector: ${workOrder.inspector_name}`)
-     .text(`Property Type: ${workOrder.property_type}`);
-     
-  doc.moveDown();
+  doc.font('Helvetica');
+}
+
+/**
+ * Draw the report header: logo, brand name, title and header text
+ * 
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} template - Report template
+ */
+function drawHeader(doc, template) {
+  if (template.logo) {
+    try {
+      const logoWidth = 160;
+      doc.image(Buffer.from(template.logo), (doc.page.width - logoWidth) / 2, doc.y, {
+        fit: [logoWidth, LOGO_MAX_HEIGHT],
+        align: 'center'
+      });
+      doc.y += LOGO_MAX_HEIGHT + 10;
+    } catch (error) {
+      logger.error(`Could not draw logo for report template ${template.id}:`, error.message);
+    }
+  }
   
-  // Add property information
-  doc.font('Helvetica-Bold')
-     .text('Property Information', { underline: true });
-     
-  doc.font('Helvetica')
-     .text(`Address: ${property.address}`)
-     .text(`City: ${property.city}`)
-     .text(`State: ${property.state}`)
-     .text(`Postal Code: ${property.postalCode}`);
+  doc.fontSize(24)
+     .font('Helvetica-Bold')
+     .fillColor(template.primary_color)
+     .text(template.brand_name, { align: 'center' });
      
-  doc.moveDown();
+  doc.fontSize(16)
+     .font('Helvetica')
+     .fillColor(template.accent_color)
+     .text(template.title, { align: 'center' })
+     .fillColor('black');
   
-  // Add customer information
-  doc.font('Helvetica-Bold')
-     .text('Customer Information', { underline: true });
-     
-  doc.font('Helvetica')
-     .text(`Name: ${workOrder.customer_name}`)
-     .text(`Phone: ${workOrder.customer_phone}`)
-     .text(`Email: ${workOrder.customer_email}`);
+  if (template.header_text) {
+    doc.fontSize(10)
+       .text(template.header_text, { align: 'center' });
+  }
      
   doc.moveDown();
+}
+
+/**
+ * Get the issue table column widths for the current page
+ * 
+ * @param {PDFDocument} doc - PDF document
+ * @returns {Array<number>} - Widths of the number, item and comments columns
+ */
+function getIssueColumnWidths(doc) {
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  return [
+    ISSUE_TABLE_NUMBER_WIDTH,
+    ISSUE_TABLE_ITEM_WIDTH,
+    contentWidth - ISSUE_TABLE_NUMBER_WIDTH - ISSUE_TABLE_ITEM_WIDTH
+  ];
+}
+
+/**
+ * Measure the height of an issue table row
+ * 
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array<string>} cells - Cell text: number, item, comments
+ * @param {boolean} bold - Whether the row is drawn in bold
+ * @returns {number} - Row height
+ */
+function measureIssueRow(doc, cells, bold = false) {
+  const widths = getIssueColumnWidths(doc);
+  doc.fontSize(10).font(bold ? 'Helvetica-Bold' : 'Helvetica');
   
-  // Add checklist items
-  doc.addPage();
+  return Math.max(...cells.map((cell, i) => 
+    doc.heightOfString(cell, { width: widths[i] - ISSUE_TABLE_PADDING * 2 })
+  )) + ISSUE_TABLE_PADDING * 2;
+}
+
+/**
+ * Draw one row of the issue table
+ * 
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array<string>} cells - Cell text: number, item, comments
+ * @param {number} y - Top edge
+ * @param {Object} options - { bold, fill, color }
+ * @returns {number} - Row height
+ */
+function drawIssueRow(doc, cells, y, options = {}) {
+  const left = doc.page.margins.left;
+  const widths = getIssueColumnWidths(doc);
+  const rowWidth = widths.reduce((sum, width) => sum + width, 0);
+  const height = measureIssueRow(doc, cells, options.bold);
   
-  doc.fontSize(16)
-     .font('Helvetica-Bold')
-     .text('Inspection Checklist', { align: 'center' });
-     
-  doc.moveDown();
+  if (options.fill) {
+    doc.save().rect(left, y, rowWidth, height).fill(options.fill).restore();
+  }
+  doc.save().rect(left, y, rowWidth, height).stroke('#cccccc').restore();
+  
+  let x = left;
+  cells.forEach((cell, i) => {
+    doc.fillColor(options.color || 'black')
+       .text(cell, x + ISSUE_TABLE_PADDING, y + ISSUE_TABLE_PADDING, { width: widths[i] - ISSUE_TABLE_PADDING * 2 });
+    x += widths[i];
+  });
+  
+  doc.fillColor('black');
+  return height;
+}
+
+/**
+ * Draw the issue_found items as a table, repeating the header row after page breaks
+ * 
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} template - Report template
+ * @param {Array<Object>} issues - Issues from summarizeInspection()
+ */
+function drawIssueTable(doc, template, issues) {
+  const header = ['#', 'Item', 'Comments'];
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const headerOptions = { bold: true, fill: template.primary_color, color: 'white' };
   
-  // Retrieve all checklist items with their media
-  const { items } = details.checklist;
+  let y = doc.y;
+  y += drawIssueRow(doc, header, y, headerOptions);
   
-  // Iterate through each checklist item
-  for (const item of items) {
-    // Add item header
-    doc.fontSize(14)
+  for (const issue of issues) {
+    const cells = [String(issue.number), issue.name, issue.comments || 'No comments'];
+    if (y + measureIssueRow(doc, cells) > bottom()) {
+      doc.addPage();
+      y = doc.page.margins.top;
+      y += drawIssueRow(doc, header, y, headerOptions);
+    }
+    
+    y += drawIssueRow(doc, cells, y);
+  }
+  
+  doc.x = doc.page.margins.left;
+  doc.y = y + ISSUE_TABLE_PADDING;
+}
+
+/**
+ * Report sections, drawn in the order listed in the template
+ * Each renderer receives (doc, details, template).
+ */
+const SECTION_RENDERERS = {
+  summary(doc, { summary, narrative }, template) {
+    doc.fontSize(16)
        .font('Helvetica-Bold')
-       .text(item.name);
+       .fillColor(template.primary_color)
+       .text('Executive Summary', { align: 'center' })
+       .fillColor('black');
        
-    // Add description
+    doc.moveDown();
+    
+    const timeOptions = { dateStyle: 'medium', timeStyle: 'short' };
     doc.fontSize(12)
-       .font('Helvetica-Oblique')
-       .text(item.description || 'No description provided');
+       .font('Helvetica')
+       .text(`Inspection duration: ${formatDuration(summary.durationMinutes)}`);
+    if (summary.startedAt && summary.completedAt) {
+      doc.fontSize(10)
+         .fillColor(template.accent_color)
+         .text(`Started ${summary.startedAt.toLocaleString('en-US', timeOptions)}, completed ${summary.completedAt.toLocaleString('en-US', timeOptions)}`)
+         .fillColor('black');
+    }
+    
+    doc.moveDown();
+    drawSectionHeading(doc, template, `Checklist Items (${summary.counts.total})`);
+    
+    for (const status of ['completed', 'issue_found', 'skipped', 'pending']) {
+      // Only mention unchecked items if there are any
+      if (status === 'pending' && summary.counts.pending === 0) {
+        continue;
+      }
+      
+      const color = STATUS_COLORS[status];
+      doc.font('Helvetica-Bold')
+         .fillColor(color[0], color[1], color[2])
+         .text(`${STATUS_LABELS[status]}: `, { continued: true })
+         .font('Helvetica')
+         .fillColor('black')
+         .text(String(summary.counts[status]));
+    }
+    
+    if (narrative) {
+      doc.moveDown();
+      drawSectionHeading(doc, template, 'Overview');
+      doc.text(narrative, { align: 'justify' });
+    }
+    
+    doc.moveDown();
+    drawSectionHeading(doc, template, `Issues Found (${summary.issues.length})`);
+    doc.moveDown(0.5);
+    
+    if (summary.issues.length === 0) {
+      doc.text('No issues were found during this inspection.');
+    } else {
+      drawIssueTable(doc, template, summary.issues);
+    }
+    
+    // The summary gets a page of its own
+    if (template.sections[template.sections.length - 1] !== 'summary') {
+      doc.addPage();
+    }
+  },
+  
+  details(doc, { workOrder }, template) {
+    // Format date
+    const inspectionDate = new Date(workOrder.scheduled_date);
+    const dateOptions = { year: 'numeric', month: 'long', day: 'numeric' };
+    const formattedDate = inspectionDate.toLocaleDateString('en-US', dateOptions);
+    
+    drawSectionHeading(doc, template, 'Inspection Details');
+    
+    doc.text(`Inspection ID: #${workOrder.id}`)
+       .text(`Date: ${formattedDate}`)
+       .text(`Inspector: ${workOrder.inspector_name}`)
+       .text(`Property Type: ${workOrder.property_type}`);
+       
+    doc.moveDown();
+  },
+  
+  property(doc, { workOrder }, template) {
+    drawSectionHeading(doc, template, 'Property Information');
+    
+    doc.text(`Address: ${workOrder.address}`)
+       .text(`City: ${workOrder.city}`)
+       .text(`State: ${workOrder.state}`)
+       .text(`Postal Code: ${workOrder.postal_code}`);
        
-    // Add status
-    let statusColor;
-    switch (item.status) {
-      case 'completed':
-        statusColor = [0, 128, 0]; // Green
-        break;
-      case 'issue_found':
-        statusColor = [255, 0, 0]; // Red
-        break;
-      case 'skipped':
-        statusColor = [255, 165, 0]; // Orange
-        break;
-      default:
-        statusColor = [0, 0, 0]; // Black
+    doc.moveDown();
+  },
+  
+  customer(doc, { workOrder }, template) {
+    drawSectionHeading(doc, template, 'Customer Information');
+    
+    doc.text(`Name: ${workOrder.customer_name}`);
+    
+    if (template.show_customer_contact) {
+      doc.text(`Phone: ${workOrder.customer_phone}`)
+         .text(`Email: ${workOrder.customer_email}`);
     }
+       
+    doc.moveDown();
+  },
+  
+  async checklist(doc, details, template) {
+    // The checklist always starts on its own page
+    doc.addPage();
     
-    doc.font('Helvetica-Bold')
-       .fillColor(statusColor[0], statusColor[1], statusColor[2])
-       .text(`Status: ${item.status.toUpperCase().replace('_', ' ')}`)
+    doc.fontSize(16)
+       .font('Helvetica-Bold')
+       .fillColor(template.primary_color)
+       .text('Inspection Checklist', { align: 'center' })
        .fillColor('black');
        
-    // Add comments if any
-    if (item.comments) {
-      doc.font('Helvetica')
-         .text('Comments:')
-         .font('Helvetica-Oblique')
-         .text(item.comments);
-    }
+    doc.moveDown();
     
-    // Get media items for this checklist item
-    const mediaItems = await db.getMediaForChecklistItem(item.id);
+    // Iterate through each checklist item, grouped by section
+    for (const group of groupBySection(details.checklist.items)) {
+      if (group.label) {
+        drawSectionHeading(doc, template, group.label);
+        doc.moveDown(0.5);
+      }
+    
+      for (const item of group.items) {
+        // Add item header
+        doc.fontSize(14)
+           .font('Helvetica-Bold')
+           .fillColor(template.accent_color)
+           .text(item.name)
+           .fillColor('black');
+         
+        // Add description
+        doc.fontSize(12)
+           .font('Helvetica-Oblique')
+           .text(item.description || 'No description provided');
+         
+        // Add status
+        const statusColor = STATUS_COLORS[item.status] || STATUS_COLORS.pending;
+      
+        doc.font('Helvetica-Bold')
+           .fillColor(statusColor[0], statusColor[1], statusColor[2])
+           .text(`Status: ${item.status.toUpperCase().replace('_', ' ')}`)
+           .fillColor('black');
+      
+        if (takesAnswer(item) && item.answer_value !== null) {
+          doc.font('Helvetica')
+             .text(`Answer: ${formatAnswer(item, item.answer_value)}`);
+        }
+         
+        // Add comments if any
+        if (item.comments) {
+          doc.font('Helvetica')
+             .text('Comments:')
+             .font('Helvetica-Oblique')
+             .text(item.comments);
+        }
+      
+        // Get media items for this checklist item
+        const mediaItems = await db.getMediaForChecklistItem(item.id);
+      
+        if (mediaItems.length > 0) {
+          doc.moveDown(0.5);
+          await renderMediaGrid(doc, mediaItems);
+        }
+      
+        doc.moveDown(2);
+      }
+    }
+  },
+  
+  async signature(doc, { signature, contentHash }, template) {
+    doc.moveDown(2);
     
-    if (mediaItems.length > 0) {
-      doc.font('Helvetica')
-         .text(`Media Items: ${mediaItems.length}`);
+    // Not signed over WhatsApp, leave lines to sign on paper
+    if (!signature) {
+      doc.fontSize(12)
+         .font('Helvetica')
+         .text('Inspector Signature:', { continued: true })
+         .text('____________________', { align: 'right' });
          
-      // Note: In a real implementation, we would add the actual images here
-      // This would require additional processing to fit images properly on the page
-      // For simplicity, we're just mentioning the media items
+      doc.moveDown();
+      
+      doc.text('Date:', { continued: true })
+         .text('____________________', { align: 'right' });
+      return;
     }
     
-    doc.moveDown(2);
+    // Keep the signature block together on one page
+    if (doc.y + SIGNATURE_BLOCK_HEIGHT > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    
+    drawSectionHeading(doc, template, 'Inspector Sign-off');
+    
+    doc.fontSize(10)
+       .font('Helvetica-Oblique')
+       .text(`"${signature.attestation}"`);
+       
+    doc.moveDown();
+    
+    let drawn = false;
+    if (signature.method === 'image' && signature.signature_media_id) {
+      try {
+        const content = await getMediaContent(signature.signature_media_id);
+        doc.image(content, doc.page.margins.left, doc.y, {
+          fit: [SIGNATURE_IMAGE_WIDTH, SIGNATURE_IMAGE_HEIGHT]
+        });
+        doc.y += SIGNATURE_IMAGE_HEIGHT + 5;
+        drawn = true;
+      } catch (error) {
+        logger.error(`Could not draw signature image for work order ${signature.work_order_id}:`, error.message);
+      }
+    }
+    
+    if (!drawn) {
+      doc.fontSize(22)
+         .font('Times-Italic')
+         .text(signature.typed_name || signature.signer_name);
+    }
+    
+    const signedAt = new Date(signature.signed_at).toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' });
+    
+    doc.fontSize(11)
+       .font('Helvetica')
+       .text(`Signed by: ${signature.signer_name}`)
+       .text(`Signed at: ${signedAt}`)
+       .text(`Method: ${signature.method === 'image' ? 'Signature image sent over WhatsApp' : 'Typed full-name attestation over WhatsApp'}`);
+       
+    if (contentHash) {
+      doc.moveDown(0.5)
+         .fontSize(8)
+         .fillColor(template.accent_color)
+         .text(`Report content SHA-256: ${contentHash}`)
+         .fillColor('black');
+    }
+  }
+};
+
+/**
+ * Hash the report data for tamper evidence
+ * 
+ * Covers what the report states: the checklist results, the media attached to
+ * each item and the signature. The hash is printed on the report and stored
+ * with it, so a changed PDF or changed data no longer matches.
+ * 
+ * @param {Object} details - Result of db.getWorkOrderDetails()
+ * @returns {Promise<string>} - Hex SHA-256
+ */
+async function computeContentHash(details) {
+  const items = [];
+  for (const item of details.checklist.items) {
+    const media = await db.getMediaForChecklistItem(item.id);
+    items.push({
+      id: item.id,
+      name: item.name,
+      status: item.status,
+      comments: item.comments || null,
+      // Only items with an answer carry the field, so hashes of earlier reports still match
+      ...(item.answer_value !== null && item.answer_value !== undefined ? { answer: item.answer_value } : {}),
+      ...(item.section_label ? { section: item.section_label } : {}),
+      media: media.map(entry => entry.id)
+    });
   }
   
-  // Add signature section
-  doc.moveDown(2);
-  doc.fontSize(12)
-     .font('Helvetica')
-     .text('Inspector Signature:', { continued: true })
-     .text('____________________', { align: 'right' });
-     
-  doc.moveDown();
+  const signature = details.signature;
+  const content = {
+    workOrderId: details.workOrder.id,
+    items,
+    signature: signature ? {
+      signerId: signature.signer_id,
+      signerName: signature.signer_name,
+      method: signature.method,
+      typedName: signature.typed_name,
+      mediaId: signature.signature_media_id,
+      attestation: signature.attestation,
+      signedAt: new Date(signature.signed_at).toISOString()
+    } : null
+  };
+  
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Generate a PDF report for a completed inspection
+ * 
+ * @param {number} workOrderId - Work order ID
+ * @param {Object|null} reportTemplate - Row from report_templates, looked up for the work order if omitted
+ * @returns {Promise<Buffer>} - PDF report as buffer
+ */
+async function generateInspectionReport(workOrderId, reportTemplate = undefined) {
+  const { pdf } = await renderInspectionReport(workOrderId, reportTemplate);
+  return pdf;
+}
+
+/**
+ * Render the PDF report and the hash of its contents
+ * 
+ * @param {number} workOrderId - Work order ID
+ * @param {Object|null} reportTemplate - Row from report_templates, looked up for the work order if omitted
+ * @returns {Promise<{pdf: Buffer, contentHash: string}>} - PDF and content hash
+ */
+async function renderInspectionReport(workOrderId, reportTemplate = undefined) {
+  // Get work order details with checklist
+  const details = await db.getWorkOrderDetails(workOrderId);
+  
+  if (!details || details.workOrder.status !== 'completed') {
+    throw new Error('Cannot generate report: Work order not found or not completed');
+  }
+  
+  const template = resolveTemplate(
+    reportTemplate === undefined ? await db.getReportTemplateForWorkOrder(workOrderId) : reportTemplate
+  );
+  
+  details.summary = summarizeInspection(details);
+  details.contentHash = await computeContentHash(details);
   
-  doc.text('Date:', { continued: true })
-     .text('____________________', { align: 'right' });
+  // Optional narrative from the LLM, the report is still generated without it
+  if (template.sections.includes('summary') && process.env.REPORT_NARRATIVE_ENABLED === 'true') {
+    const { workOrder } = details;
+    details.narrative = await nlp.generateReportNarrative({
+      address: [workOrder.address, workOrder.city, workOrder.state].filter(Boolean).join(', '),
+      inspectorName: workOrder.inspector_name,
+      date: new Date(workOrder.scheduled_date).toDateString(),
+      counts: details.summary.counts,
+      issues: details.summary.issues.map(({ name, comments }) => ({ name, comments })),
+      durationMinutes: details.summary.durationMinutes
+    });
+  }
+  
+  // Create a PDF document
+  const doc = new PDFDocument({
+    margins: {
+      top: 50,
+      bottom: 50,
+      left: 50,
+      right: 50
+    },
+    // Keep pages in memory so the footer can be drawn on every page at the end
+    bufferPages: true,
+    info: {
+      Title: `${template.title} #${workOrderId}`,
+      Author: template.brand_name,
+      Subject: template.title,
+      Keywords: 'inspection, property, report',
+      CreationDate: new Date()
+    }
+  });
+  
+  // Buffer to store PDF data
+  const buffers = [];
+  doc.on('data', buffers.push.bind(buffers));
+  
+  drawHeader(doc, template);
+  
+  for (const section of template.sections) {
+    await SECTION_RENDERERS[section](doc, details, template);
+  }
      
   // Add footer
+  const footerText = template.footer_text
+    || `${template.brand_name} Inspection Report - Generated on ${new Date().toLocaleDateString()}`;
   const pageCount = doc.bufferedPageRange().count;
   for (let i = 0; i < pageCount; i++) {
     doc.switchToPage(i);
@@ -194,8 +801,9 @@ async function generateInspectionReport(workOrderId) {
     // Draw footer
     doc.fontSize(10)
        .font('Helvetica')
+       .fillColor(template.accent_color)
        .text(
-         `Property Stewards Inspection Report - Generated on ${new Date().toLocaleDateString()}`,
+         footerText,
          0,
          doc.page.height - 50,
          { align: 'center' }
@@ -209,6 +817,8 @@ async function generateInspectionReport(workOrderId) {
       { align: 'center' }
     );
     
+    doc.fillColor('black');
+    
     // Restore margins
     doc.page.margins.bottom = oldBottomMargin;
   }
@@ -219,61 +829,49 @@ async function generateInspectionReport(workOrderId) {
   // Return the PDF as a buffer
   return new Promise((resolve) => {
     doc.on('end', () => {
-      resolve(Buffer.concat(buffers));
+      resolve({ pdf: Buffer.concat(buffers), contentHash: details.contentHash });
     });
   });
 }
 
 /**
- * Generate and store a report for a work order
+ * Generate and store a report version for a work order
+ * 
+ * The stored PDF is a draft, see src/reports.js for the review and release steps.
  * 
  * @param {number} workOrderId - Work order ID
- * @returns {Promise<boolean>} - Whether report was generated successfully
+ * @param {number} reportId - Report version to store the PDF on
+ * @param {Function|null} onStored - async (connection) => void, run in the transaction
+ *   that records the PDF, so whatever it writes is stored together with it
+ * @returns {Promise<Object>} - { contentHash, fileHash } of the stored report
  */
-async function generateAndStoreReport(workOrderId) {
-  try {
-    // Generate PDF
-    const pdfBuffer = await generateInspectionReport(workOrderId);
-    
-    // Store PDF in database
-    await db.storeReportPdf(workOrderId, pdfBuffer);
-    
-    // Create notification for admin
-    const workOrderDetails = await db.getWorkOrderDetails(workOrderId);
-    
-    // Find admin user(s) to notify
-    const admins = await db.query(
-      'SELECT id FROM users WHERE role = ?',
-      ['admin']
-    );
+async function generateAndStoreReport(workOrderId, reportId, onStored = null) {
+  // Use the contract's or customer's branded template, if any
+  const template = await db.getReportTemplateForWorkOrder(workOrderId);
+  
+  // Generate PDF
+  const { pdf: pdfBuffer, contentHash } = await renderInspectionReport(workOrderId, template);
+  
+  // Store PDF in object storage and record it with hashes for tamper evidence
+  const file = await storage.saveFile(
+    `reports/${workOrderId}`,
+    `inspection-report-${workOrderId}.pdf`,
+    pdfBuffer,
+    'application/pdf'
+  );
+  
+  await db.transaction(async connection => {
+    await db.storeReportPdf(reportId, file, {
+      templateId: template ? template.id : null,
+      contentHash
+    }, connection);
     
-    if (admins.length > 0) {
-      const adminId = admins[0].id;
-      
-      // Create admin notification
-      await db.createNotification(
-        adminId,
-        'system',
-        `Inspection report for property at ${workOrderDetails.workOrder.address} is now available.`,
-        'work_order',
-        workOrderId
-      );
+    if (onStored) {
+      await onStored(connection);
     }
-    
-    // Create customer notification
-    await db.createNotification(
-      workOrderDetails.workOrder.customer_id,
-      'whatsapp',
-      `Your property inspection report for ${workOrderDetails.workOrder.address} is now available.`,
-      'work_order',
-      workOrderId
-    );
-    
-    return true;
-  } catch (error) {
-    console.error('Error generating report:', error);
-    return false;
-  }
+  });
+  
+  return { contentHash, fileHash: file.checksum };
 }
 
 module.exports = {
@@ -0,0 +1,186 @@
+/**
+ * Minimal template renderer for Property Stewards system
+ * Supports a small Mustache-style subset:
+ *   {{name}} / {{a.b}}   value, HTML-escaped when rendering HTML
+ *   {{{name}}}           value, never escaped
+ *   {{#name}}...{{/name}} section, repeated for each array entry or shown if truthy
+ *   {{^name}}...{{/name}} inverted section, shown if falsy or an empty array
+ *   {{.}}                the current array entry inside a section
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// {{{name}}}, or {{name}} with an optional section sigil: {{#name}}, {{^name}}, {{/name}}
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+|\.)\s*\}\}/g;
+
+// Section tags alone on a line don't leave an empty line behind
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{[#^/][^}]*\}\})[ \t]*\r?\n/gm;
+
+const templateCache = new Map();
+
+/**
+ * Escape a value for HTML output
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Look up a dotted name in the context stack, innermost first
+ *
+ * @param {Array<*>} stack - Context stack
+ * @param {string} name - Name such as "item.comments" or "."
+ * @returns {*} Value or undefined
+ */
+function lookup(stack, name) {
+  if (name === '.') {
+    return stack[stack.length - 1];
+  }
+
+  const [head, ...rest] = name.split('.');
+
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const scope = stack[i];
+    if (scope !== null && typeof scope === 'object' && head in scope) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Parse a template into text, value and section nodes
+ * Values are only looked up at render time, so text a value inserts is never parsed as a tag.
+ *
+ * @param {string} template - Template source
+ * @returns {Array<Object>} Nodes: { type: 'text', text }, { type: 'value', name, raw },
+ *   { type: 'section', name, inverted, children }
+ */
+function parse(template) {
+  const root = { children: [] };
+  const open = [root];
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    const [tag, rawName, sigil, name] = match;
+    const current = open[open.length - 1];
+
+    if (match.index > lastIndex) {
+      current.children.push({ type: 'text', text: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (rawName) {
+      current.children.push({ type: 'value', name: rawName, raw: true });
+    } else if (sigil === '#' || sigil === '^') {
+      const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+      current.children.push(section);
+      open.push(section);
+    } else if (sigil === '/') {
+      if (current === root || current.name !== name) {
+        throw new Error(`Template closes {{/${name}}} without opening it`);
+      }
+      open.pop();
+    } else {
+      current.children.push({ type: 'value', name, raw: false });
+    }
+  }
+
+  if (open.length > 1) {
+    throw new Error(`Template section {{#${open[open.length - 1].name}}} is never closed`);
+  }
+
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', text: template.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Render parsed nodes against a context stack
+ *
+ * @param {Array<Object>} nodes - Nodes from parse()
+ * @param {Array<*>} stack - Context stack
+ * @param {boolean} escape - HTML-escape {{values}}
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, stack, escape) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.text;
+    }
+
+    const value = lookup(stack, node.name);
+
+    if (node.type === 'value') {
+      if (value == null) {
+        return '';
+      }
+      return escape && !node.raw ? escapeHtml(value) : String(value);
+    }
+
+    const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+
+    if (node.inverted) {
+      return isEmpty ? renderNodes(node.children, stack, escape) : '';
+    }
+
+    if (isEmpty) {
+      return '';
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(entry => renderNodes(node.children, [...stack, entry], escape)).join('');
+    }
+
+    return renderNodes(node.children, typeof value === 'object' ? [...stack, value] : stack, escape);
+  }).join('');
+}
+
+/**
+ * Render a template string
+ *
+ * @param {string} template - Template source
+ * @param {Object} data - Template data
+ * @param {Object} options - Render options
+ * @param {boolean} options.escape - HTML-escape {{values}} (default true)
+ * @returns {string} Rendered text
+ */
+function render(template, data = {}, options = {}) {
+  const { escape = true } = options;
+  return renderNodes(parse(template.replace(STANDALONE_TAG_PATTERN, '$1')), [data], escape);
+}
+
+/**
+ * Render a template file, HTML files are escaped, anything else isn't
+ *
+ * @param {string} filePath - Template file path
+ * @param {Object} data - Template data
+ * @returns {string} Rendered text
+ */
+function renderFile(filePath, data = {}) {
+  if (!templateCache.has(filePath)) {
+    templateCache.set(filePath, fs.readFileSync(filePath, 'utf8'));
+  }
+
+  return render(templateCache.get(filePath), data, {
+    escape: path.extname(filePath) === '.html'
+  });
+}
+
+module.exports = {
+  render,
+  renderFile,
+  escapeHtml
+};
@@ -0,0 +1,104 @@
+/**
+ * Webhook signature verification for Property Stewards system
+ * Rejects webhook requests that weren't sent by the configured WhatsApp provider
+ */
+
+const crypto = require('crypto');
+
+// Header Wassenger is configured to send with the shared secret
+const WASSENGER_SECRET_HEADER = (process.env.WASSENGER_WEBHOOK_HEADER || 'x-webhook-secret').toLowerCase();
+
+/**
+ * Compare two strings in constant time
+ *
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Verify the X-Hub-Signature-256 header sent by the WhatsApp Business API
+ *
+ * @param {Object} req - HTTP request with rawBody captured by bodyParser
+ * @returns {{valid: boolean, reason: string|null}} Verification result
+ */
+function verifyWhatsAppBusinessSignature(req) {
+  const appSecret = process.env.WHATSAPP_APP_SECRET;
+  if (!appSecret) {
+    return { valid: false, reason: 'WHATSAPP_APP_SECRET is not configured' };
+  }
+
+  const signature = req.headers['x-hub-signature-256'];
+  if (!signature) {
+    return { valid: false, reason: 'Missing X-Hub-Signature-256 header' };
+  }
+
+  if (!req.rawBody) {
+    return { valid: false, reason: 'Raw request body not available' };
+  }
+
+  const expected = 'sha256=' + crypto
+    .createHmac('sha256', appSecret)
+    .update(req.rawBody)
+    .digest('hex');
+
+  return safeEqual(signature, expected)
+    ? { valid: true, reason: null }
+    : { valid: false, reason: 'X-Hub-Signature-256 does not match' };
+}
+
+/**
+ * Verify the shared-secret header configured for Wassenger webhooks
+ *
+ * @param {Object} req - HTTP request
+ * @returns {{valid: boolean, reason: string|null}} Verification result
+ */
+function verifyWassengerSecret(req) {
+  const secret = process.env.WASSENGER_WEBHOOK_SECRET;
+  if (!secret) {
+    return { valid: false, reason: 'WASSENGER_WEBHOOK_SECRET is not configured' };
+  }
+
+  const provided = req.headers[WASSENGER_SECRET_HEADER];
+  if (!provided) {
+    return { valid: false, reason: `Missing ${WASSENGER_SECRET_HEADER} header` };
+  }
+
+  return safeEqual(provided, secret)
+    ? { valid: true, reason: null }
+    : { valid: false, reason: `${WASSENGER_SECRET_HEADER} does not match` };
+}
+
+/**
+ * Verify a webhook request for the provider that sent it
+ *
+ * Verification can only be skipped outside production, by setting
+ * SKIP_WEBHOOK_VERIFICATION=true for local testing.
+ *
+ * @param {Object} req - HTTP request
+ * @param {string} provider - 'wassenger' or 'whatsapp_business'
+ * @returns {{valid: boolean, reason: string|null}} Verification result
+ */
+function verifyWebhookRequest(req, provider) {
+  if (process.env.SKIP_WEBHOOK_VERIFICATION === 'true' && process.env.NODE_ENV !== 'production') {
+    return { valid: true, reason: 'Verification skipped' };
+  }
+
+  switch (provider) {
+    case 'whatsapp_business':
+      return verifyWhatsAppBusinessSignature(req);
+    case 'wassenger':
+      return verifyWassengerSecret(req);
+    default:
+      return { valid: false, reason: `Unknown provider: ${provider}` };
+  }
+}
+
+module.exports = {
+  verifyWebhookRequest
+};
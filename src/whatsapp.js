@@ -6,7 +6,9 @@ const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
+const db = require('./db');
 const logger = require('./utils/logger');
+const { MAX_MEDIA_BYTES } = require('./utils/media-types');
 
 // Get provider preference from environment variables
 const PREFERRED_PROVIDER = process.env.WHATSAPP_PROVIDER || 'wassenger';
@@ -21,32 +23,103 @@ const WHATSAPP_API_URL = process.env.WHATSAPP_API_URL || 'https://graph.facebook
 const WHATSAPP_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
 const WHATSAPP_ACCESS_TOKEN = process.env.WHATSAPP_ACCESS_TOKEN;
 
+// WhatsApp limits for reply buttons and list messages
+const MAX_BUTTONS = 3;
+const MAX_BUTTON_TITLE_LENGTH = 20;
+const MAX_LIST_ROWS = 10;
+const MAX_LIST_TITLE_LENGTH = 24;
+const MAX_LIST_DESCRIPTION_LENGTH = 72;
+
+// Delivery statuses reported by both providers' webhooks
+const DELIVERY_STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
 /**
  * Send message via WhatsApp
+ * 
+ * Every send is recorded in outbound_messages with the provider message ID,
+ * so delivery receipts from the status webhooks can be matched to it.
+ * 
  * @param {string} to - Recipient phone number
  * @param {string} message - Message text
  * @param {string} type - Message type (text, image, video, document)
  * @param {string|Buffer} media - Media URL, path, or buffer for media messages
+ * @param {Object} options - Send options
+ * @param {string} options.fileName - File name shown for documents
+ * @param {Array<Object>} options.buttons - Up to 3 reply buttons ({ id, title }) shown under a text message
+ * @param {Object} options.list - List message ({ button, rows: [{ id, title, description }] }), up to 10 rows
+ *   picked from a menu opened with the button, for text messages
+ * @param {string} options.relatedEntityType - Entity the message is about (e.g. 'notification')
+ * @param {number} options.relatedEntityId - Entity ID
  * @returns {Promise<Object>} Message send result
  */
-async function sendMessage(to, message, type = 'text', media = null) {
+async function sendMessage(to, message, type = 'text', media = null, options = {}) {
+  // Format phone number
+  const formattedNumber = formatPhoneNumber(to);
+  
+  // Determine which provider to use
+  const provider = determineProvider();
+  
+  const tracking = {
+    provider,
+    recipient: formattedNumber,
+    messageType: media ? type : (options.list ? 'list' : (options.buttons ? 'buttons' : 'text')),
+    content: message,
+    relatedEntityType: options.relatedEntityType,
+    relatedEntityId: options.relatedEntityId
+  };
+  
+  let result;
   try {
-    // Format phone number
-    const formattedNumber = formatPhoneNumber(to);
-    
-    // Determine which provider to use
-    const provider = determineProvider();
-    
     // Send message through appropriate provider
     if (provider === 'wassenger') {
-      return await sendViaWassenger(formattedNumber, message, type, media);
+      result = await sendViaWassenger(formattedNumber, message, type, media, options.fileName, options.buttons, options.list);
     } else {
-      return await sendViaWhatsAppBusiness(formattedNumber, message, type, media);
+      result = await sendViaWhatsAppBusiness(formattedNumber, message, type, media, options.fileName, options.buttons, options.list);
     }
   } catch (error) {
     logger.error('Failed to send message:', error);
+    await trackOutboundMessage({
+      ...tracking,
+      status: 'failed',
+      error: JSON.stringify(error.response?.data || error.message)
+    });
     throw error;
   }
+  
+  await trackOutboundMessage({
+    ...tracking,
+    providerMessageId: getProviderMessageId(provider, result),
+    status: 'accepted'
+  });
+  
+  return result;
+}
+
+/**
+ * Get the provider's message ID from a send result
+ * @param {string} provider - 'wassenger' or 'whatsapp_business'
+ * @param {Object} result - Provider API response
+ * @returns {string|null} Provider message ID
+ */
+function getProviderMessageId(provider, result) {
+  if (provider === 'wassenger') {
+    return result?.id || null;
+  }
+  
+  return result?.messages?.[0]?.id || null;
+}
+
+/**
+ * Record an outbound message for delivery tracking
+ * The message has already been sent, so a tracking failure is only logged.
+ * @param {Object} data - Outbound message data for db.recordOutboundMessage
+ */
+async function trackOutboundMessage(data) {
+  try {
+    await db.recordOutboundMessage(data);
+  } catch (error) {
+    logger.error('Failed to record outbound message:', error);
+  }
 }
 
 /**
@@ -98,9 +171,12 @@ function formatPhoneNumber(phoneNumber) {
  * @param {string} message - Message text
  * @param {string} type - Message type
  * @param {string|Buffer} media - Media URL or buffer
+ * @param {string} fileName - Optional file name for documents
+ * @param {Array<Object>} buttons - Optional reply buttons ({ id, title })
+ * @param {Object} list - Optional list message ({ button, rows })
  * @returns {Promise<Object>} Wassenger API response
  */
-async function sendViaWassenger(to, message, type, media) {
+async function sendViaWassenger(to, message, type, media, fileName = null, buttons = null, list = null) {
   try {
     const headers = {
       'Content-Type': 'application/json',
@@ -117,6 +193,23 @@ async function sendViaWassenger(to, message, type, media) {
       payload.device = WASSENGER_DEVICE_ID;
     }
     
+    if (buttons && buttons.length > 0) {
+      payload.buttons = buttons.slice(0, MAX_BUTTONS).map(button => ({
+        id: button.id,
+        text: button.title.slice(0, MAX_BUTTON_TITLE_LENGTH)
+      }));
+    }
+    
+    // A list message carries its text as the description
+    if (list && list.rows.length > 0 && !media) {
+      delete payload.message;
+      payload.list = {
+        button: list.button.slice(0, MAX_BUTTON_TITLE_LENGTH),
+        description: message,
+        sections: [{ title: (list.title || 'Options').slice(0, MAX_LIST_TITLE_LENGTH), rows: formatListRows(list.rows) }]
+      };
+    }
+    
     // Handle media messages
     if (media && ['image', 'video', 'document'].includes(type)) {
       let mediaUrl;
@@ -152,8 +245,8 @@ async function sendViaWassenger(to, message, type, media) {
       
       // For document type, we need filename
       if (type === 'document') {
-        payload.media.filename = typeof media === 'string' ? 
-          path.basename(media) : `document_${Date.now()}.pdf`;
+        payload.media.filename = fileName || (typeof media === 'string' ? 
+          path.basename(media) : `document_${Date.now()}.pdf`);
       }
     }
     
@@ -166,15 +259,31 @@ async function sendViaWassenger(to, message, type, media) {
   }
 }
 
+/**
+ * Fit list rows into WhatsApp's limits
+ * @param {Array<Object>} rows - Rows ({ id, title, description })
+ * @returns {Array<Object>} Rows with cut titles and descriptions, at most 10
+ */
+function formatListRows(rows) {
+  return rows.slice(0, MAX_LIST_ROWS).map(row => ({
+    id: row.id,
+    title: row.title.slice(0, MAX_LIST_TITLE_LENGTH),
+    ...(row.description ? { description: row.description.slice(0, MAX_LIST_DESCRIPTION_LENGTH) } : {})
+  }));
+}
+
 /**
  * Send message via WhatsApp Business API
  * @param {string} to - Recipient phone number
  * @param {string} message - Message text
  * @param {string} type - Message type
  * @param {string|Buffer} media - Media URL or buffer
+ * @param {string} fileName - Optional file name for documents
+ * @param {Array<Object>} buttons - Optional reply buttons ({ id, title })
+ * @param {Object} list - Optional list message ({ button, rows })
  * @returns {Promise<Object>} WhatsApp Business API response
  */
-async function sendViaWhatsAppBusiness(to, message, type, media) {
+async function sendViaWhatsAppBusiness(to, message, type, media, fileName = null, buttons = null, list = null) {
   try {
     // Format phone number (remove + if present)
     const recipient = to.startsWith('+') ? to.substring(1) : to;
@@ -191,7 +300,29 @@ async function sendViaWhatsAppBusiness(to, message, type, media) {
     };
     
     // Handle different message types
-    if (type === 'text' || !media) {
+    if (list && list.rows.length > 0 && !media) {
+      payload.type = 'interactive';
+      payload.interactive = {
+        type: 'list',
+        body: { text: message },
+        action: {
+          button: list.button.slice(0, MAX_BUTTON_TITLE_LENGTH),
+          sections: [{ title: (list.title || 'Options').slice(0, MAX_LIST_TITLE_LENGTH), rows: formatListRows(list.rows) }]
+        }
+      };
+    } else if (buttons && buttons.length > 0 && !media) {
+      payload.type = 'interactive';
+      payload.interactive = {
+        type: 'button',
+        body: { text: message },
+        action: {
+          buttons: buttons.slice(0, MAX_BUTTONS).map(button => ({
+            type: 'reply',
+            reply: { id: button.id, title: button.title.slice(0, MAX_BUTTON_TITLE_LENGTH) }
+          }))
+        }
+      };
+    } else if (type === 'text' || !media) {
       payload.type = 'text';
       payload.text = { body: message };
     } else {
@@ -214,8 +345,8 @@ async function sendViaWhatsAppBusiness(to, message, type, media) {
         
         // For document, add filename
         if (type === 'document') {
-          payload[payload.type].filename = typeof media === 'string' ? 
-            path.basename(media) : `document_${Date.now()}.pdf`;
+          payload[payload.type].filename = fileName || (typeof media === 'string' ? 
+            path.basename(media) : `document_${Date.now()}.pdf`);
         }
       }
     }
@@ -368,7 +499,8 @@ function parseWassengerWebhook(payload) {
   
   // Extract basic message data
   const messageData = {
-    messageId: payload.id,
+    // Prefer the message ID, retries of the same message keep it
+    messageId: payload.data.id || payload.id,
     from: payload.from || payload.owner,
     timestamp: payload.data.timestamp ? payload.data.timestamp * 1000 : Date.now(),
     provider: 'wassenger',
@@ -378,19 +510,32 @@ function parseWassengerWebhook(payload) {
   // Handle different message types
   if (payload.data.type === 'chat') {
     messageData.text = payload.data.body || '';
+  } else if (payload.data.type === 'buttons_response' || payload.data.type === 'list_response') {
+    // The reply carries the button or row title, which the command parser understands
+    messageData.text = payload.data.body || '';
   } else if (payload.data.type === 'image') {
     messageData.type = 'image';
     messageData.caption = payload.data.caption || '';
     messageData.mediaUrl = payload.data.url || payload.data.body;
+    messageData.mimeType = payload.data.mimetype || null;
   } else if (payload.data.type === 'video') {
     messageData.type = 'video';
     messageData.caption = payload.data.caption || '';
     messageData.mediaUrl = payload.data.url || payload.data.body;
+    messageData.mimeType = payload.data.mimetype || null;
+  } else if (payload.data.type === 'audio' || payload.data.type === 'ptt') {
+    // 'ptt' (push to talk) is a recorded voice note, 'audio' a forwarded audio file, both are transcribed
+    messageData.type = 'audio';
+    messageData.caption = payload.data.caption || '';
+    messageData.mediaUrl = payload.data.url || payload.data.body;
+    messageData.mimeType = payload.data.mimetype || null;
   } else if (payload.data.type === 'document') {
     messageData.type = 'document';
     messageData.caption = payload.data.caption || '';
     messageData.mediaUrl = payload.data.url || payload.data.body;
-    messageData.fileName = payload.data.filename || `document_${Date.now()}.pdf`;
+    messageData.mimeType = payload.data.mimetype || null;
+    // The original name is kept, processMessage names files that have none
+    messageData.fileName = payload.data.filename || null;
   }
   
   return messageData;
@@ -418,6 +563,7 @@ function parseWhatsAppBusinessWebhook(payload) {
     // Check if this is a status update, not a message
     if (!change.value || !change.value.messages || !Array.isArray(change.value.messages) || change.value.messages.length === 0) {
       // If it contains statuses, this is a status update
+      // Delivery receipts are handled by parseWebhookStatuses
       if (change.value && change.value.statuses) {
         logger.debug('Received status update, not a message');
         return null;
@@ -445,22 +591,50 @@ function parseWhatsAppBusinessWebhook(payload) {
         messageData.text = message.text.body;
         break;
         
+      case 'interactive': {
+        // Reply buttons and list rows: the ID identifies exactly what was picked, the title is what the inspector saw
+        const reply = message.interactive.button_reply || message.interactive.list_reply;
+        if (!reply) {
+          logger.warn(`Unsupported interactive reply: ${message.interactive.type}`);
+          return null;
+        }
+        messageData.text = reply.title;
+        messageData.replyId = reply.id;
+        break;
+      }
+        
+      case 'button':
+        // Quick reply button of a template message
+        messageData.text = message.button.text;
+        messageData.replyId = message.button.payload || null;
+        break;
+        
       case 'image':
         messageData.type = 'image';
         messageData.mediaId = message.image.id;
+        messageData.mimeType = message.image.mime_type || null;
         messageData.caption = message.image.caption || '';
         break;
         
       case 'video':
         messageData.type = 'video';
         messageData.mediaId = message.video.id;
+        messageData.mimeType = message.video.mime_type || null;
         messageData.caption = message.video.caption || '';
         break;
         
+      case 'audio':
+        messageData.type = 'audio';
+        messageData.mediaId = message.audio.id;
+        messageData.mimeType = message.audio.mime_type || null;
+        messageData.caption = '';
+        break;
+        
       case 'document':
         messageData.type = 'document';
         messageData.mediaId = message.document.id;
-        messageData.fileName = message.document.filename || `document_${Date.now()}.pdf`;
+        messageData.mimeType = message.document.mime_type || null;
+        messageData.fileName = message.document.filename || null;
         messageData.caption = message.document.caption || '';
         break;
         
@@ -476,8 +650,123 @@ function parseWhatsAppBusinessWebhook(payload) {
   }
 }
 
+/**
+ * Parse delivery receipts for messages we sent
+ * @param {Object} payload - Webhook payload
+ * @returns {Array<Object>} Status updates ({ provider, providerMessageId, recipient, status, timestamp, error })
+ */
+function parseWebhookStatuses(payload) {
+  try {
+    const provider = detectWebhookProvider(payload);
+    
+    if (provider === 'wassenger') {
+      return parseWassengerStatuses(payload);
+    } else if (provider === 'whatsapp_business') {
+      return parseWhatsAppBusinessStatuses(payload);
+    }
+    
+    return [];
+  } catch (error) {
+    logger.error('Failed to parse webhook statuses:', error);
+    return [];
+  }
+}
+
+// Wassenger ack values mapped to our delivery statuses, others are ignored
+const WASSENGER_ACK_STATUSES = {
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  played: 'read',
+  failed: 'failed',
+  error: 'failed'
+};
+
+/**
+ * Parse Wassenger message:out:ack and message:out:failed events
+ * @param {Object} payload - Wassenger webhook payload
+ * @returns {Array<Object>} Status updates
+ */
+function parseWassengerStatuses(payload) {
+  const data = payload.data || {};
+  let status = null;
+  
+  if (payload.event === 'message:out:ack') {
+    status = WASSENGER_ACK_STATUSES[data.ack];
+  } else if (payload.event === 'message:out:failed') {
+    status = 'failed';
+  }
+  
+  if (!status || !data.id) {
+    return [];
+  }
+  
+  return [{
+    provider: 'wassenger',
+    providerMessageId: data.id,
+    recipient: data.phone || data.to || null,
+    status,
+    timestamp: data.date ? new Date(data.date) : new Date(),
+    error: status === 'failed' ? (data.error || data.failureReason || 'Delivery failed') : null
+  }];
+}
+
+/**
+ * Parse the statuses array of WhatsApp Business API webhooks
+ * @param {Object} payload - WhatsApp Business API webhook payload
+ * @returns {Array<Object>} Status updates
+ */
+function parseWhatsAppBusinessStatuses(payload) {
+  const updates = [];
+  
+  for (const entry of payload.entry || []) {
+    for (const change of entry.changes || []) {
+      for (const status of change.value?.statuses || []) {
+        if (!DELIVERY_STATUSES.includes(status.status)) {
+          continue;
+        }
+        
+        const error = (status.errors || [])[0];
+        
+        updates.push({
+          provider: 'whatsapp_business',
+          providerMessageId: status.id,
+          recipient: status.recipient_id,
+          status: status.status,
+          timestamp: status.timestamp ? new Date(parseInt(status.timestamp) * 1000) : new Date(),
+          error: error ? `${error.code}: ${error.error_data?.details || error.message || error.title}` : null
+        });
+      }
+    }
+  }
+  
+  return updates;
+}
+
+/**
+ * Error for attachments above MAX_MEDIA_BYTES, they aren't downloaded in full
+ * @param {number|null} size - Size in bytes, if the provider reported it
+ * @returns {Error} Error with code 'MEDIA_TOO_LARGE'
+ */
+function mediaTooLargeError(size) {
+  const error = new Error(`Media is larger than ${MAX_MEDIA_BYTES} bytes`);
+  error.code = 'MEDIA_TOO_LARGE';
+  error.size = size;
+  return error;
+}
+
+/**
+ * Whether an axios error means the download hit maxContentLength
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+function isContentLengthError(error) {
+  return /maxContentLength/.test(error.message || '');
+}
+
 /**
  * Download media from either provider
+ * Attachments larger than MAX_MEDIA_BYTES throw an error with code 'MEDIA_TOO_LARGE'.
  * @param {Object} message - Parsed message with media information
  * @returns {Promise<{data: Buffer, contentType: string}>} Downloaded media
  */
@@ -505,6 +794,7 @@ async function downloadWassengerMedia(mediaUrl) {
   try {
     const response = await axios.get(mediaUrl, {
       responseType: 'arraybuffer',
+      maxContentLength: MAX_MEDIA_BYTES,
       headers: {
         'Authorization': `Bearer ${WASSENGER_API_KEY}`
       }
@@ -515,6 +805,9 @@ async function downloadWassengerMedia(mediaUrl) {
       contentType: response.headers['content-type'] || 'application/octet-stream'
     };
   } catch (error) {
+    if (isContentLengthError(error)) {
+      throw mediaTooLargeError(null);
+    }
     logger.error('Failed to download Wassenger media:', error);
     throw error;
   }
@@ -536,6 +829,12 @@ async function downloadWhatsAppBusinessMedia(mediaId) {
       }
     });
     
+    // Don't download what would be rejected anyway
+    const fileSize = parseInt(mediaInfoResponse.data.file_size, 10);
+    if (fileSize > MAX_MEDIA_BYTES) {
+      throw mediaTooLargeError(fileSize);
+    }
+    
     // Then download the media using the URL
     const mediaResponse = await axios({
       method: 'GET',
@@ -543,7 +842,8 @@ async function downloadWhatsAppBusinessMedia(mediaId) {
       headers: {
         'Authorization': `Bearer ${WHATSAPP_ACCESS_TOKEN}`
       },
-      responseType: 'arraybuffer'
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_MEDIA_BYTES
     });
     
     return {
@@ -551,6 +851,12 @@ async function downloadWhatsAppBusinessMedia(mediaId) {
       contentType: mediaInfoResponse.data.mime_type || 'application/octet-stream'
     };
   } catch (error) {
+    if (error.code === 'MEDIA_TOO_LARGE') {
+      throw error;
+    }
+    if (isContentLengthError(error)) {
+      throw mediaTooLargeError(null);
+    }
     logger.error('Failed to download WhatsApp Business media:', error);
     throw error;
   }
@@ -584,6 +890,8 @@ function getMediaExtension(type) {
 module.exports = {
   sendMessage,
   parseWebhookMessage,
+  parseWebhookStatuses,
   downloadMedia,
-  determineProvider
+  determineProvider,
+  detectWebhookProvider
 };
\ No newline at end of file
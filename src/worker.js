@@ -0,0 +1,127 @@
+/**
+ * Background worker for the job queue
+ * For Property Stewards – Inspector Interface System
+ */
+
+const os = require('os');
+const queue = require('./queue');
+const logger = require('./utils/logger');
+
+const STALE_LOCK_CHECK_INTERVAL_MS = 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a single claimed job and record the outcome
+ *
+ * @param {Object} job - Claimed job
+ * @param {Object} handler - { process(payload, job), onDeadLetter(payload, error, job) }
+ */
+async function runJob(job, handler) {
+  try {
+    await handler.process(job.payload, job);
+    await queue.complete(job);
+    logger.debug(`Job ${job.id} (${job.job_type}) done`);
+  } catch (error) {
+    const { dead, retryInSeconds } = await queue.fail(job, error);
+
+    if (!dead) {
+      logger.warn(`Job ${job.id} (${job.job_type}) failed on attempt ${job.attempts}, retrying in ${retryInSeconds}s:`, error.message);
+      return;
+    }
+
+    logger.error(`Job ${job.id} (${job.job_type}) dead-lettered after ${job.attempts} attempts:`, error);
+
+    if (handler.onDeadLetter) {
+      try {
+        await handler.onDeadLetter(job.payload, error, job);
+      } catch (deadLetterError) {
+        logger.error(`Dead-letter hook failed for job ${job.id}:`, deadLetterError);
+      }
+    }
+  }
+}
+
+/**
+ * Run periodic tasks that are due
+ *
+ * @param {Array<Object>} tasks - { name, intervalMs, run }, lastRun is tracked on the task
+ */
+async function runDueTasks(tasks) {
+  for (const task of tasks) {
+    if (Date.now() - (task.lastRun || 0) < task.intervalMs) {
+      continue;
+    }
+
+    task.lastRun = Date.now();
+
+    try {
+      await task.run();
+    } catch (error) {
+      logger.error(`Periodic task ${task.name} failed:`, error);
+    }
+  }
+}
+
+/**
+ * Poll the queue and process jobs until SIGINT/SIGTERM
+ *
+ * @param {Object} handlers - Map of job type to { process, onDeadLetter }
+ * @param {Object} options - Worker options
+ * @param {string} options.workerId - Identifier recorded on claimed jobs
+ * @param {number} options.pollIntervalMs - Wait between polls when the queue is empty
+ * @param {Array<Object>} options.tasks - Periodic tasks run between jobs: { name, intervalMs, run() }
+ * @returns {Promise<void>} - Resolves once the worker has stopped
+ */
+async function runWorker(handlers, options = {}) {
+  const workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+  const pollIntervalMs = options.pollIntervalMs || parseInt(process.env.WORKER_POLL_INTERVAL_MS, 10) || 1000;
+  const types = Object.keys(handlers);
+  const tasks = (options.tasks || []).map(task => ({ ...task }));
+
+  let running = true;
+  const stop = signal => {
+    logger.info(`Received ${signal}, stopping worker after the current job`);
+    running = false;
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  logger.info(`Worker ${workerId} started for job types: ${types.join(', ')}`);
+  if (tasks.length > 0) {
+    logger.info(`Periodic tasks: ${tasks.map(task => task.name).join(', ')}`);
+  }
+
+  let lastStaleLockCheck = 0;
+
+  while (running) {
+    try {
+      if (Date.now() - lastStaleLockCheck > STALE_LOCK_CHECK_INTERVAL_MS) {
+        const released = await queue.releaseStaleLocks();
+        if (released > 0) {
+          logger.warn(`Released ${released} job(s) with expired worker locks`);
+        }
+        lastStaleLockCheck = Date.now();
+      }
+
+      await runDueTasks(tasks);
+
+      const job = await queue.claimNext(workerId, types);
+
+      if (!job) {
+        await sleep(pollIntervalMs);
+        continue;
+      }
+
+      await runJob(job, handlers[job.job_type]);
+    } catch (error) {
+      // Usually the database is unreachable, back off and try again
+      logger.error('Worker loop error:', error);
+      await sleep(pollIntervalMs * 5);
+    }
+  }
+}
+
+module.exports = {
+  runWorker
+};
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseAnswer, findAnswerIssue } = require('../src/utils/checklist-answers');
+
+const pressure = { answer_type: 'number', unit: 'bar', min_value: '1.00', max_value: '2.50' };
+const meter = { answer_type: 'meter', unit: 'kWh', min_value: null, max_value: null };
+const condition = { answer_type: 'choice', choices: '["Good","Worn","Damaged"]', issue_answers: '["Damaged"]' };
+
+test('parseAnswer reads numbers, meter readings, ratings and yes/no', () => {
+  assert.deepStrictEqual(parseAnswer(pressure, '2,5 bar'), { value: '2.5', numeric: 2.5 });
+  assert.deepStrictEqual(parseAnswer(pressure, '-4 °C'), { value: '-4', numeric: -4 });
+  assert.deepStrictEqual(parseAnswer(meter, '004 512'), { value: '004512', numeric: 4512 });
+  assert.deepStrictEqual(parseAnswer({ answer_type: 'rating' }, '4'), { value: '4', numeric: 4 });
+  assert.deepStrictEqual(parseAnswer({ answer_type: 'yes_no' }, 'Yep'), { value: 'yes', numeric: null });
+});
+
+test('parseAnswer picks a choice by its number or its label', () => {
+  assert.deepStrictEqual(parseAnswer(condition, '2'), { value: 'Worn', numeric: null });
+  assert.deepStrictEqual(parseAnswer(condition, 'damaged'), { value: 'Damaged', numeric: null });
+});
+
+test('parseAnswer rejects replies that are not an answer', () => {
+  assert.strictEqual(parseAnswer(pressure, 'about two'), null);
+  assert.strictEqual(parseAnswer({ answer_type: 'rating' }, '6'), null);
+  assert.strictEqual(parseAnswer({ answer_type: 'yes_no' }, 'maybe'), null);
+  assert.strictEqual(parseAnswer(condition, '4'), null);
+  assert.strictEqual(parseAnswer(pressure, '   '), null);
+});
+
+test('findAnswerIssue flags answers outside the acceptable range', () => {
+  assert.strictEqual(findAnswerIssue(pressure, parseAnswer(pressure, '0.8')), '0.8 bar is below the minimum of 1 bar');
+  assert.strictEqual(findAnswerIssue(pressure, parseAnswer(pressure, '3')), '3 bar is above the maximum of 2.5 bar');
+  assert.strictEqual(findAnswerIssue(pressure, parseAnswer(pressure, '2.5')), null);
+  assert.strictEqual(findAnswerIssue(meter, parseAnswer(meter, '999999')), null);
+});
+
+test('findAnswerIssue flags issue answers', () => {
+  assert.strictEqual(findAnswerIssue(condition, parseAnswer(condition, '3')), 'Answered Damaged');
+  assert.strictEqual(findAnswerIssue(condition, parseAnswer(condition, 'Good')), null);
+});
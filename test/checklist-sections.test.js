@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { buildInstanceItems, filterApplicable } = require('../src/utils/checklist-sections');
+
+const sections = [
+  { id: 2, name: 'Bathroom', section_order: 2, repeat_by: 'bathrooms' },
+  { id: 1, name: 'Kitchen', section_order: 1, repeat_by: null }
+];
+const templateItems = [
+  { id: 10, section_id: null },
+  { id: 20, section_id: 1 },
+  { id: 30, section_id: 2 },
+  { id: 31, section_id: 2 }
+];
+
+test('buildInstanceItems repeats a section once per room', () => {
+  assert.deepStrictEqual(buildInstanceItems(templateItems, sections, { bathrooms: 2 }), [
+    { template_item_id: 10, repeat_index: 1, section_label: null },
+    { template_item_id: 20, repeat_index: 1, section_label: 'Kitchen' },
+    { template_item_id: 30, repeat_index: 1, section_label: 'Bathroom 1' },
+    { template_item_id: 31, repeat_index: 1, section_label: 'Bathroom 1' },
+    { template_item_id: 30, repeat_index: 2, section_label: 'Bathroom 2' },
+    { template_item_id: 31, repeat_index: 2, section_label: 'Bathroom 2' }
+  ]);
+});
+
+test('buildInstanceItems counts an unrecorded room count as one room and skips rooms a property lacks', () => {
+  const labels = property => buildInstanceItems(templateItems, sections, property).map(item => item.section_label);
+
+  assert.deepStrictEqual(labels({ bathrooms: null }), [null, 'Kitchen', 'Bathroom 1', 'Bathroom 1']);
+  assert.deepStrictEqual(labels({ bathrooms: 0 }), [null, 'Kitchen']);
+});
+
+test('filterApplicable keeps conditional items once their room answered the condition', () => {
+  // "Bathtub present?" (30) decides "Bathtub sealant" (31) in each bathroom
+  const items = [
+    { id: 1, template_item_id: 30, section_id: 2, repeat_index: 1, answer_value: 'Yes' },
+    { id: 2, template_item_id: 31, section_id: 2, repeat_index: 1, condition_item_id: 30, condition_answer: 'yes' },
+    { id: 3, template_item_id: 30, section_id: 2, repeat_index: 2, answer_value: 'No' },
+    { id: 4, template_item_id: 31, section_id: 2, repeat_index: 2, condition_item_id: 30, condition_answer: 'yes' }
+  ];
+
+  assert.deepStrictEqual(filterApplicable(items).map(item => item.id), [1, 2, 3]);
+});
+
+test('filterApplicable leaves out items under an unanswered or inapplicable condition', () => {
+  // Pool heater items (3) depend on "Pool heater?" (2), which depends on "Pool present?" (1)
+  const items = [
+    { id: 1, template_item_id: 40, answer_value: 'No' },
+    { id: 2, template_item_id: 41, answer_value: 'Yes', condition_item_id: 40, condition_answer: 'Yes' },
+    { id: 3, template_item_id: 42, condition_item_id: 41, condition_answer: null },
+    { id: 4, template_item_id: 43, section_condition_item_id: 44, section_condition_answer: 'Yes' }
+  ];
+
+  assert.deepStrictEqual(filterApplicable(items).map(item => item.id), [1]);
+});
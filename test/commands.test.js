@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseCommand } = require('../src/commands');
+
+test('parseCommand reads the item ID and value from an answer button', () => {
+  assert.deepStrictEqual(parseCommand('answer:12:yes'), { intent: 'answer_item', data: { itemId: 12, value: 'yes' } });
+  assert.deepStrictEqual(parseCommand('answer:12:2.5 bar'), { intent: 'answer_item', data: { itemId: 12, value: '2.5 bar' } });
+});
+
+test('parseCommand reads a typed answer without an item ID', () => {
+  assert.deepStrictEqual(parseCommand('Reading: 004512'), { intent: 'answer_item', data: { value: '004512' } });
+});
+
+test('parseCommand reads the suggestion ID from the suggestion buttons', () => {
+  assert.deepStrictEqual(parseCommand('suggestion:9:accept'), { intent: 'accept_suggestion', data: { suggestionId: 9 } });
+  assert.deepStrictEqual(parseCommand('suggestion:9:dismiss'), { intent: 'dismiss_suggestion', data: { suggestionId: 9 } });
+  assert.deepStrictEqual(parseCommand('Accept suggestion'), { intent: 'accept_suggestion', data: {} });
+});
+
+test('parseCommand ignores malformed suggestion buttons', () => {
+  assert.strictEqual(parseCommand('suggestion:9:maybe'), null);
+  assert.strictEqual(parseCommand('suggestion:abc:accept'), null);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { renderEmail } = require('../src/email');
+
+const data = {
+  name: 'Customer Smith',
+  message: 'Your report is ready.',
+  address: '123 Main St',
+  counts: { total: 2, completed: 2, issue_found: 0, skipped: 0 },
+  issues: []
+};
+
+test('renderEmail brands the email with the report template', () => {
+  const email = renderEmail('report', data, {
+    brand_name: 'Harbour Homes',
+    primary_color: '#004d40',
+    accent_color: '#888888'
+  });
+
+  assert.strictEqual(email.subject, 'Your Harbour Homes inspection report for 123 Main St');
+  assert.match(email.html, /background:#004d40;[^>]*>Harbour Homes</);
+  assert.match(email.html, /color:#888888;[\s\S]*automated message from Harbour Homes\./);
+  assert.doesNotMatch(email.html, /Property Stewards/);
+  assert.match(email.text, /\n-- \nHarbour Homes\n/);
+});
+
+test('renderEmail falls back to the default brand', () => {
+  const email = renderEmail('notification', data, { brand_name: null, primary_color: 'red;display:none' });
+
+  assert.strictEqual(email.subject, 'Property Stewards notification');
+  assert.match(email.html, /background:#1f3a5f;/);
+});
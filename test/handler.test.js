@@ -0,0 +1,288 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+process.env.NLP_PROVIDER = 'rules';
+
+const schema = fs.readFileSync(path.join(__dirname, '../src/db/schema.sql'), 'utf8');
+
+/**
+ * Check a value against a column as MySQL in strict mode would, from its definition in schema.sql
+ *
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {*} value - Value to insert
+ */
+function checkColumn(table, column, value) {
+  const definition = new RegExp(`CREATE TABLE IF NOT EXISTS ${table} \\(([\\s\\S]*?)\\n\\);`).exec(schema)[1];
+  const type = new RegExp(`^\\s*${column} (ENUM\\(([^)]*)\\)|VARCHAR\\((\\d+)\\))`, 'm').exec(definition);
+
+  const allowed = type && type[2] && type[2].split(',').map(option => option.trim().replace(/'/g, ''));
+  if ((allowed && !allowed.includes(value)) || (type && type[3] && String(value).length > Number(type[3]))) {
+    const error = new Error(`Data truncated for column '${column}'`);
+    error.code = 'WARN_DATA_TRUNCATED';
+    throw error;
+  }
+}
+
+/**
+ * In-memory stand-in for src/db with the tables processMessage() touches
+ */
+function createFakeDb() {
+  const tables = {
+    users: [
+      { id: 7, name: 'Inspector Joe', role: 'inspector', whatsapp_id: '6591234567' },
+      { id: 8, name: 'Inspector Ann', role: 'inspector', whatsapp_id: '6598765432' }
+    ],
+    conversations: [],
+    messages: [],
+    media: []
+  };
+
+  return {
+    tables,
+
+    async getOne(sql, params) {
+      if (/FROM users/.test(sql)) {
+        return tables.users.find(user => user.whatsapp_id === params[0] || user.id === params[0]) || null;
+      }
+      if (/FROM conversations/.test(sql)) {
+        const conversation = tables.conversations.find(row => row.user_id === params[0]);
+        return conversation ? { ...conversation } : null;
+      }
+      return null;
+    },
+
+    async query(sql, params) {
+      if (/INSERT INTO conversations/.test(sql)) {
+        const id = tables.conversations.length + 1;
+        tables.conversations.push({ id, user_id: params[0], context: JSON.parse(params[1]), version: 0 });
+        return { insertId: id, affectedRows: 1 };
+      }
+      if (/UPDATE messages SET (\w+)/.test(sql)) {
+        const column = /UPDATE messages SET (\w+)/.exec(sql)[1];
+        const message = tables.messages.find(row => row.id === params[1]);
+        message[column] = params[0];
+        return { affectedRows: 1 };
+      }
+      throw new Error(`Unexpected query in test: ${sql}`);
+    },
+
+    async recordInboundMessage(conversationId, senderId, message) {
+      checkColumn('messages', 'message_type', message.type);
+
+      // Same rule as the unique whatsapp_message_id index
+      const earlier = message.messageId && tables.messages.find(row => row.whatsapp_message_id === message.messageId);
+      if (earlier) {
+        return { id: earlier.id, media_id: earlier.media_id, processed_at: earlier.processed_at };
+      }
+      const id = tables.messages.length + 1;
+      tables.messages.push({
+        id,
+        conversation_id: conversationId,
+        sender_id: senderId,
+        message_type: message.type,
+        content: message.text || message.caption || '',
+        whatsapp_message_id: message.messageId,
+        media_id: null,
+        processed_at: null
+      });
+      return { id, media_id: null, processed_at: null };
+    },
+
+    async markMessageProcessed(messageId) {
+      tables.messages.find(row => row.id === messageId).processed_at = new Date();
+      return { affectedRows: 1 };
+    },
+
+    async storeMedia(itemId, mediaType, fileName, contentType, file) {
+      checkColumn('media', 'media_type', mediaType);
+
+      const id = tables.media.length + 1;
+      tables.media.push({
+        id,
+        checklist_instance_item_id: itemId,
+        media_type: mediaType,
+        file_name: fileName,
+        content_type: contentType,
+        storage_key: file.key
+      });
+      return id;
+    },
+
+    async assignMediaToItem(mediaId, itemId) {
+      tables.media.find(row => row.id === mediaId).checklist_instance_item_id = itemId;
+      return { affectedRows: 1 };
+    },
+
+    async mergeConversationContext(conversationId, updater) {
+      const conversation = tables.conversations.find(row => row.id === conversationId);
+      conversation.context = updater(conversation.context);
+      conversation.version += 1;
+      return { context: conversation.context, version: conversation.version, conflicts: 0 };
+    }
+  };
+}
+
+const db = createFakeDb();
+const dbPath = require.resolve(path.join(__dirname, '../src/db'));
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: db };
+
+const whatsapp = require('../src/whatsapp');
+const storage = require('../src/storage');
+const handler = require('../src/handler');
+
+const objects = new Map();
+storage.setBackend({
+  name: 'memory',
+  putObject: async (key, content) => { objects.set(key, content); },
+  getObject: async key => objects.get(key),
+  deleteObject: async key => { objects.delete(key); }
+});
+
+const sent = [];
+whatsapp.sendMessage = async (to, message) => {
+  sent.push({ to, message });
+  return { success: true };
+};
+
+test.beforeEach(() => {
+  sent.length = 0;
+});
+
+test('processMessage skips a message that was already processed', async () => {
+  const message = {
+    messageId: 'wamid.help-1',
+    from: '6591234567',
+    type: 'text',
+    text: 'Help',
+    timestamp: Date.now(),
+    provider: 'whatsapp_business'
+  };
+
+  await handler.processMessage(message);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(db.tables.messages.length, 1);
+  assert.ok(db.tables.messages[0].processed_at);
+
+  // A duplicate job for the same message
+  await handler.processMessage(message);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(db.tables.messages.length, 1);
+});
+
+test('processMessage handles a message again when an earlier attempt failed after recording it', async () => {
+  const message = {
+    messageId: 'wamid.help-2',
+    from: '6591234567',
+    type: 'text',
+    text: 'Help',
+    timestamp: Date.now(),
+    provider: 'whatsapp_business'
+  };
+
+  const { mergeConversationContext } = db;
+  db.mergeConversationContext = async () => {
+    throw new Error('Connection lost');
+  };
+
+  await assert.rejects(handler.processMessage(message), /Connection lost/);
+  db.mergeConversationContext = mergeConversationContext;
+
+  const stored = db.tables.messages.find(row => row.whatsapp_message_id === 'wamid.help-2');
+  assert.strictEqual(stored.processed_at, null);
+
+  // The worker retries the job
+  await handler.processMessage(message);
+  assert.ok(stored.processed_at);
+  assert.strictEqual(db.tables.messages.filter(row => row.whatsapp_message_id === 'wamid.help-2').length, 1);
+  assert.strictEqual(db.tables.conversations.find(row => row.id === stored.conversation_id).context.lastMessageId, stored.id);
+});
+
+test('processMessage stores a PDF an inspector sends on the selected checklist item', async () => {
+  db.tables.conversations.push({
+    id: 50,
+    user_id: 8,
+    version: 0,
+    context: { state: 'item_selected', currentWorkOrderId: 3, currentItemId: 41, currentItemNumber: 2 }
+  });
+
+  const pdf = Buffer.from('%PDF-1.4 boiler service certificate');
+  whatsapp.downloadMedia = async () => ({ data: pdf, contentType: 'application/pdf' });
+
+  const message = await whatsapp.parseWebhookMessage({
+    object: 'whatsapp_business_account',
+    entry: [{
+      changes: [{
+        value: {
+          contacts: [{ profile: { name: 'Inspector Ann' } }],
+          messages: [{
+            id: 'wamid.document-1',
+            from: '6598765432',
+            timestamp: String(Math.floor(Date.now() / 1000)),
+            type: 'document',
+            document: { id: 'media-77', mime_type: 'application/pdf', filename: 'Boiler certificate.pdf' }
+          }]
+        }
+      }]
+    }]
+  });
+
+  assert.strictEqual(message.type, 'document');
+
+  await handler.processMessage(message);
+
+  const stored = db.tables.messages.find(row => row.whatsapp_message_id === 'wamid.document-1');
+  assert.strictEqual(stored.message_type, 'document');
+  assert.strictEqual(stored.media_id, 1);
+
+  const [media] = db.tables.media;
+  assert.strictEqual(media.checklist_instance_item_id, 41);
+  assert.strictEqual(media.media_type, 'document');
+  assert.strictEqual(media.file_name, 'Boiler certificate.pdf');
+  assert.strictEqual(media.content_type, 'application/pdf');
+  assert.deepStrictEqual(objects.get(media.storage_key), pdf);
+
+  assert.deepStrictEqual(sent.map(reply => reply.message), [
+    '📷 Saved to item 2. Send more, add a comment, or reply "Complete".'
+  ]);
+  assert.strictEqual(db.tables.conversations.find(row => row.id === 50).context.state, 'item_selected');
+});
+
+test('processMessage retries a file it could not download and only then acts on it', async () => {
+  const photo = Buffer.from('jpeg bytes');
+  whatsapp.downloadMedia = async () => {
+    throw new Error('socket hang up');
+  };
+
+  const message = {
+    messageId: 'wamid.photo-1',
+    from: '6591234567',
+    type: 'image',
+    mediaId: 'media-88',
+    caption: 'Help',
+    timestamp: Date.now(),
+    provider: 'whatsapp_business'
+  };
+
+  await assert.rejects(handler.processMessage(message), /socket hang up/);
+  assert.strictEqual(sent.length, 0);
+
+  const stored = db.tables.messages.find(row => row.whatsapp_message_id === 'wamid.photo-1');
+  assert.strictEqual(stored.processed_at, null);
+
+  // The worker retries the job
+  whatsapp.downloadMedia = async () => ({ data: photo, contentType: 'image/jpeg' });
+  await handler.processMessage(message);
+
+  assert.strictEqual(stored.media_id, db.tables.media.length);
+  assert.ok(stored.processed_at);
+  assert.strictEqual(sent.length, 1);
+});
+
+test('notifyProcessingFailed asks the sender to resend a file', async () => {
+  await handler.notifyProcessingFailed({ from: '6591234567', type: 'image', mediaId: 'media-88' });
+
+  assert.deepStrictEqual(sent, [{ to: '6591234567', message: "Sorry, I couldn't receive that file. Please send it again." }]);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateIntent } = require('../src/intents');
+
+test('validateIntent maps the old update_item intent to complete_item', () => {
+  const result = validateIntent({
+    intent: 'update_item',
+    params: { itemNumber: '3', status: 'Issue Found', comments: 'Tap is leaking' }
+  });
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.intent, 'complete_item');
+  assert.deepStrictEqual(result.data, { itemNumber: 3, status: 'issue_found', comments: 'Tap is leaking' });
+});
+
+test('validateIntent maps the old view_jobs intent to get_today_jobs', () => {
+  const result = validateIntent({ intent: 'view_jobs', data: {} });
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.intent, 'get_today_jobs');
+});
+
+test('validateIntent rejects unknown intents and invalid fields', () => {
+  assert.strictEqual(validateIntent({ intent: 'fly_drone' }).valid, false);
+
+  const result = validateIntent({ intent: 'complete_item', data: { status: 'broken' } });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, ['Invalid value for complete_item.status: "broken"']);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { resolveContentType, validateMedia } = require('../src/utils/media-types');
+
+const MB = 1024 * 1024;
+
+test('resolveContentType prefers the downloaded type, then the declared type, then the extension', () => {
+  assert.strictEqual(resolveContentType('audio/ogg; codecs=opus', 'audio/mpeg', 'note.mp3'), 'audio/ogg');
+  assert.strictEqual(resolveContentType('application/octet-stream', 'Application/PDF', 'report.bin'), 'application/pdf');
+  assert.strictEqual(resolveContentType('', null, 'Boiler certificate.PDF'), 'application/pdf');
+  assert.strictEqual(resolveContentType(null, 'binary/octet-stream', 'photo.jpeg'), 'image/jpeg');
+  assert.strictEqual(resolveContentType(null, null, 'archive.zip'), 'application/octet-stream');
+});
+
+test('validateMedia accepts listed types within their size limit', () => {
+  assert.strictEqual(validateMedia('image', 'image/heic', 2 * MB), null);
+  assert.strictEqual(validateMedia('document', 'application/pdf', 25 * MB), null);
+});
+
+test('validateMedia rejects unlisted types and files above the limit', () => {
+  assert.match(validateMedia('document', 'application/zip', MB), /^Sorry, I can't store application\/zip files\. Please send photos \(JPG/);
+  assert.match(validateMedia('image', 'application/pdf', MB), /can't store application\/pdf files/);
+  assert.strictEqual(
+    validateMedia('video', 'video/mp4', 80 * MB),
+    'Sorry, that file is 80.0 MB, the limit for videos is 64 MB. Please send a smaller file.'
+  );
+});
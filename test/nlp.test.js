@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const nlp = require('../src/nlp');
+
+const summary = { address: '123 Main St', counts: { total: 1, completed: 1 }, issues: [] };
+
+test('generateReportNarrative writes nothing with the rules provider', async () => {
+  nlp.setProvider('rules');
+
+  assert.strictEqual(await nlp.generateReportNarrative(summary), null);
+});
+
+test('generateReportNarrative returns null when the provider fails', async () => {
+  nlp.setProvider({
+    name: 'failing',
+    generateReportNarrative: async () => {
+      throw new Error('Service unavailable');
+    }
+  });
+
+  assert.strictEqual(await nlp.generateReportNarrative(summary), null);
+});
+
+test('generateReportNarrative passes the summary to the provider', async () => {
+  let received = null;
+  nlp.setProvider({
+    name: 'stub',
+    generateReportNarrative: async facts => {
+      received = facts;
+      return '  The property is in good condition.  ';
+    }
+  });
+
+  assert.strictEqual(await nlp.generateReportNarrative(summary), 'The property is in good condition.');
+  assert.deepStrictEqual(received, summary);
+});
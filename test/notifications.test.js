@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const calls = [];
+const db = {
+  async updateNotificationStatus(id, status) {
+    calls.push(['updateNotificationStatus', id, status]);
+    throw new Error('Connection lost');
+  },
+  async scheduleNotificationRetry(id) {
+    calls.push(['scheduleNotificationRetry', id]);
+  }
+};
+const dbPath = require.resolve(path.join(__dirname, '../src/db'));
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: db };
+
+const whatsapp = require('../src/whatsapp');
+const { dispatchNotification } = require('../src/notifications');
+
+const sent = [];
+whatsapp.sendMessage = async (to, message) => {
+  sent.push({ to, message });
+  return { success: true };
+};
+
+test('dispatchNotification does not send again when recording the delivery fails', async () => {
+  const delivered = await dispatchNotification({
+    id: 31,
+    user_id: 7,
+    notification_type: 'whatsapp',
+    related_entity_type: null,
+    message: 'Inspection #12 is scheduled for tomorrow',
+    whatsapp_id: '6591234567',
+    role: 'inspector',
+    attempts: 1
+  });
+
+  assert.strictEqual(delivered, true);
+  assert.strictEqual(sent.length, 1);
+  assert.deepStrictEqual(calls, [['updateNotificationStatus', 31, 'sent']]);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const suggestions = [];
+const db = {
+  async getChecklistItem(itemId) {
+    return { id: itemId, name: 'Kitchen tap', status: 'pending' };
+  },
+  async getMediaForChecklistItem() {
+    return [{ id: 5, media_type: 'image', content_type: 'image/jpeg', storage_key: 'media/5.jpg' }];
+  },
+  async getMediaVariant() {
+    return null;
+  },
+  async getLatestItemSuggestion() {
+    return suggestions.length > 0 ? { ...suggestions[suggestions.length - 1] } : null;
+  },
+  async createItemSuggestion(itemId, suggestion) {
+    const id = suggestions.length + 1;
+    suggestions.push({
+      id,
+      checklist_instance_item_id: itemId,
+      media_ids: JSON.stringify(suggestion.mediaIds),
+      suggested_status: suggestion.status,
+      suggested_comment: suggestion.comment,
+      status: 'pending',
+      sent_at: null
+    });
+    return id;
+  },
+  async markItemSuggestionSent(suggestionId) {
+    suggestions.find(row => row.id === suggestionId).sent_at = new Date();
+    return { affectedRows: 1 };
+  }
+};
+const dbPath = require.resolve(path.join(__dirname, '../src/db'));
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: db };
+
+const nlp = require('../src/nlp');
+const whatsapp = require('../src/whatsapp');
+const storage = require('../src/storage');
+const photoAnalysis = require('../src/photo-analysis');
+
+storage.setBackend({
+  name: 'memory',
+  putObject: async () => {},
+  getObject: async () => Buffer.from('jpeg bytes'),
+  deleteObject: async () => {}
+});
+
+let analyses = 0;
+nlp.analyzeChecklistPhotos = async () => {
+  analyses++;
+  return { status: 'issue_found', comment: 'Tap is dripping', confidence: 0.8, model: 'test' };
+};
+
+test('analyzeItemPhotos sends a stored suggestion that an earlier attempt could not send', async () => {
+  const sent = [];
+  whatsapp.sendMessage = async () => {
+    throw new Error('WhatsApp API unavailable');
+  };
+
+  const payload = { recipient: '6591234567', itemId: 41, itemNumber: 2 };
+  await assert.rejects(photoAnalysis.analyzeItemPhotos(payload), /WhatsApp API unavailable/);
+  assert.strictEqual(suggestions[0].sent_at, null);
+
+  // The worker retries the job
+  whatsapp.sendMessage = async (to, message, type, media, options) => {
+    sent.push({ to, message, buttons: options.buttons });
+    return { success: true };
+  };
+
+  assert.strictEqual(await photoAnalysis.analyzeItemPhotos(payload), 1);
+  assert.strictEqual(analyses, 1);
+  assert.strictEqual(suggestions.length, 1);
+  assert.ok(suggestions[0].sent_at);
+  assert.strictEqual(sent.length, 1);
+  assert.match(sent[0].message, /Issue found\*\n"Tap is dripping"/);
+  assert.deepStrictEqual(sent[0].buttons.map(button => button.id), ['suggestion:1:accept', 'suggestion:1:dismiss']);
+
+  // Once it was sent, another job for the same photos does nothing
+  assert.strictEqual(await photoAnalysis.analyzeItemPhotos(payload), null);
+  assert.strictEqual(sent.length, 1);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const template = require('../src/utils/template');
+
+test('render escapes values, repeats sections and shows inverted sections', () => {
+  const source = '{{#issues}}{{number}}. {{name}}\n{{/issues}}{{^issues}}No issues{{/issues}}';
+
+  assert.strictEqual(
+    template.render(source, { issues: [{ number: 1, name: 'Tap <leaking>' }, { number: 2, name: 'Door' }] }),
+    '1. Tap &lt;leaking&gt;\n2. Door\n'
+  );
+  assert.strictEqual(template.render(source, { issues: [] }), 'No issues');
+});
+
+test('render does not expand tags inside inserted values', () => {
+  const data = {
+    secret: 'S3CRET',
+    address: '{{{secret}}} Main St',
+    issues: [{ name: 'Tap', comments: '<img src=x onerror=alert(1)> {{{secret}}} {{secret}}' }]
+  };
+  const source = '<p>{{address}}</p>{{#issues}}<p>{{name}}: {{comments}}</p>{{/issues}}<p>{{{address}}}</p>';
+
+  assert.strictEqual(
+    template.render(source, data),
+    '<p>{{{secret}}} Main St</p>' +
+      '<p>Tap: &lt;img src=x onerror=alert(1)&gt; {{{secret}}} {{secret}}</p>' +
+      '<p>{{{secret}}} Main St</p>'
+  );
+});
+
+test('render rejects unbalanced sections', () => {
+  assert.throws(() => template.render('{{#issues}}open', {}), /never closed/);
+  assert.throws(() => template.render('{{#issues}}x{{/items}}', {}), /without opening it/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { verifyWebhookRequest } = require('../src/utils/webhook-signature');
+
+process.env.WHATSAPP_APP_SECRET = 'app-secret';
+delete process.env.SKIP_WEBHOOK_VERIFICATION;
+
+const rawBody = Buffer.from('{"object":"whatsapp_business_account","entry":[]}');
+
+/**
+ * Build a request as the WhatsApp Business API sends it
+ *
+ * @param {Object} headers - Request headers
+ * @returns {Object} - Request with the raw body bodyParser captures
+ */
+function request(headers) {
+  return { headers, rawBody };
+}
+
+/**
+ * Sign a body the way the WhatsApp Business API does
+ *
+ * @param {Buffer} body - Raw request body
+ * @returns {string} - X-Hub-Signature-256 header value
+ */
+function sign(body) {
+  return 'sha256=' + crypto.createHmac('sha256', 'app-secret').update(body).digest('hex');
+}
+
+test('verifyWebhookRequest accepts a body signed with the app secret', () => {
+  const result = verifyWebhookRequest(request({ 'x-hub-signature-256': sign(rawBody) }), 'whatsapp_business');
+
+  assert.deepStrictEqual(result, { valid: true, reason: null });
+});
+
+test('verifyWebhookRequest rejects a body changed after signing', () => {
+  const signature = sign(rawBody);
+  const tampered = { headers: { 'x-hub-signature-256': signature }, rawBody: Buffer.from('{"object":"whatsapp_business_account","entry":[{}]}') };
+
+  assert.deepStrictEqual(verifyWebhookRequest(tampered, 'whatsapp_business'), {
+    valid: false,
+    reason: 'X-Hub-Signature-256 does not match'
+  });
+});
+
+test('verifyWebhookRequest rejects a request without the signature header', () => {
+  assert.deepStrictEqual(verifyWebhookRequest(request({}), 'whatsapp_business'), {
+    valid: false,
+    reason: 'Missing X-Hub-Signature-256 header'
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Property Stewards - Inspector Interface System
+ * Background worker entry point, processes queued webhook messages,
+ * generates reports, processes and analyzes photos and delivers pending notifications
+ */
+require('dotenv').config();
+const handler = require('./src/handler');
+const { runWorker } = require('./src/worker');
+const { JOB_TYPES } = require('./src/queue');
+const notifications = require('./src/notifications');
+const reports = require('./src/reports');
+const media = require('./src/media');
+const photoAnalysis = require('./src/photo-analysis');
+const logger = require('./src/utils/logger');
+
+runWorker({
+  [JOB_TYPES.INBOUND_MESSAGE]: {
+    process: message => handler.processMessage(message),
+    onDeadLetter: message => handler.notifyProcessingFailed(message)
+  },
+  [JOB_TYPES.GENERATE_REPORT]: {
+    process: ({ workOrderId }) => reports.generateReportForReview(workOrderId),
+    onDeadLetter: ({ workOrderId }, error) => reports.notifyReportGenerationFailed(workOrderId, error)
+  },
+  [JOB_TYPES.PROCESS_IMAGE]: {
+    process: ({ mediaId }) => media.processImage(mediaId)
+  },
+  [JOB_TYPES.ANALYZE_PHOTOS]: {
+    process: payload => photoAnalysis.analyzeItemPhotos(payload)
+  }
+}, {
+  tasks: [
+    {
+      name: 'notifications',
+      intervalMs: parseInt(process.env.NOTIFICATION_POLL_INTERVAL_MS, 10) || 5000,
+      run: () => notifications.dispatchPendingNotifications()
+    }
+  ]
+})
+  .then(() => {
+    logger.info('Worker stopped');
+    process.exit(0);
+  })
+  .catch(error => {
+    logger.error('Worker crashed:', error);
+    process.exit(1);
+  });